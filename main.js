@@ -15,37 +15,92 @@ const {
   PluginSettingTab,
   Setting,
   MarkdownView,
-  Notice
+  Notice,
+  Modal,
+  FuzzySuggestModal,
+  TFolder,
+  getAllTags,
+  normalizePath,
+  editorInfoField
 } = require('obsidian');
 
 // CodeMirror imports. These are provided by Obsidian's internal bundles.
-const { ViewPlugin, Decoration } = require('@codemirror/view');
-const { RangeSetBuilder, Annotation } = require('@codemirror/state');
+const { ViewPlugin, Decoration, EditorView, gutter, GutterMarker, hoverTooltip } = require('@codemirror/view');
+const { RangeSet, RangeSetBuilder, Annotation, StateEffect, StateField, Transaction } = require('@codemirror/state');
 const RefreshAnnotation = Annotation.define();
 
+// Briefly highlight the lines of a paragraph after jumping to it from a card.
+// The effect carries { from, to } line numbers (1-based) or null to clear.
+const FLASH_DURATION_MS = 900;
+const FlashEffect = StateEffect.define();
+const flashField = StateField.define({
+  create: () => Decoration.none,
+  update(decorations, tr) {
+    decorations = decorations.map(tr.changes);
+    for (const effect of tr.effects) {
+      if (!effect.is(FlashEffect)) continue;
+      if (!effect.value) {
+        decorations = Decoration.none;
+        continue;
+      }
+      const builder = new RangeSetBuilder();
+      const { from, to } = effect.value;
+      for (let ln = from; ln <= to && ln <= tr.state.doc.lines; ln++) {
+        const line = tr.state.doc.line(ln);
+        builder.add(line.from, line.from, Decoration.line({ class: 'tqa-flash' }));
+      }
+      decorations = builder.finish();
+    }
+    return decorations;
+  },
+  provide: (field) => EditorView.decorations.from(field)
+});
+
 // Default settings for the plugin. Users can override these in the settings tab.
 const DEFAULT_SETTINGS = {
   /**
    * Determines how paragraph metrics are computed. Possible values are:
-   *  - 'auto': first try the HTTP endpoint, then fall back to the OpenAI API if a key is provided, otherwise heuristics.
+   *  - 'auto': first try the HTTP endpoint, then fall back to the LLM provider if it is configured, otherwise heuristics.
    *  - 'server': use the HTTP endpoint exclusively. If unreachable, heuristics are used.
-   *  - 'openai': use the OpenAI API directly. If the API key is missing or the call fails, heuristics are used.
+   *  - 'openai': use the LLM provider directly. If the API key is missing or the call fails, heuristics are used.
    *  - 'heuristic': always use simple local heuristics (no external calls).
    */
   backendMode: 'auto',
   /** URL of the HTTP endpoint used when backendMode is 'server' or when 'auto' and the endpoint is reachable. */
   httpEndpoint: 'http://localhost:5000/analyze',
-  /** Optional topic to bias the analysis towards. */
+  /** Fallback topic for notes without tqa-topic frontmatter, H1, meaningful title or tags. */
   topic: '',
-  /** API key used when invoking embedding and chat models directly. */
+  /** LLM provider for embeddings and chat calls: 'openai' (and compatible servers), 'azure', 'anthropic' or 'gemini'. */
+  provider: 'openai',
+  /** API key of the selected provider. Optional for local OpenAI-compatible servers. */
   apiKey: '',
-  /** Name of the embedding model to use (default: text-embedding-3-small). */
+  /** Base URL of the OpenAI-compatible API (OpenAI, Ollama, LM Studio, llama.cpp server, vLLM…). */
+  apiBaseUrl: 'https://api.openai.com/v1',
+  /** Extra request headers for the API, one `Name: value` per line (or a JSON object). */
+  customHeaders: '',
+  /** Azure OpenAI resource endpoint, e.g. https://my-resource.openai.azure.com. */
+  azureEndpoint: '',
+  /** Azure OpenAI REST API version. */
+  azureApiVersion: '2024-06-01',
+  /** Structured output mode for LLM scoring: 'auto' negotiates, or force 'json_schema' | 'json_object' | 'none'. */
+  structuredOutput: 'auto',
+  /** Name of the embedding model to use (default: text-embedding-3-small). Azure: deployment name. */
   embeddingModel: 'text-embedding-3-small',
-  /** Name of the chat model used for semantic role classification. */
+  /** Name of the chat model used for LLM SNR scoring (and roles unless roleModel is set). Azure: deployment name. */
   chatModel: 'gpt-3.5-turbo',
+  /** Chat model for semantic role classification; empty uses chatModel. */
+  roleModel: '',
   /** Whether to request semantic role classification from LLM. */
   classifyRoles: false,
-  /** Method for SNR computation in OpenAI mode: 'embedding' | 'llm' */
+  /** Heuristic SNR: 'bm25' | 'tfidf' relevance to the topic (or first paragraph), or 'lexical' unique-word ratio. */
+  relevanceMethod: 'bm25',
+  /** Use document frequencies from the whole vault (one document per note) for heuristic relevance. */
+  vaultDocumentFrequencies: false,
+  /** Score each paragraph against its heading chain too, blended with the note topic. */
+  sectionRelativeSnr: false,
+  /** Share of the section score in section-relative SNR (0 = topic only, 1 = section only). */
+  sectionWeight: 0.5,
+  /** Method for SNR computation in LLM provider mode: 'embedding' | 'llm' (providers without embeddings always use 'llm'). */
   snrMethod: 'embedding',
   /** Color used for the maximum signal‑to‑noise intensity (1.0). */
   snrMaxColor: '#d1f9d1',
@@ -54,51 +109,981 @@ const DEFAULT_SETTINGS = {
   /** Color used for the highest complexity (complex text). Represented as a CSS hex string. */
   complexityMaxColor: '#4c4c4c',
   /** If true, map per-note min→0 and max→1 for SNR and Complexity when colouring. */
-  normalizeRanges: true
+  normalizeRanges: true,
+  /** How paragraphs are highlighted: 'both' | 'background' | 'text' | 'border' | 'underline' (see HIGHLIGHT_MODES). */
+  highlightMode: 'both',
+  /** Number of discrete colour bands (3 or 5); 0 = continuous gradient. */
+  colorBands: 0,
+  /** SNR colours: 'custom' (the colour pickers) or a colour-blind-safe palette from COLOR_PALETTES. */
+  colorPalette: 'custom',
+  /** Score every sentence on its own, mark the offending ones in the editor and list them on the cards. */
+  sentenceAnalysis: false,
+  /** Sentences at or above this complexity count as offending. */
+  sentenceComplexityThreshold: 0.6,
+  /** Also score sentence relevance to the note subject; sentences below lowSnrThreshold count as offending. */
+  sentenceRelevance: false,
+  /** Whether embeddings, scores and roles are cached on disk by paragraph content hash. */
+  cacheEnabled: true,
+  /** Maximum number of cached results; least recently used entries are evicted first. 0 = unlimited. */
+  cacheMaxEntries: 10000,
+  /** Approximate size limit of the analysis cache in megabytes. 0 = unlimited. */
+  cacheMaxMegabytes: 50,
+  /** Paragraphs with SNR below this count as low-signal; notes with a mean below it are flagged in the dashboard. */
+  lowSnrThreshold: 0.3,
+  /** Keep a timestamped history of note aggregates for the trend chart. */
+  historyEnabled: true,
+  /** Also keep per-paragraph scores (keyed by content hash) of recent analyses for "compare with previous". */
+  historySnapshots: true,
+  /** Write note aggregates into the frontmatter after every full analysis. */
+  frontmatterWriteBack: false,
+  /** Frontmatter key per aggregate (see FRONTMATTER_FIELDS); an empty key is not written. */
+  frontmatterKeys: {
+    snrMean: 'tqa_snr_mean',
+    snrMin: '',
+    complexityMean: 'tqa_complexity_mean',
+    lowSnrCount: 'tqa_low_snr_count',
+    paragraphs: '',
+    analyzedAt: 'tqa_analyzed_at',
+    backend: 'tqa_backend'
+  },
+  /** Decimal places of the numbers written into the frontmatter. */
+  frontmatterPrecision: 2,
+  /** Cards view toolbar state: sort order, SNR/complexity ranges, selected roles and search text. */
+  cardsFilter: {
+    sort: 'document',
+    search: '',
+    snrMin: 0,
+    snrMax: 1,
+    complexityMin: 0,
+    complexityMax: 1,
+    roles: []
+  },
+  /** Vault folder for CSV, JSON and Markdown report exports. */
+  exportFolder: 'Text Quality Exports',
+  /** Number of notes analysed in parallel by batch analysis. */
+  batchConcurrency: 2,
+  /** Language pack used for heuristics: 'auto' detects each paragraph, otherwise a pack id ('ru', 'uk', 'en', 'de'). */
+  language: 'auto'
 };
 
-// Helper function to split a note into paragraphs. Blank lines separate paragraphs.
-function splitIntoParagraphs(text) {
-  // Collapse multiple blank lines and split on double newlines. Trim to avoid empty
-  // paragraphs at the start/end of the document.
-  return text
-    .replace(/\r\n/g, '\n')
-    .split(/\n{2,}/)
-    .map((p) => p.trim())
-    .filter((p) => p.length > 0);
+// ===================== Markdown segmentation =====================
+// The note is split into typed blocks so that only prose is scored. Code,
+// math, HTML, tables, comments and frontmatter are kept as blocks of their own
+// kind (and skipped by the analysis); headings become context for the blocks
+// that follow them; a list stays together as one unit.
+const FENCE_RE = /^\s{0,3}(`{3,}|~{3,})/;
+const HEADING_RE = /^\s{0,3}(#{1,6})\s+(.*?)(?:\s+#+)?\s*$/;
+const LIST_ITEM_RE = /^\s*(?:[-*+]|\d+[.)])\s+/;
+const TABLE_SEPARATOR_RE = /^\s*\|?\s*:?-{3,}:?\s*(?:\|\s*:?-{3,}:?\s*)*\|?\s*$/;
+const HR_RE = /^\s{0,3}([-*_])(?:\s*\1){2,}\s*$/;
+const HTML_START_RE = /^\s{0,3}<(?:[A-Za-z][\w-]*[\s/>]|[A-Za-z][\w-]*$|!--|\/[A-Za-z])/;
+const CALLOUT_RE = /^\s*>\s*\[!([^\]]+)\][+-]?\s*(.*)$/;
+const QUOTE_RE = /^\s*>/;
+
+/** Block kinds whose text is analysed as prose. */
+const PROSE_BLOCK_KINDS = new Set(['paragraph', 'list', 'quote', 'callout']);
+
+function isProseBlock(block) {
+  return !!block && PROSE_BLOCK_KINDS.has(block.kind) && block.text.length > 0;
+}
+
+// Lines that start a new block and therefore end a running paragraph.
+function startsNewBlock(line) {
+  return (
+    FENCE_RE.test(line) ||
+    HEADING_RE.test(line) ||
+    QUOTE_RE.test(line) ||
+    LIST_ITEM_RE.test(line) ||
+    /^\s*\$\$/.test(line) ||
+    /^\s*%%/.test(line) ||
+    HR_RE.test(line)
+  );
+}
+
+// Text used for analysis: Markdown markers are stripped, list items become
+// sentences of their own and a trailing block reference (^id) is dropped.
+function cleanListText(lines) {
+  const items = [];
+  for (const line of lines) {
+    if (!line.trim()) continue;
+    if (LIST_ITEM_RE.test(line) || items.length === 0) {
+      items.push(line.replace(LIST_ITEM_RE, '').replace(/^\[.\]\s+/, '').trim());
+    } else {
+      items[items.length - 1] += ' ' + line.trim();
+    }
+  }
+  return items
+    .filter((it) => it.length > 0)
+    .map((it) => (/[.!?…:;]$/.test(it) ? it : it + '.'))
+    .join('\n');
+}
+
+function stripBlockId(text) {
+  return text.replace(/\s+\^[A-Za-z0-9-]+$/, '').trim();
+}
+
+/**
+ * Split a Markdown note into typed blocks. Every block carries its kind, the
+ * text used for analysis, 0-based inclusive line bounds and the chain of
+ * headings it sits under. Heading blocks also carry their `level` (1–6).
+ *
+ * @param {string} text Raw note content
+ * @param {{ level: number, text: string }[]} [outerHeadings] Headings open
+ *   before `text` when it is a slice of a note
+ * @returns {{ kind: string, text: string, startLine: number, endLine: number, headingPath: string[], level?: number }[]}
+ */
+function segmentMarkdown(text, outerHeadings = []) {
+  const lines = (text || '').replace(/\r\n/g, '\n').split('\n');
+  const blocks = [];
+  const headingStack = outerHeadings.slice();
+  const n = lines.length;
+  const push = (kind, startLine, endLine, blockText, extra) => {
+    blocks.push(Object.assign({ kind, text: blockText, startLine, endLine, headingPath: headingStack.map((h) => h.text) }, extra));
+  };
+  let i = 0;
+  // YAML frontmatter is only recognised on the very first line
+  if (n > 0 && lines[0].trim() === '---') {
+    let end = 1;
+    while (end < n && lines[end].trim() !== '---' && lines[end].trim() !== '...') end++;
+    if (end < n) {
+      push('frontmatter', 0, end, lines.slice(1, end).join('\n'));
+      i = end + 1;
+    }
+  }
+  while (i < n) {
+    const line = lines[i];
+    if (line.trim() === '') {
+      i++;
+      continue;
+    }
+    const start = i;
+    const fence = line.match(FENCE_RE);
+    if (fence) {
+      const marker = fence[1];
+      let end = i + 1;
+      while (end < n && !new RegExp('^\\s{0,3}' + marker[0] + '{' + marker.length + ',}\\s*$').test(lines[end])) end++;
+      end = Math.min(end, n - 1);
+      push('code', start, end, lines.slice(start, end + 1).join('\n'));
+      i = end + 1;
+      continue;
+    }
+    if (/^\s*\$\$/.test(line) || /^\s*%%/.test(line)) {
+      const delim = line.trim().slice(0, 2);
+      const kind = delim === '$$' ? 'math' : 'comment';
+      let end = i;
+      if (line.trim().length <= 2 || !line.trim().endsWith(delim)) {
+        end = i + 1;
+        while (end < n && !lines[end].includes(delim)) end++;
+        end = Math.min(end, n - 1);
+      }
+      push(kind, start, end, lines.slice(start, end + 1).join('\n'));
+      i = end + 1;
+      continue;
+    }
+    const heading = line.match(HEADING_RE);
+    if (heading) {
+      const level = heading[1].length;
+      while (headingStack.length > 0 && headingStack[headingStack.length - 1].level >= level) headingStack.pop();
+      push('heading', start, start, heading[2].trim(), { level });
+      headingStack.push({ level, text: heading[2].trim() });
+      i++;
+      continue;
+    }
+    if (HR_RE.test(line)) {
+      push('hr', start, start, '');
+      i++;
+      continue;
+    }
+    if (line.includes('|') && i + 1 < n && TABLE_SEPARATOR_RE.test(lines[i + 1]) && lines[i + 1].includes('-')) {
+      let end = i + 1;
+      while (end + 1 < n && lines[end + 1].trim() !== '' && lines[end + 1].includes('|')) end++;
+      push('table', start, end, lines.slice(start, end + 1).join('\n'));
+      i = end + 1;
+      continue;
+    }
+    if (HTML_START_RE.test(line)) {
+      let end = i;
+      while (end + 1 < n && lines[end + 1].trim() !== '') end++;
+      push('html', start, end, lines.slice(start, end + 1).join('\n'));
+      i = end + 1;
+      continue;
+    }
+    if (QUOTE_RE.test(line)) {
+      let end = i;
+      while (end + 1 < n && QUOTE_RE.test(lines[end + 1])) end++;
+      const callout = line.match(CALLOUT_RE);
+      const body = lines.slice(callout ? start + 1 : start, end + 1).map((l) => l.replace(/^\s*(?:>\s?)+/, ''));
+      push(callout ? 'callout' : 'quote', start, end, stripBlockId(body.join('\n').trim()));
+      i = end + 1;
+      continue;
+    }
+    if (LIST_ITEM_RE.test(line)) {
+      let end = i;
+      while (end + 1 < n) {
+        const next = lines[end + 1];
+        if (next.trim() === '') {
+          // A blank line continues the list only when more items or indented
+          // continuation lines follow it.
+          let k = end + 1;
+          while (k < n && lines[k].trim() === '') k++;
+          if (k < n && (LIST_ITEM_RE.test(lines[k]) || /^\s{2,}\S/.test(lines[k])) && !FENCE_RE.test(lines[k])) {
+            end = k;
+            continue;
+          }
+          break;
+        }
+        if (LIST_ITEM_RE.test(next) || /^\s+\S/.test(next) || !startsNewBlock(next)) {
+          end++;
+          continue;
+        }
+        break;
+      }
+      push('list', start, end, stripBlockId(cleanListText(lines.slice(start, end + 1))));
+      i = end + 1;
+      continue;
+    }
+    let end = i;
+    while (end + 1 < n && lines[end + 1].trim() !== '' && !startsNewBlock(lines[end + 1])) end++;
+    push('paragraph', start, end, stripBlockId(lines.slice(start, end + 1).join('\n').trim()));
+    i = end + 1;
+  }
+  return blocks;
+}
+
+// ===================== Paragraph index =====================
+// 32-bit FNV-1a hash rendered as 8 hex digits. Used to identify paragraph
+// content; collisions only cost a stale colour until the next analysis.
+function hashString(str) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return (h >>> 0).toString(16).padStart(8, '0');
+}
+
+// 128-bit digest (cyrb128 mixing) prefixed with the text length, for keys
+// that are saved to disk: the analysis cache never sees the text again, so a
+// collision there would hand one paragraph another's results for good.
+function contentDigest(str) {
+  let h1 = 1779033703;
+  let h2 = 3144134277;
+  let h3 = 1013904242;
+  let h4 = 2773480762;
+  for (let i = 0; i < str.length; i++) {
+    const k = str.charCodeAt(i);
+    h1 = h2 ^ Math.imul(h1 ^ k, 597399067);
+    h2 = h3 ^ Math.imul(h2 ^ k, 2869860233);
+    h3 = h4 ^ Math.imul(h3 ^ k, 951274213);
+    h4 = h1 ^ Math.imul(h4 ^ k, 2716044179);
+  }
+  h1 = Math.imul(h3 ^ (h1 >>> 18), 597399067);
+  h2 = Math.imul(h4 ^ (h2 >>> 22), 2869860233);
+  h3 = Math.imul(h1 ^ (h3 >>> 17), 951274213);
+  h4 = Math.imul(h2 ^ (h4 >>> 19), 2716044179);
+  h1 ^= h2 ^ h3 ^ h4;
+  h2 ^= h1;
+  h3 ^= h1;
+  h4 ^= h1;
+  return str.length.toString(36) + '-' + [h1, h2, h3, h4].map((h) => (h >>> 0).toString(16).padStart(8, '0')).join('');
+}
+
+/**
+ * Build the paragraph index of a note: the single paragraph model shared by
+ * the analysis, the editor decorations, the cards view and partial
+ * recomputation. Each entry carries a stable id (content hash, suffixed for
+ * repeated paragraphs), its position in the note, character offsets, 0-based
+ * inclusive line bounds and its heading chain. Offsets refer to the text with
+ * CRLF normalised to LF, which is what CodeMirror uses.
+ * `occurrences` counts paragraphs per content hash and `length` is the
+ * length of the normalised text; both let patchParagraphIndex check its input.
+ *
+ * @param {string} text Raw note content
+ * @returns {{ paragraphs: object[], byId: Map<string, object>, blocks: object[], occurrences: Map<string, number>, length: number }}
+ */
+function buildParagraphIndex(text) {
+  const normalized = (text || '').replace(/\r\n/g, '\n');
+  const lineStarts = [0];
+  for (let i = 0; i < normalized.length; i++) {
+    if (normalized.charCodeAt(i) === 10) lineStarts.push(i + 1);
+  }
+  const blocks = segmentMarkdown(normalized);
+  const paragraphs = [];
+  const occurrences = new Map();
+  for (const block of blocks) {
+    if (!isProseBlock(block)) continue;
+    const hash = hashString(block.text);
+    const n = (occurrences.get(hash) || 0) + 1;
+    occurrences.set(hash, n);
+    const lineEnd = block.endLine + 1 < lineStarts.length ? lineStarts[block.endLine + 1] - 1 : normalized.length;
+    paragraphs.push(paragraphEntry(block, hash, n, paragraphs.length, lineStarts[block.startLine], lineEnd));
+  }
+  return { paragraphs, byId: new Map(paragraphs.map((p) => [p.id, p])), blocks, occurrences, length: normalized.length };
+}
+
+// Index entry of a prose block; `occurrence` numbers repeats of the same text.
+function paragraphEntry(block, hash, occurrence, index, from, to) {
+  return {
+    id: occurrence === 1 ? hash : `${hash}-${occurrence}`,
+    index,
+    kind: block.kind,
+    text: block.text,
+    hash,
+    from,
+    to,
+    startLine: block.startLine,
+    endLine: block.endLine,
+    headingPath: block.headingPath
+  };
+}
+
+// Windows larger than this many lines are indexed from scratch instead.
+const PATCH_MAX_LINES = 2000;
+
+// First position in a sorted array whose element satisfies `pred`
+// (false for a prefix, true for the rest); the length when none does.
+function lowerBound(items, pred) {
+  let lo = 0;
+  let hi = items.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (pred(items[mid])) hi = mid;
+    else lo = mid + 1;
+  }
+  return lo;
+}
+
+// Paragraph covering a 0-based line, or null.
+function paragraphAtLine(index, line) {
+  const para = index.paragraphs[lowerBound(index.paragraphs, (p) => p.endLine >= line)];
+  return para && para.startLine <= line ? para : null;
+}
+
+/**
+ * Update the paragraph index of an editor in place after a change, without
+ * reading the whole note again: only the blocks around the changed lines are
+ * segmented anew, the blocks and paragraphs after them are shifted. The
+ * window reaches one block past the change, which must come out unchanged
+ * so that the rest of the note is known to segment the same way.
+ *
+ * Returns `{ index, added, removed, from, to, touchesTopic }` — the
+ * paragraphs of the window, the ids that were in it before, the character
+ * range of the window in the new document and whether the change may move
+ * the note topic. Returns null when the change can affect blocks beyond the
+ * window (a heading, the frontmatter, an unterminated fence, a repeated
+ * paragraph) and the index has to be rebuilt; the index is left untouched then.
+ *
+ * @param {object} index Paragraph index of `update.startState.doc`
+ * @param {import('@codemirror/view').ViewUpdate} update
+ */
+function patchParagraphIndex(index, update) {
+  const oldDoc = update.startState.doc;
+  const doc = update.state.doc;
+  if (index.length !== oldDoc.length) return null;
+  let fromLine = Infinity;
+  let toLine = -1;
+  update.changes.iterChangedRanges((fromA, toA) => {
+    fromLine = Math.min(fromLine, oldDoc.lineAt(fromA).number - 1);
+    toLine = Math.max(toLine, oldDoc.lineAt(toA).number - 1);
+  });
+  if (toLine < 0) return null;
+  if (changeTouchesFrontmatter(oldDoc, doc, update.changes)) return null;
+  const lineDelta = doc.lines - oldDoc.lines;
+  const charDelta = doc.length - oldDoc.length;
+  const blocks = index.blocks;
+  // Blocks within one line of the change (joining or splitting neighbours),
+  // plus the next one as the anchor the new segmentation must end on
+  let first = lowerBound(blocks, (b) => b.endLine >= fromLine - 1);
+  // A list continues across blank lines when more items follow
+  if (first > 0 && blocks[first - 1].kind === 'list') first--;
+  const anchor = lowerBound(blocks, (b) => b.startLine > toLine + 1);
+  const start = first < anchor ? Math.min(fromLine, blocks[first].startLine) : fromLine;
+  const oldEnd = anchor < blocks.length ? blocks[anchor].endLine : oldDoc.lines - 1;
+  const newEnd = oldEnd + lineDelta;
+  // Large pastes and deletions are cheaper to index from scratch
+  if (newEnd < start || newEnd - start > PATCH_MAX_LINES || oldEnd - start > PATCH_MAX_LINES) return null;
+  const from = doc.line(start + 1).from;
+  const to = doc.line(newEnd + 1).to;
+  const text = doc.sliceString(from, to);
+  // Frontmatter is only recognised on the first line of the note
+  if (start > 0 && doc.line(start + 1).text.trim() === '---') return null;
+
+  // Headings open at the window, innermost last
+  const outer = [];
+  const depth = first > 0 ? blocks[first - 1].headingPath.length + (blocks[first - 1].kind === 'heading' ? 1 : 0) : 0;
+  for (let i = first - 1, level = 7; i >= 0 && outer.length < depth; i--) {
+    const b = blocks[i];
+    if (b.kind === 'heading' && b.level < level) {
+      outer.unshift({ level: b.level, text: b.text });
+      level = b.level;
+    }
+  }
+  const windowBlocks = segmentMarkdown(text, outer).map((b) => Object.assign(b, { startLine: b.startLine + start, endLine: b.endLine + start }));
+  const oldWindow = blocks.slice(first, Math.min(blocks.length, anchor + 1));
+  if (anchor < blocks.length) {
+    const a = blocks[anchor];
+    const last = windowBlocks[windowBlocks.length - 1];
+    if (!last || last.kind !== a.kind || last.text !== a.text || last.startLine !== a.startLine + lineDelta || last.endLine !== a.endLine + lineDelta) return null;
+  }
+  // Any heading change moves the heading chain of everything after it
+  const headings = (list) => list.filter((b) => b.kind === 'heading').map((b) => `${b.level} ${b.text}`).join('\n');
+  if (headings(oldWindow) !== headings(windowBlocks)) return null;
+
+  // Paragraph ids number repeated paragraphs in document order, so a repeat
+  // entering or leaving the window renumbers others
+  const paragraphs = index.paragraphs;
+  const pFirst = lowerBound(paragraphs, (p) => p.startLine >= start);
+  const pEnd = lowerBound(paragraphs, (p) => p.startLine > oldEnd);
+  const removedHashes = new Set();
+  for (let i = pFirst; i < pEnd; i++) {
+    if (index.occurrences.get(paragraphs[i].hash) !== 1) return null;
+    removedHashes.add(paragraphs[i].hash);
+  }
+  const added = [];
+  const addedHashes = new Set();
+  for (const block of windowBlocks) {
+    if (!isProseBlock(block)) continue;
+    const hash = hashString(block.text);
+    if (addedHashes.has(hash) || (index.occurrences.has(hash) && !removedHashes.has(hash))) return null;
+    addedHashes.add(hash);
+    added.push(paragraphEntry(block, hash, 1, pFirst + added.length, doc.line(block.startLine + 1).from, doc.line(block.endLine + 1).to));
+  }
+
+  // Checks passed: splice the window in and shift what follows, in place —
+  // allocating a new index per keystroke costs more than the whole patch
+  const touched = oldWindow.concat(windowBlocks);
+  const removed = paragraphs.splice(pFirst, pEnd - pFirst, ...added);
+  for (const p of removed) {
+    index.byId.delete(p.id);
+    index.occurrences.delete(p.hash);
+  }
+  for (const p of added) {
+    index.byId.set(p.id, p);
+    index.occurrences.set(p.hash, 1);
+  }
+  for (let i = pFirst + added.length; i < paragraphs.length; i++) {
+    const p = paragraphs[i];
+    p.index = i;
+    p.from += charDelta;
+    p.to += charDelta;
+    p.startLine += lineDelta;
+    p.endLine += lineDelta;
+  }
+  blocks.splice(first, Math.min(blocks.length, anchor + 1) - first, ...windowBlocks);
+  for (let i = first + windowBlocks.length; i < blocks.length; i++) {
+    blocks[i].startLine += lineDelta;
+    blocks[i].endLine += lineDelta;
+  }
+  index.length = doc.length;
+  return {
+    index,
+    added,
+    removed: removed.map((p) => p.id),
+    from,
+    to,
+    touchesTopic: touched.some((b) => b.kind === 'frontmatter' || b.kind === 'heading' || b.text.includes('#'))
+  };
+}
+
+function isFrontmatterDelimiter(line) {
+  const trimmed = line.trim();
+  return trimmed === '---' || trimmed === '...';
+}
+
+// Whether a change can open, close or edit the frontmatter of a note that
+// starts with `---` (before or after the change): it touches a delimiter
+// line, as it was or as it is now, or lies above the closing delimiter. The
+// window of patchParagraphIndex cannot see that, the frontmatter being only
+// recognised from the first line of the note.
+function changeTouchesFrontmatter(oldDoc, doc, changes) {
+  const opensOld = oldDoc.line(1).text.trim() === '---';
+  if (!opensOld && doc.line(1).text.trim() !== '---') return false;
+  let touches = false;
+  let fromLine = Infinity;
+  const anyDelimiter = (d, from, to) => {
+    for (let ln = d.lineAt(from).number; ln <= d.lineAt(to).number; ln++) {
+      if (isFrontmatterDelimiter(d.line(ln).text)) return true;
+    }
+    return false;
+  };
+  changes.iterChangedRanges((fromA, toA, fromB, toB) => {
+    fromLine = Math.min(fromLine, oldDoc.lineAt(fromA).number);
+    if (!touches) touches = anyDelimiter(oldDoc, fromA, toA) || anyDelimiter(doc, fromB, toB);
+  });
+  if (touches || !opensOld) return touches;
+  // First delimiter after the opening line (1-based line numbers)
+  let ln = 2;
+  for (const iter = oldDoc.iterLines(2); !iter.next().done; ln++) {
+    if (isFrontmatterDelimiter(iter.value)) return fromLine <= ln;
+  }
+  return false;
+}
+
+// Metrics for one entry of the paragraph index, or null when the paragraph
+// has not been analysed yet.
+function metricsFor(cache, para) {
+  if (!cache || !cache.metricsById || !para) return null;
+  return cache.metricsById[para.id] || null;
+}
+
+/**
+ * Group analysed paragraphs into runs that share a heading chain, with the
+ * average SNR and complexity of each run. Used by the cards view.
+ *
+ * @returns {{ headingPath: string[], items: { para: object, metrics: object }[], avgSnr: number, avgComplexity: number }[]}
+ */
+function groupParagraphsBySection(cache) {
+  const groups = [];
+  const paragraphs = cache && cache.index ? cache.index.paragraphs : [];
+  for (const para of paragraphs) {
+    const metrics = metricsFor(cache, para);
+    if (!metrics) continue;
+    const last = groups[groups.length - 1];
+    if (last && sectionLabel(last.headingPath) === sectionLabel(para.headingPath)) {
+      last.items.push({ para, metrics });
+    } else {
+      groups.push({ headingPath: para.headingPath || [], items: [{ para, metrics }] });
+    }
+  }
+  for (const g of groups) {
+    const avg = (key) => g.items.reduce((acc, it) => acc + (typeof it.metrics[key] === 'number' ? it.metrics[key] : 0), 0) / g.items.length;
+    g.avgSnr = avg('snr');
+    g.avgComplexity = avg('complexity');
+  }
+  return groups;
+}
+
+// Most frequent non-empty value of a metrics field, or ''.
+function mostCommonValue(list, key) {
+  const counts = new Map();
+  for (const m of list) {
+    const v = m[key] && String(m[key]).trim();
+    if (v) counts.set(v, (counts.get(v) || 0) + 1);
+  }
+  let best = '';
+  let bestCount = 0;
+  for (const [v, n] of counts) {
+    if (n > bestCount) {
+      best = v;
+      bestCount = n;
+    }
+  }
+  return best;
+}
+
+/**
+ * Aggregate metrics of a whole note: paragraph count, mean and minimum SNR,
+ * mean complexity, the number and share of paragraphs below the low-SNR
+ * threshold, the dominant semantic role and the backend used most.
+ * `metrics` is the array returned by getMetrics.
+ */
+function summarizeNoteMetrics(metrics, lowSnrThreshold = 0.3) {
+  const list = (metrics || []).filter(Boolean);
+  if (list.length === 0) {
+    return { paragraphs: 0, snrMean: 0, snrMin: 0, complexityMean: 0, lowSnrCount: 0, lowSnrShare: 0, dominantRole: '', backend: '' };
+  }
+  const snr = list.map((m) => m.snr);
+  const lowSnrCount = snr.filter((v) => v < lowSnrThreshold).length;
+  return {
+    paragraphs: list.length,
+    snrMean: snr.reduce((a, b) => a + b, 0) / list.length,
+    snrMin: Math.min(...snr),
+    complexityMean: list.reduce((a, m) => a + m.complexity, 0) / list.length,
+    lowSnrCount,
+    lowSnrShare: lowSnrCount / list.length,
+    dominantRole: mostCommonValue(list, 'role'),
+    backend: mostCommonValue(list, 'backend')
+  };
+}
+
+// Sort orders of the cards view toolbar. `compare` is null for document order.
+const CARD_SORTS = {
+  document: { name: 'Document order', compare: null },
+  snr: { name: 'SNR, lowest first', compare: (a, b) => a.metrics.snr - b.metrics.snr },
+  'snr-desc': { name: 'SNR, highest first', compare: (a, b) => b.metrics.snr - a.metrics.snr },
+  complexity: { name: 'Complexity, highest first', compare: (a, b) => b.metrics.complexity - a.metrics.complexity },
+  'complexity-asc': { name: 'Complexity, lowest first', compare: (a, b) => a.metrics.complexity - b.metrics.complexity },
+  role: { name: 'Role', compare: (a, b) => (a.metrics.role || '\uffff').localeCompare(b.metrics.role || '\uffff') }
+};
+
+// Whether a card passes the toolbar filters (see DEFAULT_SETTINGS.cardsFilter).
+// An empty role selection shows all roles; '' stands for paragraphs without one.
+function cardMatchesFilter(para, metrics, filter) {
+  const eps = 1e-9;
+  if (metrics.snr < filter.snrMin - eps || metrics.snr > filter.snrMax + eps) return false;
+  if (metrics.complexity < filter.complexityMin - eps || metrics.complexity > filter.complexityMax + eps) return false;
+  if (filter.roles && filter.roles.length > 0 && !filter.roles.includes((metrics.role || '').trim())) return false;
+  const query = (filter.search || '').trim().toLowerCase();
+  return !query || para.text.toLowerCase().includes(query);
+}
+
+// ===================== Charts =====================
+// Plain SVG charts of the cards view. Sizes are in SVG user units; the
+// charts scale with the pane width.
+const CHART_WIDTH = 280;
+const CHART_HEIGHT = 150;
+const CHART_MARGIN = { top: 8, right: 8, bottom: 22, left: 28 };
+const HISTOGRAM_BINS = 10;
+
+// Count values in [0,1] into equal bins.
+function histogramBins(values, bins = HISTOGRAM_BINS) {
+  const counts = new Array(bins).fill(0);
+  for (const v of values) counts[Math.min(bins - 1, Math.max(0, Math.floor(clamp01(v) * bins)))]++;
+  return counts;
+}
+
+/**
+ * Empty chart with axes in a new <svg>: returns the svg and scale functions
+ * mapping data to SVG coordinates. `x` and `y` are { min, max, label,
+ * ticks }.
+ */
+function createChartFrame(parent, title, x, y) {
+  const figure = parent.createDiv({ cls: 'tqa-chart' });
+  figure.createEl('p', { cls: 'tqa-chart-title', text: title });
+  const svg = figure.createSvg('svg', {
+    attr: { viewBox: `0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`, role: 'img', 'aria-label': title }
+  });
+  const m = CHART_MARGIN;
+  const innerW = CHART_WIDTH - m.left - m.right;
+  const innerH = CHART_HEIGHT - m.top - m.bottom;
+  const sx = (v) => m.left + ((v - x.min) / (x.max - x.min || 1)) * innerW;
+  const sy = (v) => m.top + innerH - ((v - y.min) / (y.max - y.min || 1)) * innerH;
+  const axes = svg.createSvg('g', { cls: 'tqa-chart-axes' });
+  axes.createSvg('line', { attr: { x1: m.left, y1: m.top + innerH, x2: m.left + innerW, y2: m.top + innerH } });
+  axes.createSvg('line', { attr: { x1: m.left, y1: m.top, x2: m.left, y2: m.top + innerH } });
+  for (const t of x.ticks) {
+    axes.createSvg('text', { attr: { x: sx(t), y: m.top + innerH + 10, 'text-anchor': 'middle' } }).textContent = String(t);
+  }
+  for (const t of y.ticks) {
+    axes.createSvg('text', { attr: { x: m.left - 4, y: sy(t) + 3, 'text-anchor': 'end' } }).textContent = String(t);
+  }
+  axes.createSvg('text', { cls: 'tqa-chart-label', attr: { x: m.left + innerW, y: CHART_HEIGHT - 2, 'text-anchor': 'end' } }).textContent = x.label;
+  axes.createSvg('text', { cls: 'tqa-chart-label', attr: { x: 2, y: m.top + 2, 'dominant-baseline': 'hanging' } }).textContent = y.label;
+  return { svg, sx, sy };
+}
+
+// ===================== Editor gutter and tooltips =====================
+// Labels of the readability components reported by the language packs.
+const READABILITY_LABELS = {
+  lix: 'LIX',
+  fre: 'Flesch reading ease',
+  fkGrade: 'Flesch–Kincaid grade',
+  fog: 'Gunning fog',
+  smog: 'SMOG'
+};
+
+/**
+ * Lines describing the metrics of a paragraph, shown by the editor tooltip
+ * and the gutter marker. Paragraphs edited since the last analysis carry
+ * only local readability and no backend yet.
+ */
+function paragraphMetricsLines(m) {
+  const pending = !m.backend;
+  const lines = [`SNR ${pending ? '—' : m.snr.toFixed(2)}  •  Complexity ${m.complexity.toFixed(2)}`];
+  if (typeof m.section === 'number') lines.push(`Topic ${(m.topic || 0).toFixed(2)} / Section ${m.section.toFixed(2)}`);
+  const components = m.readability || {};
+  const readability = Object.keys(READABILITY_LABELS)
+    .filter((key) => typeof components[key] === 'number')
+    .map((key) => `${READABILITY_LABELS[key]} ${key === 'smog' && !components.smogValid ? 'n/a' : components[key].toFixed(1)}`);
+  if (readability.length > 0) lines.push(readability.join('  •  '));
+  if (m.role && m.role.trim()) lines.push(`Role: ${m.role}`);
+  lines.push(pending ? 'Backend: awaiting analysis' : `Backend: ${m.backend}`);
+  return lines;
+}
+
+// Metrics of one sentence (see computeSentenceMetrics) for the tooltip and cards.
+function sentenceMetricsLine(s) {
+  const parts = [`Complexity ${s.complexity.toFixed(2)}`, `${s.words} words`];
+  if (typeof s.snr === 'number') parts.push(`Relevance ${s.snr.toFixed(2)}`);
+  return parts.join('  •  ');
+}
+
+// Gutter bar next to each line of an analysed paragraph: its colour is the
+// SNR colour of the paragraph, its width grows with complexity.
+class ParagraphGutterMarker extends GutterMarker {
+  constructor(color, width, title, first) {
+    super();
+    this.color = color;
+    this.width = width;
+    this.title = title;
+    this.first = first;
+  }
+
+  eq(other) {
+    return other.color === this.color && other.width === this.width && other.title === this.title && other.first === this.first;
+  }
+
+  toDOM() {
+    const el = document.createElement('div');
+    el.className = this.first ? 'tqa-gutter-marker tqa-gutter-marker-first' : 'tqa-gutter-marker';
+    el.style.backgroundColor = this.color;
+    el.style.width = `${this.width}px`;
+    el.title = this.title;
+    return el;
+  }
+}
+
+// Per-note min/max of SNR and complexity, used to normalise colours.
+function computeMetricRanges(metrics) {
+  const snrValues = (metrics || []).map((m) => (typeof m.snr === 'number' ? m.snr : 0));
+  const compValues = (metrics || []).map((m) => (typeof m.complexity === 'number' ? m.complexity : 0));
+  return {
+    snrMin: snrValues.length ? Math.min(...snrValues) : 0,
+    snrMax: snrValues.length ? Math.max(...snrValues) : 1,
+    compMin: compValues.length ? Math.min(...compValues) : 0,
+    compMax: compValues.length ? Math.max(...compValues) : 1
+  };
+}
+
+// ===================== Benchmark =====================
+// A generated note for checking that typing stays fast in long documents.
+const BENCHMARK_NOTE_LINES = 20000;
+const BENCHMARK_KEYSTROKES = 100;
+
+const BENCHMARK_WORDS = (
+  'draft chapter reader argument evidence river winter signal noise measure ' +
+  'structure harbour letter method result figure season garden question answer ' +
+  'theory practice archive station market journey memory language pattern detail'
+).split(' ');
+
+/**
+ * Markdown text of a benchmark note of about `lines` lines: sections with
+ * paragraphs, lists and the odd code block, every paragraph unique. Words
+ * come from a fixed-seed generator, so the note is the same on every run.
+ */
+function buildBenchmarkNote(lines = BENCHMARK_NOTE_LINES) {
+  let seed = 1;
+  const random = () => {
+    seed = (Math.imul(seed, 1103515245) + 12345) >>> 0;
+    return seed / 4294967296;
+  };
+  const sentence = (n) => {
+    const words = [];
+    for (let i = 0; i < 8 + Math.floor(random() * 10); i++) words.push(BENCHMARK_WORDS[Math.floor(random() * BENCHMARK_WORDS.length)]);
+    words[0] = words[0][0].toUpperCase() + words[0].slice(1);
+    return `${words.join(' ')} ${n}.`;
+  };
+  const out = ['# Benchmark manuscript', ''];
+  let n = 0;
+  while (out.length < lines) {
+    n++;
+    if (n % 20 === 1) out.push(`## Section ${Math.ceil(n / 20)}`, '');
+    const kind = n % 11;
+    if (kind === 5) {
+      for (let i = 0; i < 4; i++) out.push(`- ${sentence(`${n}.${i}`)}`);
+    } else if (kind === 9) {
+      out.push('```js', `const value${n} = ${n};`, `console.log(value${n});`, '```');
+    } else {
+      for (let i = 0, count = 3 + Math.floor(random() * 4); i < count; i++) out.push(sentence(`${n}.${i}`));
+    }
+    out.push('');
+  }
+  return out.join('\n');
+}
+
+// ===================== Note topic =====================
+// Frontmatter key that sets the topic of a single note.
+const TOPIC_FRONTMATTER_KEY = 'tqa-topic';
+
+// Human-readable names of the places a topic can come from.
+const TOPIC_SOURCE_LABELS = {
+  frontmatter: `frontmatter (${TOPIC_FRONTMATTER_KEY})`,
+  heading: 'H1 heading',
+  title: 'note title',
+  tags: 'tags',
+  settings: 'global setting',
+  paragraph: 'first paragraph'
+};
+
+/**
+ * Read a top-level key from YAML frontmatter text. Handles plain and quoted
+ * scalars, inline lists ([a, b]) and block lists ("- a" lines); lists come
+ * back as arrays. Returns undefined when the key is absent.
+ *
+ * @param {string} yaml Frontmatter without the --- fences
+ * @param {string} key
+ * @returns {string|string[]|undefined}
+ */
+function readFrontmatterValue(yaml, key) {
+  const lines = (yaml || '').split('\n');
+  const unquote = (v) => v.trim().replace(/^(["'])(.*)\1$/, '$2').trim();
+  for (let i = 0; i < lines.length; i++) {
+    const m = lines[i].match(/^([^\s:#][^:]*):(.*)$/);
+    if (!m || m[1].trim() !== key) continue;
+    const value = m[2].trim();
+    if (value.startsWith('[') && value.endsWith(']')) {
+      return value.slice(1, -1).split(',').map(unquote).filter((v) => v.length > 0);
+    }
+    if (value !== '') return unquote(value);
+    const items = [];
+    for (let k = i + 1; k < lines.length && /^\s*-\s/.test(lines[k]); k++) items.push(unquote(lines[k].replace(/^\s*-\s/, '')));
+    return items;
+  }
+  return undefined;
+}
+
+// Strip inline Markdown (links, emphasis, code) from heading or title text.
+function plainInlineText(text) {
+  return (text || '')
+    .replace(/\[\[([^\]|]*)\|([^\]]*)\]\]/g, '$2')
+    .replace(/\[\[([^\]]*)\]\]/g, '$1')
+    .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/[*_`~=]+/g, '')
+    .trim();
+}
+
+// Untitled notes, dates and numeric IDs say nothing about the content.
+function isMeaningfulTitle(title) {
+  const t = (title || '').trim();
+  if (!t) return false;
+  if (/^untitled(\s+\d+)?$/i.test(t) || /^без названия(\s+\d+)?$/i.test(t)) return false;
+  return !/^[\d\s._:-]+$/.test(t);
+}
+
+// "#machine-learning/transformers" → "machine learning transformers"
+function tagToWords(tag) {
+  return String(tag || '').replace(/^#/, '').replace(/[/_-]+/g, ' ').trim();
+}
+
+/**
+ * Resolve the topic of a note, in priority order: the `tqa-topic`
+ * frontmatter key, the first H1 heading, the note title (frontmatter `title`
+ * or a meaningful file name), the note's tags (frontmatter and inline), and
+ * finally the global topic setting. When none applies the text is empty and
+ * the first paragraph serves as the subject.
+ *
+ * @param {object[]} blocks    Blocks of the note (segmentMarkdown, or the index's `blocks`)
+ * @param {string} basename    File name without extension
+ * @param {string} globalTopic Topic from the settings
+ * @returns {{ text: string, source: string }} source is a TOPIC_SOURCE_LABELS key
+ */
+function resolveNoteTopic(blocks, basename, globalTopic) {
+  const frontmatter = blocks.find((b) => b.kind === 'frontmatter');
+  const yaml = frontmatter ? frontmatter.text : '';
+  const scalar = (key) => {
+    const v = readFrontmatterValue(yaml, key);
+    return typeof v === 'string' ? v : Array.isArray(v) ? v.join(', ') : '';
+  };
+
+  const explicit = scalar(TOPIC_FRONTMATTER_KEY);
+  if (explicit) return { text: explicit, source: 'frontmatter' };
+
+  const h1 = blocks.find((b) => b.kind === 'heading' && b.level === 1);
+  if (h1 && plainInlineText(h1.text)) return { text: plainInlineText(h1.text), source: 'heading' };
+
+  const title = plainInlineText(scalar('title') || basename || '');
+  if (isMeaningfulTitle(title)) return { text: title, source: 'title' };
+
+  const tags = [];
+  const fmTags = readFrontmatterValue(yaml, 'tags');
+  (Array.isArray(fmTags) ? fmTags : typeof fmTags === 'string' ? fmTags.split(/[,\s]+/) : []).forEach((t) => tags.push(tagToWords(t)));
+  for (const block of blocks) {
+    if (!isProseBlock(block)) continue;
+    for (const m of block.text.matchAll(/(?:^|\s)#([\p{L}_][\p{L}\p{N}_/-]*)/gu)) tags.push(tagToWords(m[1]));
+  }
+  const uniqueTags = Array.from(new Set(tags.filter((t) => t.length > 0)));
+  if (uniqueTags.length > 0) return { text: uniqueTags.join(', '), source: 'tags' };
+
+  if (globalTopic && globalTopic.trim()) return { text: globalTopic.trim(), source: 'settings' };
+  return { text: '', source: 'paragraph' };
+}
+
+// Subject paragraphs are compared against: the topic, or the first paragraph.
+function subjectFor(topic, paragraphs) {
+  return topic && topic.trim().length > 0 ? topic : paragraphs[0] || '';
+}
+
+// Section of a paragraph for section-relative SNR: its heading chain, or ''
+// above the first heading.
+function sectionLabel(headingPath) {
+  return (headingPath || []).join(' › ');
+}
+
+/**
+ * Combine relevance to the note topic with relevance to each paragraph's
+ * section: (1 - weight) * topic + weight * section. Paragraphs outside any
+ * section, or without a section score, keep their topic score.
+ *
+ * @param {number[]} topicScores
+ * @param {(number|null)[]} sectionScores
+ * @param {string[]} sections Section labels aligned with the scores
+ * @param {number} weight     Share of the section score in [0,1]
+ * @returns {number[]}
+ */
+function blendSectionScores(topicScores, sectionScores, sections, weight) {
+  const w = clamp01(weight);
+  return topicScores.map((t, i) => {
+    const sec = sectionScores ? sectionScores[i] : null;
+    if (!sections[i] || typeof sec !== 'number') return t;
+    return (1 - w) * t + w * sec;
+  });
 }
 
 // Compute heuristic metrics for a list of paragraphs. Each metric is normalised
-// between 0 and 1. The signal‑to‑noise ratio is approximated as the fraction
-// of unique tokens. Complexity is estimated by the fraction of words longer
-// than six characters. Topic score counts occurrences of the topic within the
-// paragraph relative to a small threshold.
-function computeHeuristicMetrics(paragraphs, topic) {
+// between 0 and 1. The signal‑to‑noise ratio is the offline relevance of the
+// paragraph to the topic (or to the first paragraph when no topic is set),
+// scored with BM25 or TF-IDF over the note's paragraphs (see scoreRelevance);
+// the 'lexical' method keeps the old fraction of unique tokens. Complexity
+// comes from the readability formulas of the paragraph's language pack (see
+// analyzeParagraphReadability). Topic score is the relevance to an explicit
+// topic; the lexical method counts occurrences of the topic instead.
+//
+// options: { method: 'bm25' | 'tfidf' | 'lexical', corpus, vaultStats,
+// sections, sectionWeight } — corpus holds all paragraphs of the note when
+// `paragraphs` is a subset; sections (labels aligned with `paragraphs`) turn
+// on section-relative SNR, blended with the topic score by sectionWeight.
+function computeHeuristicMetrics(paragraphs, topic, language = 'auto', options = {}) {
+  const { method = 'bm25', corpus = null, vaultStats = null, sections = null, sectionWeight = 0.5 } = options;
+  const hasTopic = !!(topic && topic.trim());
+  let relevance = null;
+  let sectionScores = null;
+  if (method !== 'lexical') {
+    const subject = hasTopic ? topic : ((corpus || paragraphs)[0] || '');
+    relevance = scoreRelevance(paragraphs, subject, { method, language, corpus, vaultStats });
+    if (sections) {
+      // Score every section's paragraphs against its own heading chain
+      sectionScores = paragraphs.map(() => null);
+      for (const label of new Set(sections.filter(Boolean))) {
+        const members = [];
+        sections.forEach((s, i) => { if (s === label) members.push(i); });
+        const scores = scoreRelevance(members.map((i) => paragraphs[i]), label, { method, language, corpus: corpus || paragraphs, vaultStats });
+        members.forEach((i, k) => { sectionScores[i] = scores[k]; });
+      }
+    }
+  }
+  const snrScores = relevance && sectionScores
+    ? blendSectionScores(relevance, sectionScores, sections, sectionWeight).map((x) => Math.round(x * 1000) / 1000)
+    : relevance;
   const results = [];
   const topicLower = (topic || '').toLowerCase();
-  for (const para of paragraphs) {
-    const words = para.split(/\s+/).filter((w) => w.length > 0);
-    const cleaned = words.map((w) =>
-      w
-        .replace(/[^\p{L}\p{N}]+/gu, '')
-        .toLowerCase()
-        .trim()
-    );
-    const uniq = new Set(cleaned.filter((w) => w.length > 0));
-    const snr = words.length > 0 ? uniq.size / words.length : 0;
-    // Readability-based complexity (LIX + SMOG for Russian)
-    const lix = russianLixIndex(para);
-    const smogInfo = russianSmogIndex(para);
-    const smog = smogInfo.value;
-    const smogValid = smogInfo.valid;
-    const complexity = calculateComplexity(lix, smog, smogValid);
+  paragraphs.forEach((para, i) => {
+    let snr;
+    if (snrScores) {
+      snr = snrScores[i];
+    } else {
+      const words = para.split(/\s+/).filter((w) => w.length > 0);
+      const cleaned = words.map((w) =>
+        w
+          .replace(/[^\p{L}\p{N}]+/gu, '')
+          .toLowerCase()
+          .trim()
+      );
+      const uniq = new Set(cleaned.filter((w) => w.length > 0));
+      snr = words.length > 0 ? uniq.size / words.length : 0;
+    }
+    // Readability-based complexity via the detected (or forced) language pack
+    const { language: lang, complexity, readability } = analyzeParagraphReadability(para, language);
     let topicScore = 0;
-    if (topicLower.length > 0) {
+    if (hasTopic && relevance) {
+      topicScore = relevance[i];
+    } else if (topicLower.length > 0) {
       const occur = para.toLowerCase().split(topicLower).length - 1;
       topicScore = occur > 0 ? Math.min(1, occur / 3) : 0;
     }
-    results.push({ snr, complexity, topic: topicScore });
-  }
+    const metric = { snr, complexity, topic: topicScore, language: lang, readability };
+    if (sectionScores && sectionScores[i] !== null) metric.section = sectionScores[i];
+    results.push(metric);
+  });
   return results;
 }
 
@@ -186,285 +1171,1549 @@ function calculateComplexity(lix, smog, smogValid) {
   return Math.round(avg * 1000) / 1000;
 }
 
-// Convert a numeric ratio (0‑1) into a pastel hue. A low ratio maps to red and
-// a high ratio maps to green. Saturation and lightness are fixed to produce
-// pleasant pastel shades.
-function snrToBackgroundColor(snr) {
-  const hue = Math.max(0, Math.min(120, snr * 120));
-  return `hsl(${hue}, 80%, 90%)`;
+// ===================== Readability helpers (EN) =====================
+// Common abbreviations whose trailing dot does not end a sentence.
+const ENGLISH_ABBREVIATIONS = ['mr', 'mrs', 'ms', 'dr', 'prof', 'sr', 'jr', 'st', 'vs', 'etc', 'e.g', 'i.e', 'fig', 'no', 'approx'];
+
+function extractEnglishWords(text) {
+  const match = text.match(/[A-Za-z]+(?:['’][A-Za-z]+)*/g);
+  return match ? match : [];
 }
 
-// Convert complexity into a greyscale text colour. High complexity results in a
-// darker colour; low complexity yields lighter text. The range of lightness is
-// capped between 30% and 80% for readability.
-function complexityToTextColor(complexity) {
-  const lightness = 30 + (1 - Math.max(0, Math.min(1, complexity))) * 50;
-  return `hsl(0, 0%, ${lightness}%)`;
+function splitSentencesEnglish(text) {
+  return splitSentencesWithAbbreviations(text, ENGLISH_ABBREVIATIONS);
 }
 
-// Helpers to interpolate between two hex colours. These functions convert
-// hex strings to RGB tuples, interpolate linearly and return a new hex
-// string. They are used to build colour gradients based on plugin
-// settings.
-function hexToRgb(hex) {
-  let h = hex.replace(/^#/, '');
-  if (h.length === 3) {
-    h = h[0] + h[0] + h[1] + h[1] + h[2] + h[2];
+// Split on terminal punctuation followed by whitespace, except after a known
+// abbreviation ("e.g.", "Mr.") or a single-letter initial ("J.").
+function splitSentencesWithAbbreviations(text, abbreviations) {
+  if (!text) return [];
+  const sentences = [];
+  let current = '';
+  const tokens = text.replace(/\r\n/g, '\n').split(/(\s+)/);
+  for (const token of tokens) {
+    current += token;
+    if (!/[.!?…]["')\]]*$/.test(token)) continue;
+    const bare = token.replace(/["')\]]+$/, '').replace(/[.!?…]+$/, '').replace(/^["'(\[]+/, '').toLowerCase();
+    if (/\.$/.test(token.replace(/["')\]]+$/, '')) && (abbreviations.includes(bare) || /^\p{L}$/u.test(bare))) continue;
+    sentences.push(current.trim());
+    current = '';
   }
-  const r = parseInt(h.slice(0, 2), 16);
-  const g = parseInt(h.slice(2, 4), 16);
-  const b = parseInt(h.slice(4, 6), 16);
-  return { r, g, b };
+  if (current.trim()) sentences.push(current.trim());
+  return sentences.filter((s) => s.length > 0);
 }
 
-function rgbToHex({ r, g, b }) {
-  const toHex = (n) => n.toString(16).padStart(2, '0');
-  return `#${toHex(r)}${toHex(g)}${toHex(b)}`;
+function countEnglishSyllables(word) {
+  let w = (word || '').toLowerCase().replace(/[^a-z]/g, '');
+  if (w.length === 0) return 1;
+  if (w.length <= 3) return 1;
+  // Silent endings: "-es", "-ed" and a final "e" (but keep "-le" as in "table")
+  w = w.replace(/(?:[^laeiouy]es|[^ltdaeiouy]ed|[^laeiouy]e)$/, (m) => m[0]);
+  w = w.replace(/^y/, '');
+  const groups = w.match(/[aeiouy]+/g);
+  let count = groups ? groups.length : 0;
+  // Vowel pairs that are usually pronounced as two syllables
+  const split = w.match(/(?:ia|io(?!u)|iu|eo|ua|uo)/g);
+  if (split) count += split.length;
+  return count > 0 ? count : 1;
 }
 
-function interpolateColor(hex1, hex2, t) {
-  const c1 = hexToRgb(hex1);
-  const c2 = hexToRgb(hex2);
-  const r = Math.round(c1.r + (c2.r - c1.r) * t);
-  const g = Math.round(c1.g + (c2.g - c1.g) * t);
-  const b = Math.round(c1.b + (c2.b - c1.b) * t);
-  return rgbToHex({ r, g, b });
+function englishSentenceStats(text) {
+  const sentences = splitSentencesEnglish(text);
+  const words = extractEnglishWords(text);
+  let syllables = 0;
+  let polysyllables = 0;
+  for (const w of words) {
+    const s = countEnglishSyllables(w);
+    syllables += s;
+    if (s >= 3) polysyllables++;
+  }
+  return { numSentences: sentences.length, numWords: words.length, words, syllables, polysyllables };
 }
 
-// Parse CSS color string (#hex or rgb/rgba) to {r,g,b}
-function cssColorToRgb(color) {
-  if (!color) return { r: 255, g: 255, b: 255 };
-  const c = color.trim();
-  if (c.startsWith('#')) return hexToRgb(c);
-  const m = c.match(/rgba?\(\s*(\d+)\s*,\s*(\d+)\s*,\s*(\d+)/i);
-  if (m) {
-    return { r: parseInt(m[1], 10), g: parseInt(m[2], 10), b: parseInt(m[3], 10) };
-  }
-  // Fallback to white
-  return { r: 255, g: 255, b: 255 };
+function englishFleschReadingEase(text) {
+  if (!text || !text.trim()) return null;
+  const { numSentences, numWords, syllables } = englishSentenceStats(text);
+  if (numSentences === 0 || numWords === 0) return null;
+  const fre = 206.835 - 1.015 * (numWords / numSentences) - 84.6 * (syllables / numWords);
+  return Math.round(fre * 1000) / 1000;
 }
 
-/**
- * Robust wrapper for OpenAI chat completions that adapts to models which
- * require 'max_completion_tokens' instead of 'max_tokens' (e.g. gpt‑5 family).
- * Returns parsed JSON body.
- */
-async function callOpenAiChat(apiKey, model, messages, options = {}) {
-  const { temperature = 0, maxTokens = undefined, responseFormat = undefined } = options;
-  const endpoint = 'https://api.openai.com/v1/chat/completions';
-  const baseHeaders = { 'Content-Type': 'application/json', Authorization: `Bearer ${apiKey}` };
-  const prefersCompletionTokens = /gpt-5/i.test(model || '');
-  const baseBody = { model, messages };
-  // gpt-5 family не поддерживает произвольную температуру — используем значение по умолчанию (не передаём параметр)
-  if (!prefersCompletionTokens && typeof temperature === 'number') baseBody.temperature = temperature;
-  if (responseFormat) baseBody.response_format = responseFormat;
-
-  // Choose token field based on model family
-  const body1 = Object.assign({}, baseBody);
-  if (typeof maxTokens === 'number') {
-    if (prefersCompletionTokens) body1.max_completion_tokens = maxTokens;
-    else body1.max_tokens = maxTokens;
-  }
-  let res = await fetch(endpoint, { method: 'POST', headers: baseHeaders, body: JSON.stringify(body1) });
-  if (res.ok) return await res.json();
-  // Inspect error to decide retry
-  let errText = '';
-  try { errText = await res.text(); } catch (e) {}
-  let shouldRetry = false;
-  try {
-    const errJson = JSON.parse(errText);
-    const msg = errJson?.error?.message || '';
-    const param = errJson?.error?.param || '';
-    if (param === 'max_tokens' || param === 'max_completion_tokens' || msg.toLowerCase().includes('max_tokens') || msg.toLowerCase().includes('max_completion_tokens')) {
-      shouldRetry = true;
-    }
-  } catch (e) {
-    // If we cannot parse, still try retry path for gpt‑5 models heuristically
-    if ((model || '').includes('gpt-5')) shouldRetry = true;
-  }
-  if (!shouldRetry) {
-    console.error('TQA: chat completion error (no retry)', res.status, res.statusText, errText);
-    throw new Error('Chat completion failed');
-  }
-  // Second attempt with max_completion_tokens
-  const body2 = Object.assign({}, baseBody);
-  if (typeof maxTokens === 'number') body2.max_completion_tokens = prefersCompletionTokens ? undefined : maxTokens;
-  if (typeof maxTokens === 'number') body2.max_tokens = prefersCompletionTokens ? undefined : body2.max_tokens;
-  // Flip fields explicitly
-  if (typeof maxTokens === 'number') {
-    if (prefersCompletionTokens) {
-      body2.max_tokens = maxTokens; // try the other field
-      delete body2.max_completion_tokens;
+function englishFleschKincaidGrade(text) {
+  if (!text || !text.trim()) return null;
+  const { numSentences, numWords, syllables } = englishSentenceStats(text);
+  if (numSentences === 0 || numWords === 0) return null;
+  const grade = 0.39 * (numWords / numSentences) + 11.8 * (syllables / numWords) - 15.59;
+  return Math.round(grade * 1000) / 1000;
+}
+
+function englishGunningFog(text) {
+  if (!text || !text.trim()) return null;
+  const { numSentences, numWords, words } = englishSentenceStats(text);
+  if (numSentences === 0 || numWords === 0) return null;
+  // "Complex" words: three or more syllables, not proper nouns, and not
+  // reaching three syllables only through an inflectional suffix.
+  let complexWords = 0;
+  for (const w of words) {
+    if (/^[A-Z]/.test(w)) continue;
+    const stem = w.replace(/(?:es|ed|ing)$/i, '');
+    if (countEnglishSyllables(stem) >= 3) complexWords++;
+  }
+  const fog = 0.4 * (numWords / numSentences + 100 * (complexWords / numWords));
+  return Math.round(fog * 1000) / 1000;
+}
+
+function englishSmogIndex(text) {
+  if (!text || !text.trim()) return { value: null, valid: false };
+  const { numSentences, numWords, polysyllables } = englishSentenceStats(text);
+  const isValid = numSentences >= 3;
+  if (numSentences === 0) return { value: null, valid: false };
+  if (numWords === 0) return { value: null, valid: isValid };
+  const smog = 1.043 * Math.sqrt(polysyllables * (30 / numSentences)) + 3.1291;
+  return { value: Math.round(smog * 1000) / 1000, valid: isValid };
+}
+
+// Combine the English formulas into a single [0,1] complexity score. Flesch
+// Reading Ease is inverted (higher = easier); the grade-level formulas are
+// normalised over typical school-grade ranges. SMOG contributes only when the
+// paragraph has at least three sentences, mirroring the Russian pipeline.
+function calculateEnglishComplexity(fre, fkGrade, fog, smog, smogValid) {
+  const nFre = normalizeScore(fre, 0, 100);
+  const parts = [
+    isNaN(nFre) ? NaN : Math.round((1 - nFre) * 1000) / 1000,
+    normalizeScore(fkGrade, 0, 18),
+    normalizeScore(fog, 6, 20),
+    smogValid ? normalizeScore(smog, 3, 20) : NaN
+  ];
+  const vals = parts.filter((v) => !isNaN(v));
+  if (vals.length === 0) return 0;
+  const avg = vals.reduce((a, b) => a + b, 0) / vals.length;
+  return Math.round(avg * 1000) / 1000;
+}
+
+// ===================== Readability helpers (UK) =====================
+function extractUkrainianWords(text) {
+  const match = text.match(/[А-ЩЬЮЯЄІЇҐа-щьюяєіїґ]+(?:['’ʼ][А-ЩЬЮЯЄІЇҐа-щьюяєіїґ]+)*/gu);
+  return match ? match.filter((w) => w.length >= 2) : [];
+}
+
+function countUkrainianSyllables(word) {
+  const vowels = 'аеєиіїоуюя';
+  let count = 0;
+  const w = (word || '').toLowerCase();
+  for (let i = 0; i < w.length; i++) {
+    if (vowels.indexOf(w[i]) !== -1) count++;
+  }
+  return count > 0 ? count : 1;
+}
+
+// ===================== Readability helpers (DE) =====================
+const GERMAN_ABBREVIATIONS = ['z.b', 'd.h', 'u.a', 'usw', 'bzw', 'ca', 'vgl', 'nr', 'dr', 'prof', 'hr', 'fr', 'evtl', 'ggf', 's'];
+
+function extractGermanWords(text) {
+  const match = text.match(/[A-Za-zÄÖÜäöüß]+/g);
+  return match ? match.filter((w) => w.length >= 2) : [];
+}
+
+function splitSentencesGerman(text) {
+  return splitSentencesWithAbbreviations(text, GERMAN_ABBREVIATIONS);
+}
+
+function countGermanSyllables(word) {
+  // Diphthongs (ei, ie, au, eu, äu) form a single vowel group.
+  const groups = (word || '').toLowerCase().match(/[aeiouyäöü]+/g);
+  return groups && groups.length > 0 ? groups.length : 1;
+}
+
+// Generic LIX over any language pack. LIX only needs words, sentences and
+// long words, so it transfers between languages unchanged.
+function packLixIndex(pack, text) {
+  if (!text || !text.trim()) return null;
+  const numSentences = pack.splitSentences(text).length;
+  if (numSentences === 0) return null;
+  const words = pack.tokenize(text);
+  if (words.length === 0) return null;
+  const numLongWords = words.reduce((acc, w) => (w.length > 6 ? acc + 1 : acc), 0);
+  const lix = words.length / numSentences + 100 * (numLongWords / words.length);
+  return Math.round(lix * 1000) / 1000;
+}
+
+function packSmogIndex(pack, text) {
+  if (!text || !text.trim()) return { value: null, valid: false };
+  const numSentences = pack.splitSentences(text).length;
+  const isValid = numSentences >= 3;
+  if (numSentences === 0) return { value: null, valid: false };
+  const words = pack.tokenize(text);
+  if (words.length === 0) return { value: null, valid: isValid };
+  const polysyllables = words.reduce((acc, w) => (pack.countSyllables(w) >= 3 ? acc + 1 : acc), 0);
+  const smog = 1.043 * Math.sqrt(polysyllables * (30 / numSentences)) + 3.1291;
+  return { value: Math.round(smog * 1000) / 1000, valid: isValid };
+}
+
+// Flesch-Amstad (German adaptation of Flesch Reading Ease) and the first
+// Wiener Sachtextformel (grade level for German non-fiction).
+function germanReadabilityStats(text) {
+  const numSentences = splitSentencesGerman(text).length;
+  const words = extractGermanWords(text);
+  if (numSentences === 0 || words.length === 0) return null;
+  let syllables = 0;
+  let poly = 0;
+  let mono = 0;
+  let long = 0;
+  for (const w of words) {
+    const s = countGermanSyllables(w);
+    syllables += s;
+    if (s >= 3) poly++;
+    if (s === 1) mono++;
+    if (w.length > 6) long++;
+  }
+  const n = words.length;
+  const asl = n / numSentences;
+  const amstad = 180 - asl - 58.5 * (syllables / n);
+  const wstf = 0.1935 * (100 * poly / n) + 0.1672 * asl + 0.1297 * (100 * long / n) - 0.0327 * (100 * mono / n) - 0.875;
+  return { amstad: Math.round(amstad * 1000) / 1000, wstf: Math.round(wstf * 1000) / 1000 };
+}
+
+function averageNormalized(values) {
+  const vals = values.filter((v) => !isNaN(v));
+  if (vals.length === 0) return 0;
+  const avg = vals.reduce((a, b) => a + b, 0) / vals.length;
+  return Math.round(avg * 1000) / 1000;
+}
+
+// ===================== Stemmers =====================
+// Snowball (Porter) stemmer for Russian. Works on the RV region: everything
+// after the first vowel.
+const RU_PERFECTIVE_GERUND = /((ив|ивши|ившись|ыв|ывши|ывшись)|((?<=[ая])(в|вши|вшись)))$/;
+const RU_REFLEXIVE = /(с[яь])$/;
+const RU_ADJECTIVE = /(ее|ие|ые|ое|ими|ыми|ей|ий|ый|ой|ем|им|ым|ом|его|ого|ему|ому|их|ых|ую|юю|ая|яя|ою|ею)$/;
+const RU_PARTICIPLE = /((ивш|ывш|ующ)|((?<=[ая])(ем|нн|вш|ющ|щ)))$/;
+const RU_VERB = /((ила|ыла|ена|ейте|уйте|ите|или|ыли|ей|уй|ил|ыл|им|ым|ен|ило|ыло|ено|ят|ует|уют|ит|ыт|ены|ить|ыть|ишь|ую|ю)|((?<=[ая])(ла|на|ете|йте|ли|й|л|ем|н|ло|но|ет|ют|ны|ть|ешь|нно)))$/;
+const RU_NOUN = /(а|ев|ов|ие|ье|е|иями|ями|ами|еи|ии|и|ией|ей|ой|ий|й|иям|ям|ием|ем|ам|ом|о|у|ах|иях|ях|ы|ь|ию|ью|ю|ия|ья|я)$/;
+const RU_DERIVATIONAL = /[^аеиоуыэюя][аеиоуыэюя]+[^аеиоуыэюя]+[аеиоуыэюя].*(?<=о)сть?$/;
+const RU_SUPERLATIVE = /(ейше|ейш)$/;
+
+function stemRussian(word) {
+  const w = (word || '').toLowerCase().replace(/ё/g, 'е');
+  const m = w.match(/^(.*?[аеиоуыэюя])(.*)$/);
+  if (!m) return w;
+  const head = m[1];
+  let rv = m[2];
+  // Step 1: gerunds, or reflexive + adjectival / verb / noun endings
+  let temp = rv.replace(RU_PERFECTIVE_GERUND, '');
+  if (temp !== rv) {
+    rv = temp;
+  } else {
+    rv = rv.replace(RU_REFLEXIVE, '');
+    temp = rv.replace(RU_ADJECTIVE, '');
+    if (temp !== rv) {
+      rv = temp.replace(RU_PARTICIPLE, '');
     } else {
-      body2.max_completion_tokens = maxTokens;
-      delete body2.max_tokens;
+      temp = rv.replace(RU_VERB, '');
+      rv = temp !== rv ? temp : rv.replace(RU_NOUN, '');
     }
   }
-  new Notice('Chat model token parameter adjusted; retrying request.');
-  res = await fetch(endpoint, { method: 'POST', headers: baseHeaders, body: JSON.stringify(body2) });
-  if (!res.ok) {
-    let err2 = '';
-    try { err2 = await res.text(); } catch (e) {}
-    console.error('TQA: chat completion retry failed', res.status, res.statusText, err2);
-    throw new Error('Chat completion failed');
+  // Step 2
+  rv = rv.replace(/и$/, '');
+  // Step 3: derivational -ост(ь)
+  if (RU_DERIVATIONAL.test(rv)) rv = rv.replace(/ость?$/, '');
+  // Step 4: soft sign, superlatives, double н
+  temp = rv.replace(/ь$/, '');
+  rv = temp !== rv ? temp : rv.replace(RU_SUPERLATIVE, '').replace(/нн$/, 'н');
+  return head + rv;
+}
+
+// Porter stemmer for English (the original 1980 algorithm).
+const EN_STEP2 = {
+  ational: 'ate', tional: 'tion', enci: 'ence', anci: 'ance', izer: 'ize', bli: 'ble', alli: 'al', entli: 'ent', eli: 'e',
+  ousli: 'ous', ization: 'ize', ation: 'ate', ator: 'ate', alism: 'al', iveness: 'ive', fulness: 'ful', ousness: 'ous',
+  aliti: 'al', iviti: 'ive', biliti: 'ble', logi: 'log'
+};
+const EN_STEP3 = { icate: 'ic', ative: '', alize: 'al', iciti: 'ic', ical: 'ic', ful: '', ness: '' };
+const EN_C = '[^aeiou][^aeiouy]*';
+const EN_V = '[aeiouy][aeiou]*';
+const EN_M_GT0 = new RegExp(`^(${EN_C})?${EN_V}${EN_C}`);
+const EN_M_EQ1 = new RegExp(`^(${EN_C})?${EN_V}${EN_C}(${EN_V})?$`);
+const EN_M_GT1 = new RegExp(`^(${EN_C})?${EN_V}${EN_C}${EN_V}${EN_C}`);
+const EN_HAS_VOWEL = new RegExp(`^(${EN_C})?[aeiouy]`);
+const EN_CVC = new RegExp(`^${EN_C}[aeiouy][^aeiouwxy]$`);
+
+function stemEnglish(word) {
+  let w = (word || '').toLowerCase();
+  if (w.length < 3) return w;
+  const initialY = w[0] === 'y';
+  if (initialY) w = 'Y' + w.slice(1);
+  let m;
+  // Step 1a
+  if (/^(.+?)(ss|i)es$/.test(w)) w = w.replace(/^(.+?)(ss|i)es$/, '$1$2');
+  else if (/^(.+?)([^s])s$/.test(w)) w = w.replace(/^(.+?)([^s])s$/, '$1$2');
+  // Step 1b
+  if ((m = /^(.+?)eed$/.exec(w))) {
+    if (EN_M_GT0.test(m[1])) w = w.slice(0, -1);
+  } else if ((m = /^(.+?)(ed|ing)$/.exec(w)) && EN_HAS_VOWEL.test(m[1])) {
+    w = m[1];
+    if (/(at|bl|iz)$/.test(w)) w += 'e';
+    else if (/([^aeiouylsz])\1$/.test(w)) w = w.slice(0, -1);
+    else if (EN_CVC.test(w)) w += 'e';
   }
-  return await res.json();
+  // Step 1c
+  if ((m = /^(.+?)y$/.exec(w)) && EN_HAS_VOWEL.test(m[1])) w = m[1] + 'i';
+  // Step 2
+  m = /^(.+?)(ational|tional|enci|anci|izer|bli|alli|entli|eli|ousli|ization|ation|ator|alism|iveness|fulness|ousness|aliti|iviti|biliti|logi)$/.exec(w);
+  if (m && EN_M_GT0.test(m[1])) w = m[1] + EN_STEP2[m[2]];
+  // Step 3
+  m = /^(.+?)(icate|ative|alize|iciti|ical|ful|ness)$/.exec(w);
+  if (m && EN_M_GT0.test(m[1])) w = m[1] + EN_STEP3[m[2]];
+  // Step 4
+  if ((m = /^(.+?)(al|ance|ence|er|ic|able|ible|ant|ement|ment|ent|ou|ism|ate|iti|ous|ive|ize)$/.exec(w))) {
+    if (EN_M_GT1.test(m[1])) w = m[1];
+  } else if ((m = /^(.+?)([st])ion$/.exec(w))) {
+    if (EN_M_GT1.test(m[1] + m[2])) w = m[1] + m[2];
+  }
+  // Step 5
+  if ((m = /^(.+?)e$/.exec(w))) {
+    const stem = m[1];
+    if (EN_M_GT1.test(stem) || (EN_M_EQ1.test(stem) && !EN_CVC.test(stem))) w = stem;
+  }
+  if (/ll$/.test(w) && EN_M_GT1.test(w)) w = w.slice(0, -1);
+  if (initialY) w = 'y' + w.slice(1);
+  return w;
 }
 
-// Responses API support for gpt-5 has been removed due to instability.
+// ===================== Language packs =====================
+// A language pack bundles everything the heuristics need for one language:
+// tokenizer, sentence splitter, syllable counter, stop words, an optional
+// stemmer (used by relevance scoring) and a readability function returning
+// { complexity, components } where complexity is normalised to [0,1] and
+// components holds the raw formula values.
+const LANGUAGE_PACKS = {};
+
+function registerLanguagePack(pack) {
+  LANGUAGE_PACKS[pack.id] = pack;
+}
+
+registerLanguagePack({
+  id: 'ru',
+  name: 'Russian',
+  script: 'cyrillic',
+  distinctive: /[ыэъё]/giu,
+  stopWords: new Set([
+    'и', 'в', 'во', 'не', 'что', 'он', 'на', 'я', 'с', 'со', 'как', 'а', 'то', 'все', 'она', 'так', 'его', 'но', 'да', 'ты',
+    'к', 'у', 'же', 'вы', 'за', 'бы', 'по', 'только', 'ее', 'её', 'мне', 'было', 'вот', 'от', 'меня', 'еще', 'ещё', 'нет', 'о',
+    'из', 'ему', 'теперь', 'когда', 'даже', 'ну', 'ли', 'если', 'уже', 'или', 'ни', 'быть', 'был', 'него', 'до', 'вас', 'это',
+    'этот', 'эта', 'эти', 'который', 'которые', 'также', 'для', 'при', 'мы', 'они', 'их', 'чтобы', 'где', 'есть'
+  ]),
+  tokenize: extractRussianWords,
+  stem: stemRussian,
+  splitSentences: splitSentencesRussian,
+  countSyllables: countRussianSyllables,
+  readability(text) {
+    const lix = russianLixIndex(text);
+    const smog = russianSmogIndex(text);
+    return {
+      complexity: calculateComplexity(lix, smog.value, smog.valid),
+      components: { lix, smog: smog.value, smogValid: smog.valid }
+    };
+  }
+});
+
+registerLanguagePack({
+  id: 'uk',
+  name: 'Ukrainian',
+  script: 'cyrillic',
+  distinctive: /[іїєґʼ]/giu,
+  stopWords: new Set([
+    'і', 'й', 'та', 'в', 'у', 'на', 'з', 'із', 'зі', 'що', 'як', 'це', 'не', 'до', 'за', 'від', 'для', 'по', 'але', 'або',
+    'чи', 'так', 'він', 'вона', 'воно', 'вони', 'ми', 'ви', 'я', 'ти', 'його', 'її', 'їх', 'цей', 'ця', 'ці', 'який', 'яка',
+    'які', 'також', 'тому', 'коли', 'якщо', 'вже', 'ще', 'був', 'була', 'було', 'бути', 'є', 'при', 'про', 'щоб', 'де', 'теж'
+  ]),
+  tokenize: extractUkrainianWords,
+  splitSentences: splitSentencesRussian,
+  countSyllables: countUkrainianSyllables,
+  readability(text) {
+    const lix = packLixIndex(this, text);
+    const smog = packSmogIndex(this, text);
+    return {
+      complexity: calculateComplexity(lix, smog.value, smog.valid),
+      components: { lix, smog: smog.value, smogValid: smog.valid }
+    };
+  }
+});
+
+registerLanguagePack({
+  id: 'en',
+  name: 'English',
+  script: 'latin',
+  distinctive: /th|wh/gi,
+  stopWords: new Set([
+    'the', 'a', 'an', 'and', 'or', 'but', 'of', 'to', 'in', 'on', 'at', 'for', 'with', 'by', 'from', 'is', 'are', 'was', 'were',
+    'be', 'been', 'it', 'its', 'this', 'that', 'these', 'those', 'as', 'not', 'no', 'he', 'she', 'they', 'we', 'you', 'i', 'his',
+    'her', 'their', 'our', 'your', 'which', 'who', 'what', 'if', 'then', 'than', 'so', 'can', 'will', 'would', 'there', 'also', 'has',
+    'have', 'had', 'do', 'does', 'into', 'about'
+  ]),
+  tokenize: (text) => extractEnglishWords(text).filter((w) => w.length >= 2),
+  stem: stemEnglish,
+  splitSentences: splitSentencesEnglish,
+  countSyllables: countEnglishSyllables,
+  readability(text) {
+    const fre = englishFleschReadingEase(text);
+    const fkGrade = englishFleschKincaidGrade(text);
+    const fog = englishGunningFog(text);
+    const smog = englishSmogIndex(text);
+    return {
+      complexity: calculateEnglishComplexity(fre, fkGrade, fog, smog.value, smog.valid),
+      components: { fre, fkGrade, fog, smog: smog.value, smogValid: smog.valid }
+    };
+  }
+});
+
+registerLanguagePack({
+  id: 'de',
+  name: 'German',
+  script: 'latin',
+  distinctive: /[äöüß]/gi,
+  stopWords: new Set([
+    'der', 'die', 'das', 'und', 'oder', 'aber', 'ist', 'sind', 'war', 'waren', 'ein', 'eine', 'einen', 'einem', 'einer', 'nicht',
+    'zu', 'in', 'im', 'mit', 'von', 'vom', 'auf', 'für', 'an', 'am', 'den', 'dem', 'des', 'sich', 'es', 'er', 'sie', 'wir', 'ihr',
+    'ich', 'du', 'auch', 'als', 'wie', 'wenn', 'dass', 'noch', 'nur', 'so', 'wird', 'werden', 'hat', 'haben', 'bei', 'aus', 'nach'
+  ]),
+  tokenize: extractGermanWords,
+  splitSentences: splitSentencesGerman,
+  countSyllables: countGermanSyllables,
+  readability(text) {
+    const lix = packLixIndex(this, text);
+    const smog = packSmogIndex(this, text);
+    const stats = germanReadabilityStats(text);
+    const amstad = stats ? stats.amstad : null;
+    const wstf = stats ? stats.wstf : null;
+    const nAmstad = normalizeScore(amstad, 0, 100);
+    return {
+      complexity: averageNormalized([
+        normalizeScore(lix, 0, 80),
+        isNaN(nAmstad) ? NaN : 1 - nAmstad,
+        normalizeScore(wstf, 4, 15),
+        smog.valid ? normalizeScore(smog.value, 3, 20) : NaN
+      ]),
+      components: { lix, amstad, wstf, smog: smog.value, smogValid: smog.valid }
+    };
+  }
+});
+
+function getLanguagePack(id) {
+  return LANGUAGE_PACKS[id] || null;
+}
+
+// Pick the most likely pack for a given script by counting distinctive
+// letters and stop-word hits. Ties resolve to the first registered pack.
+function detectLanguageForScript(text, script) {
+  const candidates = Object.values(LANGUAGE_PACKS).filter((p) => p.script === script);
+  if (candidates.length === 0) return null;
+  const tokens = (text.toLowerCase().match(/[\p{L}'’ʼ]+/gu) || []);
+  let best = candidates[0];
+  let bestScore = -1;
+  for (const pack of candidates) {
+    let score = (text.match(pack.distinctive) || []).length * 2;
+    for (const t of tokens) if (pack.stopWords.has(t)) score++;
+    if (score > bestScore) {
+      best = pack;
+      bestScore = score;
+    }
+  }
+  return best;
+}
 
 /**
- * Request vector embeddings for an array of texts via the OpenAI API. The
- * returned embeddings are arrays of floats. If the API call fails, an error
- * will be thrown. The model name must be specified (e.g. 'text-embedding-3-small').
+ * Detect the language of a paragraph. Returns a pack id, or null when the
+ * paragraph has no letters at all.
  *
- * @param {string} apiKey  The API key used for authorization.
- * @param {string} model   The name of the embedding model.
- * @param {string[]} texts An array of strings to embed.
- * @returns {Promise<number[][]>} A promise resolving to an array of embedding vectors.
+ * @param {string} text
+ * @returns {string|null}
  */
-async function fetchOpenAiEmbeddings(apiKey, model, texts) {
-  const res = await fetch('https://api.openai.com/v1/embeddings', {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-      Authorization: `Bearer ${apiKey}`
-    },
-    body: JSON.stringify({ input: texts, model })
-  });
-  if (!res.ok) {
-    const err = await res.text().catch(() => '');
-    throw new Error(`Embedding request failed: ${res.status} ${res.statusText} ${err}`);
+function detectLanguage(text) {
+  const cyr = ((text || '').match(/[\u0400-\u04FF]/g) || []).length;
+  const lat = ((text || '').match(/[A-Za-zÄÖÜäöüß]/g) || []).length;
+  if (cyr === 0 && lat === 0) return null;
+  const pack = detectLanguageForScript(text, cyr >= lat ? 'cyrillic' : 'latin');
+  return pack ? pack.id : null;
+}
+
+/**
+ * Run readability analysis for a paragraph through the matching language
+ * pack. With `language` set to 'auto' every paragraph is detected on its own;
+ * Cyrillic and Latin portions of a mixed paragraph are scored by their own
+ * packs and blended by word share. Any other value forces that pack.
+ *
+ * @param {string} text
+ * @param {string} [language='auto'] Pack id or 'auto'
+ * @returns {{ language: string|null, complexity: number, readability: object }}
+ */
+function analyzeParagraphReadability(text, language = 'auto') {
+  const forced = language && language !== 'auto' ? getLanguagePack(language) : null;
+  if (forced) {
+    const r = forced.readability(text || '');
+    return { language: forced.id, complexity: r.complexity, readability: r.components };
+  }
+  const parts = [];
+  for (const script of ['cyrillic', 'latin']) {
+    const pack = detectLanguageForScript(text || '', script);
+    if (!pack) continue;
+    const count = pack.tokenize(text || '').length;
+    if (count > 0) parts.push({ pack, count });
   }
-  const data = await res.json();
-  if (!data || !Array.isArray(data.data)) throw new Error('Invalid embedding response');
-  return data.data.map((item) => item.embedding);
+  if (parts.length === 0) return { language: null, complexity: 0, readability: {} };
+  parts.sort((a, b) => b.count - a.count);
+  const total = parts.reduce((acc, p) => acc + p.count, 0);
+  let blended = 0;
+  let readability = {};
+  parts.forEach((p, i) => {
+    const r = p.pack.readability(text);
+    blended += r.complexity * p.count;
+    // Components of the dominant pack are reported as-is
+    if (i === 0) readability = r.components;
+  });
+  return {
+    language: parts[0].pack.id,
+    complexity: Math.round((blended / total) * 1000) / 1000,
+    readability
+  };
 }
 
+// ===================== Offline relevance (TF-IDF / BM25) =====================
+// Lexical relevance of paragraphs to a subject (the topic, or the first
+// paragraph when no topic is set), usable without any API. Terms are
+// lowercased, stop words dropped and words stemmed by their language pack.
+
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
 /**
- * Compute the cosine similarity between two numeric vectors. The result is
- * normalised to the range [0, 1] where 1 indicates identical direction and 0
- * indicates orthogonality. Negative similarities (opposite directions) map to 0.
+ * Split text into relevance terms. With `language` 'auto' the pack is
+ * detected per script, so mixed Cyrillic/Latin text is stemmed correctly.
  *
- * @param {number[]} a First vector
- * @param {number[]} b Second vector
- * @returns {number}
+ * @param {string} text
+ * @param {string} [language='auto'] Pack id or 'auto'
+ * @returns {string[]}
  */
-function cosineSimilarity(a, b) {
+function relevanceTerms(text, language = 'auto') {
+  const forced = language && language !== 'auto' ? getLanguagePack(language) : null;
+  const packs = {};
+  const packFor = (script) => {
+    if (forced) return forced;
+    if (!(script in packs)) packs[script] = detectLanguageForScript(text, script);
+    return packs[script];
+  };
+  const terms = [];
+  for (const raw of (text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || []) {
+    if (raw.length < 2 || /^\d+$/.test(raw)) continue;
+    const pack = packFor(/[\u0400-\u04FF]/.test(raw) ? 'cyrillic' : 'latin');
+    if (pack && pack.stopWords.has(raw)) continue;
+    terms.push(pack && pack.stem ? pack.stem(raw) : raw);
+  }
+  return terms;
+}
+
+function termFrequencies(terms) {
+  const tf = new Map();
+  for (const t of terms) tf.set(t, (tf.get(t) || 0) + 1);
+  return tf;
+}
+
+/**
+ * Document frequencies of a collection of term lists:
+ * { df: Map<term, count>, docCount, avgLength }.
+ */
+function buildTermStats(termLists) {
+  const df = new Map();
+  let totalLength = 0;
+  for (const terms of termLists) {
+    totalLength += terms.length;
+    for (const t of new Set(terms)) df.set(t, (df.get(t) || 0) + 1);
+  }
+  const docCount = termLists.length;
+  return { df, docCount, avgLength: docCount > 0 ? totalLength / docCount : 0 };
+}
+
+// BM25 idf; always positive, so terms present everywhere still count a little.
+function inverseDocumentFrequency(stats, term) {
+  const df = stats.df.get(term) || 0;
+  return Math.log(1 + (stats.docCount - df + 0.5) / (df + 0.5));
+}
+
+function bm25Score(queryTf, docTf, docLength, stats) {
+  const avg = stats.avgLength || 1;
+  let score = 0;
+  for (const term of queryTf.keys()) {
+    const tf = docTf.get(term) || 0;
+    if (tf === 0) continue;
+    const norm = (tf * (BM25_K1 + 1)) / (tf + BM25_K1 * (1 - BM25_B + BM25_B * (docLength / avg)));
+    score += inverseDocumentFrequency(stats, term) * norm;
+  }
+  return score;
+}
+
+function tfidfVector(tf, stats) {
+  const vec = new Map();
+  for (const [term, count] of tf) vec.set(term, (1 + Math.log(count)) * inverseDocumentFrequency(stats, term));
+  return vec;
+}
+
+function sparseCosine(a, b) {
   let dot = 0;
   let normA = 0;
   let normB = 0;
-  for (let i = 0; i < a.length && i < b.length; i++) {
-    const ai = a[i];
-    const bi = b[i];
-    dot += ai * bi;
-    normA += ai * ai;
-    normB += bi * bi;
+  for (const [term, x] of a) {
+    normA += x * x;
+    const y = b.get(term);
+    if (y) dot += x * y;
   }
+  for (const y of b.values()) normB += y * y;
   if (normA === 0 || normB === 0) return 0;
-  let sim = dot / (Math.sqrt(normA) * Math.sqrt(normB));
-  // Map from [-1,1] to [0,1]
-  if (sim < -1) sim = -1;
-  if (sim > 1) sim = 1;
-  return (sim + 1) / 2;
+  return dot / (Math.sqrt(normA) * Math.sqrt(normB));
 }
 
-// Robustly parse LLM JSON content which may be double-encoded or wrapped in code fences
-function parseLlmScoresAndComplexity(rawContent) {
-  if (!rawContent || typeof rawContent !== 'string') return null;
-  let txt = rawContent.trim();
-  // Strip common code fences
-  txt = txt.replace(/^```(?:json)?\s*/i, '').replace(/```\s*$/i, '');
-  // Sometimes the whole JSON object comes inside extra quotes / is doubly encoded
-  let parsed = null;
-  const tryParse = (s) => {
-    try {
-      const p = JSON.parse(s);
-      if (typeof p === 'string') return JSON.parse(p);
-      return p;
-    } catch (e) {
-      return null;
+/**
+ * Score paragraphs by lexical relevance to `subject`, in [0,1].
+ *
+ * BM25 scores are divided by the score the subject gets against itself, so
+ * a paragraph covering the subject as fully as the subject text scores 1.
+ * TF-IDF uses cosine similarity of log-weighted vectors.
+ *
+ * @param {string[]} paragraphs Paragraphs to score
+ * @param {string} subject      Topic or first paragraph
+ * @param {object} [options]
+ * @param {'bm25'|'tfidf'} [options.method='bm25']
+ * @param {string} [options.language='auto']
+ * @param {string[]} [options.corpus] All paragraphs of the note when `paragraphs` is a subset; document frequencies come from it
+ * @param {{ df: Map, docCount: number }} [options.vaultStats] Vault-wide document frequencies (one document per note)
+ * @returns {number[]}
+ */
+function scoreRelevance(paragraphs, subject, options = {}) {
+  const { method = 'bm25', language = 'auto', corpus = null, vaultStats = null } = options;
+  const queryTerms = relevanceTerms(subject, language);
+  if (queryTerms.length === 0) return paragraphs.map(() => 0);
+  const docs = paragraphs.map((p) => relevanceTerms(p, language));
+  const local = buildTermStats(corpus ? corpus.map((p) => relevanceTerms(p, language)) : docs);
+  // Vault statistics only replace document frequencies; length normalisation
+  // stays at paragraph scale.
+  const stats = vaultStats && vaultStats.docCount > 0
+    ? { df: vaultStats.df, docCount: vaultStats.docCount, avgLength: local.avgLength }
+    : local;
+  const queryTf = termFrequencies(queryTerms);
+  const round = (x) => Math.round(clamp01(x) * 1000) / 1000;
+  if (method === 'tfidf') {
+    const queryVec = tfidfVector(queryTf, stats);
+    return docs.map((d) => round(sparseCosine(queryVec, tfidfVector(termFrequencies(d), stats))));
+  }
+  const selfScore = bm25Score(queryTf, queryTf, queryTerms.length, stats);
+  if (selfScore <= 0) return paragraphs.map(() => 0);
+  return docs.map((d) => round(bm25Score(queryTf, termFrequencies(d), d.length, stats) / selfScore));
+}
+
+// Quiet period after the last change to a note before its terms are
+// re-indexed, so autosaves while typing cost one read instead of one each.
+const TERM_STATS_UPDATE_DELAY = 2000;
+
+/**
+ * Vault-wide document frequencies for relevance scoring, one document per
+ * Markdown note (prose blocks only). Built lazily on first use and then kept
+ * current from vault events; the term set of every note stays in memory so
+ * updates are incremental.
+ */
+class VaultTermStats {
+  constructor(plugin) {
+    this.plugin = plugin;
+    this.termsByPath = new Map();
+    this.df = new Map();
+    this.ready = false;
+    this._building = null;
+    // path -> timer of a pending scheduleUpdate
+    this._pending = new Map();
+  }
+
+  get docCount() {
+    return this.termsByPath.size;
+  }
+
+  /** Resolve with this instance once every note has been indexed. */
+  ensureBuilt() {
+    if (this.ready) return Promise.resolve(this);
+    if (!this._building) {
+      this._building = (async () => {
+        for (const file of this.plugin.app.vault.getMarkdownFiles()) {
+          try {
+            await this.updateFile(file);
+          } catch (e) {
+            console.warn('TQA: could not index note for document frequencies', file.path, e);
+          }
+        }
+        this.ready = true;
+        return this;
+      })();
     }
-  };
-  parsed = tryParse(txt);
-  if (!parsed) {
-    // Try to extract the first JSON object
-    const m = txt.match(/\{[\s\S]*\}/);
-    if (m) {
-      const objText = m[0].replace(/[""]/g, '"').replace(/['']/g, "'");
-      parsed = tryParse(objText);
+    return this._building;
+  }
+
+  /**
+   * Re-index a created or modified note once it has been left alone for a
+   * moment. Does nothing until the statistics are being built.
+   */
+  scheduleUpdate(file) {
+    if (!this._building || file.extension !== 'md') return;
+    this._cancelUpdate(file.path);
+    this._pending.set(file.path, setTimeout(() => {
+      this._pending.delete(file.path);
+      this.updateFile(file).catch((e) => console.warn('TQA: could not index note for document frequencies', file.path, e));
+    }, TERM_STATS_UPDATE_DELAY));
+  }
+
+  _cancelUpdate(path) {
+    const timer = this._pending.get(path);
+    if (timer === undefined) return;
+    clearTimeout(timer);
+    this._pending.delete(path);
+  }
+
+  async updateFile(file) {
+    const text = await this.plugin.app.vault.cachedRead(file);
+    // Deleted while it was being read
+    if (!this.plugin.app.vault.getAbstractFileByPath(file.path)) return;
+    const language = this.plugin.settings.language;
+    const terms = new Set();
+    for (const para of buildParagraphIndex(text).paragraphs) {
+      for (const t of relevanceTerms(para.text, language)) terms.add(t);
     }
+    this._removeTerms(file.path);
+    this.termsByPath.set(file.path, terms);
+    for (const t of terms) this.df.set(t, (this.df.get(t) || 0) + 1);
   }
-  // If still no luck, try to repair truncated JSON
-  if (!parsed && txt.includes('"scores"') && txt.includes('[')) {
-    try {
-      // Try to close unclosed arrays and objects
-      let repaired = txt;
-      // Count open brackets
-      const openBrackets = (repaired.match(/\[/g) || []).length;
-      const closeBrackets = (repaired.match(/\]/g) || []).length;
-      const openBraces = (repaired.match(/\{/g) || []).length;
-      const closeBraces = (repaired.match(/\}/g) || []).length;
-      
-      // Add missing closing brackets
-      for (let i = 0; i < openBrackets - closeBrackets; i++) {
-        repaired += ']';
-      }
-      for (let i = 0; i < openBraces - closeBraces; i++) {
-        repaired += '}';
-      }
-      
-      // Remove trailing comma if present
-      repaired = repaired.replace(/,(\s*[\]\}])/g, '$1');
-      
-      parsed = tryParse(repaired);
-      if (parsed) {
-        console.info('TQA: Successfully repaired truncated JSON');
-      }
-    } catch (e) {
-      // Repair failed, will return null
+
+  removePath(path) {
+    this._cancelUpdate(path);
+    this._removeTerms(path);
+  }
+
+  _removeTerms(path) {
+    const terms = this.termsByPath.get(path);
+    if (!terms) return;
+    this.termsByPath.delete(path);
+    for (const t of terms) {
+      const n = (this.df.get(t) || 0) - 1;
+      if (n > 0) this.df.set(t, n);
+      else this.df.delete(t);
     }
   }
-  if (!parsed || typeof parsed !== 'object') return null;
-  const scores = Array.isArray(parsed.scores) ? parsed.scores : (Array.isArray(parsed) ? parsed : null);
-  const complexity = Array.isArray(parsed.complexity) ? parsed.complexity : null;
-  return { scores, complexity };
-}
 
-function clamp01(n) {
-  n = Number(n);
-  if (!isFinite(n)) return 0;
-  if (n < 0) return 0;
-  if (n > 1) return 1;
-  return n;
+  renamePath(oldPath, newPath) {
+    // A pending update holds the file object and re-indexes under its new path
+    const timer = this._pending.get(oldPath);
+    if (timer !== undefined) {
+      this._pending.delete(oldPath);
+      this._pending.set(newPath, timer);
+    }
+    const terms = this.termsByPath.get(oldPath);
+    if (!terms) return;
+    this.termsByPath.delete(oldPath);
+    this.termsByPath.set(newPath, terms);
+  }
+
+  clear() {
+    for (const timer of this._pending.values()) clearTimeout(timer);
+    this._pending.clear();
+    this.termsByPath.clear();
+    this.df.clear();
+    this.ready = false;
+    this._building = null;
+  }
 }
 
-function normalizeArray01(arr, targetLen) {
-  if (!Array.isArray(arr)) arr = [];
-  let out = arr.map((x) => clamp01(x));
-  if (out.length > targetLen) out = out.slice(0, targetLen);
-  if (out.length < targetLen) out = out.concat(new Array(targetLen - out.length).fill(0));
-  return out;
+// ===================== Sentences =====================
+// Sentence-level mode scores every sentence of a paragraph on its own, so one
+// overlong sentence is pointed at instead of only making its whole paragraph
+// look complex. It runs locally whatever the backend: sentences come from the
+// splitter of the paragraph's language pack, complexity from its readability
+// formulas and the optional relevance from the offline TF-IDF / BM25 scoring.
+
+/** Offending sentences listed on each card. */
+const SENTENCE_CARD_LIMIT = 3;
+
+/** Paragraphs whose sentence metrics are kept in memory. */
+const SENTENCE_CACHE_MAX = 5000;
+
+/**
+ * Split paragraph text into sentences with the splitter of its language pack:
+ * the forced one, or the detected one with 'auto' (English without letters).
+ *
+ * @param {string} text
+ * @param {string} [language='auto'] Pack id or 'auto'
+ * @returns {string[]}
+ */
+function splitParagraphSentences(text, language = 'auto') {
+  const pack = getLanguagePack(language && language !== 'auto' ? language : detectLanguage(text)) || getLanguagePack('en');
+  return pack.splitSentences(text || '');
 }
 
 /**
- * Request semantic role classification for an array of paragraphs using the
- * OpenAI chat completions API. Each paragraph is classified independently.
- * The system prompt instructs the model to choose one role from a predefined
- * list and return only the label without explanation. Returns an array of
- * strings corresponding to each paragraph. If the request fails, an error
- * will be thrown.
+ * Metrics of each sentence of a paragraph, in order:
+ * `{ text, complexity, words, snr? }`. `snr` is set with `options.relevance`
+ * when the subject has terms to match and is the lexical relevance of the
+ * sentence to `options.subject`. Document frequencies come from
+ * `options.stats` (the note's paragraphs or the vault, see buildTermStats):
+ * within the paragraph alone, a topic every sentence mentions would weigh
+ * next to nothing.
  *
- * @param {string} apiKey      The API key used for authorization.
- * @param {string} model       The chat model to use (e.g. gpt-3.5-turbo).
- * @param {string[]} paragraphs The paragraphs to classify.
- * @returns {Promise<string[]>}
+ * @param {string} text Paragraph text used for analysis
+ * @param {string} [language='auto'] Pack id or 'auto'
+ * @param {{ relevance?: boolean, subject?: string, method?: string, stats?: { df: Map, docCount: number } }} [options]
+ *   method is the heuristic SNR method; 'lexical' scores with BM25
+ * @returns {{ text: string, complexity: number, words: number, snr?: number }[]}
  */
-async function fetchOpenAiRoles(apiKey, model, paragraphs) {
-  const roles = [];
-  // Define a fixed set of semantic roles. Feel free to expand this list as needed.
-  const roleList = [
-    'humor',
+function computeSentenceMetrics(text, language = 'auto', options = {}) {
+  const { relevance = false, subject = '', method = 'bm25', stats = null } = options;
+  const sentences = splitParagraphSentences(text, language);
+  // A subject without terms would make every sentence look off-topic
+  const scores = relevance && relevanceTerms(subject, language).length > 0
+    ? scoreRelevance(sentences, subject, { method: method === 'tfidf' ? 'tfidf' : 'bm25', language, vaultStats: stats })
+    : null;
+  return sentences.map((sentence, i) => {
+    const metric = {
+      text: sentence,
+      complexity: analyzeParagraphReadability(sentence, language).complexity,
+      words: sentence.split(/\s+/).filter((w) => w.length > 0).length
+    };
+    if (scores) metric.snr = scores[i];
+    return metric;
+  });
+}
+
+/**
+ * Sentences of a paragraph that stand out, worst first: those at or above the
+ * complexity threshold by complexity, then those scored below the low SNR
+ * threshold by relevance. A paragraph of a single sentence has nothing to
+ * single out and returns none.
+ *
+ * @param {object[]} sentences Result of computeSentenceMetrics
+ * @param {number} complexityThreshold
+ * @param {number} lowSnrThreshold
+ * @param {number} [limit]
+ * @returns {object[]}
+ */
+function offendingSentences(sentences, complexityThreshold, lowSnrThreshold, limit = Infinity) {
+  if (sentences.length < 2) return [];
+  const complex = (s) => s.complexity >= complexityThreshold;
+  const severity = (s) => (complex(s) ? 1 + s.complexity : 1 - s.snr);
+  return sentences
+    .filter((s) => complex(s) || (typeof s.snr === 'number' && s.snr < lowSnrThreshold))
+    .sort((a, b) => severity(b) - severity(a))
+    .slice(0, limit);
+}
+
+/**
+ * Character ranges of sentences in the raw Markdown of their paragraph. The
+ * analysed text drops list markers and quote prefixes and may end list items
+ * with an added full stop, so the words of each sentence are found one after
+ * another; a range runs from the first word to the last plus any closing
+ * punctuation. Sentences with no word found get null.
+ *
+ * @param {string} source Raw paragraph text
+ * @param {string[]} sentences
+ * @returns {({ from: number, to: number }|null)[]}
+ */
+function locateSentences(source, sentences) {
+  let cursor = 0;
+  return sentences.map((sentence) => {
+    let from = -1;
+    let to = -1;
+    for (const word of sentence.split(/\s+/)) {
+      if (!word) continue;
+      let length = word.length;
+      let at = source.indexOf(word, cursor);
+      if (at === -1) {
+        const bare = word.replace(/[.!?…:;]+$/u, '');
+        length = bare.length;
+        at = bare ? source.indexOf(bare, cursor) : -1;
+      }
+      if (at === -1) continue;
+      if (from === -1) from = at;
+      to = at + length;
+      cursor = to;
+    }
+    if (from === -1) return null;
+    const closing = source.slice(to).match(/^[.!?…]+["')\]»”]*/u);
+    if (closing) to += closing[0].length;
+    cursor = to;
+    return { from, to };
+  });
+}
+
+// Convert a numeric ratio (0‑1) into a pastel hue. A low ratio maps to red and
+// a high ratio maps to green. Saturation and lightness are fixed to produce
+// pleasant pastel shades.
+function snrToBackgroundColor(snr) {
+  const hue = Math.max(0, Math.min(120, snr * 120));
+  return `hsl(${hue}, 80%, 90%)`;
+}
+
+// Convert complexity into a greyscale text colour. High complexity results in a
+// darker colour; low complexity yields lighter text. The range of lightness is
+// capped between 30% and 80% for readability.
+function complexityToTextColor(complexity) {
+  const lightness = 30 + (1 - Math.max(0, Math.min(1, complexity))) * 50;
+  return `hsl(0, 0%, ${lightness}%)`;
+}
+
+// Helpers to interpolate between two hex colours. These functions convert
+// hex strings to RGB tuples, interpolate linearly and return a new hex
+// string. They are used to build colour gradients based on plugin
+// settings.
+function hexToRgb(hex) {
+  let h = hex.replace(/^#/, '');
+  if (h.length === 3) {
+    h = h[0] + h[0] + h[1] + h[1] + h[2] + h[2];
+  }
+  const r = parseInt(h.slice(0, 2), 16);
+  const g = parseInt(h.slice(2, 4), 16);
+  const b = parseInt(h.slice(4, 6), 16);
+  return { r, g, b };
+}
+
+function rgbToHex({ r, g, b }) {
+  const toHex = (n) => n.toString(16).padStart(2, '0');
+  return `#${toHex(r)}${toHex(g)}${toHex(b)}`;
+}
+
+function interpolateColor(hex1, hex2, t) {
+  const c1 = hexToRgb(hex1);
+  const c2 = hexToRgb(hex2);
+  const r = Math.round(c1.r + (c2.r - c1.r) * t);
+  const g = Math.round(c1.g + (c2.g - c1.g) * t);
+  const b = Math.round(c1.b + (c2.b - c1.b) * t);
+  return rgbToHex({ r, g, b });
+}
+
+// Colour-blind-safe palettes for SNR, sampled from matplotlib's viridis and
+// cividis maps. The first stop is the lowest SNR.
+const COLOR_PALETTES = {
+  viridis: { name: 'Viridis', stops: ['#440154', '#3b528b', '#21918c', '#5ec962', '#fde725'] },
+  cividis: { name: 'Cividis', stops: ['#00224e', '#35456c', '#666970', '#948e77', '#c8b866', '#fee838'] }
+};
+
+// Share of a palette colour in the paragraph background; the rest is the
+// theme background, which keeps the text readable.
+const PALETTE_BACKGROUND_MIX = 0.35;
+
+/** Highlight styles; the metric in parentheses is the one shown. */
+const HIGHLIGHT_MODES = {
+  both: 'Background (SNR) and text (complexity)',
+  background: 'Background only (SNR)',
+  text: 'Text only (complexity)',
+  border: 'Left border bar (SNR)',
+  underline: 'Underline (SNR)'
+};
+
+// Colour at position t in [0,1] along evenly spaced palette stops.
+function paletteColor(stops, t) {
+  const x = clamp01(t) * (stops.length - 1);
+  const i = Math.min(stops.length - 2, Math.floor(x));
+  return interpolateColor(stops[i], stops[i + 1], x - i);
+}
+
+// Snap a position in [0,1] to one of `bands` levels: band i covers
+// [i/bands, (i+1)/bands) and takes the colour at i/(bands-1).
+function quantizeBand(t, bands) {
+  if (!bands || bands < 2) return t;
+  return Math.min(bands - 1, Math.floor(clamp01(t) * bands)) / (bands - 1);
+}
+
+// Parse CSS color string (#hex or rgb/rgba) to {r,g,b}
+function cssColorToRgb(color) {
+  if (!color) return { r: 255, g: 255, b: 255 };
+  const c = color.trim();
+  if (c.startsWith('#')) return hexToRgb(c);
+  const m = c.match(/rgba?\(\s*(\d+)\s*,\s*(\d+)\s*,\s*(\d+)/i);
+  if (m) {
+    return { r: parseInt(m[1], 10), g: parseInt(m[2], 10), b: parseInt(m[3], 10) };
+  }
+  // Fallback to white
+  return { r: 255, g: 255, b: 255 };
+}
+
+// Base URL of the official OpenAI API. Any OpenAI-compatible server (Ollama,
+// LM Studio, llama.cpp server, vLLM…) can be used by changing it in settings.
+const DEFAULT_OPENAI_BASE_URL = 'https://api.openai.com/v1';
+const ANTHROPIC_BASE_URL = 'https://api.anthropic.com';
+const GEMINI_BASE_URL = 'https://generativelanguage.googleapis.com/v1beta';
+const DEFAULT_AZURE_API_VERSION = '2024-06-01';
+
+/**
+ * Parse the "Custom headers" setting: one `Name: value` pair per line, or a
+ * JSON object. Blank lines and lines starting with # are ignored.
+ *
+ * @param {string} text
+ * @returns {Record<string, string>}
+ */
+function parseCustomHeaders(text) {
+  const headers = {};
+  const src = (text || '').trim();
+  if (!src) return headers;
+  if (src.startsWith('{')) {
+    try {
+      const obj = JSON.parse(src);
+      for (const [k, v] of Object.entries(obj || {})) headers[k] = String(v);
+      return headers;
+    } catch (e) {
+      console.warn('TQA: custom headers are not valid JSON; falling back to Name: value lines');
+    }
+  }
+  for (const line of src.split(/\r?\n/)) {
+    const trimmed = line.trim();
+    if (!trimmed || trimmed.startsWith('#')) continue;
+    const colon = trimmed.indexOf(':');
+    if (colon <= 0) continue;
+    headers[trimmed.slice(0, colon).trim()] = trimmed.slice(colon + 1).trim();
+  }
+  return headers;
+}
+
+// Error for a failed provider request, carrying `status` and `body` so
+// callers can react to specific rejections.
+function providerRequestError(message, status, body) {
+  const err = new Error(message);
+  err.status = status;
+  err.body = body || '';
+  return err;
+}
+
+// POST a JSON body and return the parsed response, throwing a
+// providerRequestError on HTTP errors.
+async function postJson(url, headers, body, what) {
+  const res = await fetch(url, { method: 'POST', headers, body: JSON.stringify(body) });
+  if (!res.ok) {
+    const errText = await res.text().catch(() => '');
+    console.error(`TQA: ${what} failed`, res.status, res.statusText, errText);
+    throw providerRequestError(`${what} failed`, res.status, errText);
+  }
+  return await res.json();
+}
+
+// Structured-output modes in the order they are tried when a server's
+// support is unknown: strict JSON schema, plain JSON mode, then no
+// response_format at all (the prompt still asks for JSON).
+const RESPONSE_FORMAT_ORDER = ['json_schema', 'json_object', 'none'];
+// First mode each provider/baseUrl/model accepted during this session.
+const responseFormatSupport = new Map();
+
+function isResponseFormatError(err) {
+  if (!err || (err.status !== 400 && err.status !== 422 && err.status !== 500)) return false;
+  return /response_format|json_schema|json_object|structured|schema|grammar/i.test(String(err.body || ''));
+}
+
+/*
+ * LLM providers. Every provider exposes the same surface, so the analysis
+ * code never builds vendor-specific request bodies:
+ *
+ *   id, capabilities: { embeddings: boolean, structuredOutput: boolean }
+ *   chat(model, messages, { temperature, maxTokens })       → reply text
+ *   chatJson(model, messages, schema, options)             → reply text (JSON)
+ *   embed(model, texts)                                    → number[][]
+ *
+ * `messages` use the OpenAI shape ({ role: 'system' | 'user' | 'assistant',
+ * content }); `schema` is a json_schema payload ({ name, schema }).
+ * Each adapter translates both to its own API.
+ */
+
+/**
+ * OpenAI chat completions / embeddings, also used for every
+ * OpenAI-compatible server.
+ */
+class OpenAiProvider {
+  /**
+   * @param {{ baseUrl?: string, apiKey?: string, headers?: object }} conn
+   */
+  constructor(conn = {}) {
+    this.id = 'openai';
+    this.baseUrl = (conn.baseUrl || DEFAULT_OPENAI_BASE_URL).trim().replace(/\/+$/, '');
+    this.apiKey = conn.apiKey || '';
+    this.headers = conn.headers || {};
+    this.capabilities = { embeddings: true, structuredOutput: true };
+  }
+
+  // Local servers usually need no key, so Authorization is only sent when set.
+  requestHeaders() {
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.apiKey) headers.Authorization = `Bearer ${this.apiKey}`;
+    return Object.assign(headers, this.headers);
+  }
+
+  endpoint(kind) {
+    return `${this.baseUrl}/${kind}`;
+  }
+
+  // Official API: decides whether gpt-4o/gpt-5 style model preferences apply.
+  get isOfficialApi() {
+    return this.baseUrl === DEFAULT_OPENAI_BASE_URL;
+  }
+
+  async chat(model, messages, options = {}) {
+    const data = await this.completion(model, messages, options);
+    return data?.choices?.[0]?.message?.content?.trim() || '';
+  }
+
+  /**
+   * Chat completion that asks for JSON output. `structuredOutput` may force
+   * a mode ('json_schema' | 'json_object' | 'none'); with 'auto' the modes
+   * are negotiated: the official API keeps the model-based choice (schema for
+   * gpt-4o/gpt-5, JSON mode otherwise), other servers try every mode in
+   * RESPONSE_FORMAT_ORDER and the first accepted one is remembered.
+   */
+  async chatJson(model, messages, schema, options = {}) {
+    const { structuredOutput = 'auto' } = options;
+    const key = `${this.id}|${this.baseUrl}|${model}`;
+    let order;
+    if (structuredOutput && structuredOutput !== 'auto') {
+      order = [structuredOutput];
+    } else if (responseFormatSupport.has(key)) {
+      order = [responseFormatSupport.get(key)];
+    } else if (this.isOfficialApi) {
+      order = /gpt-4o|gpt-5/i.test(model) ? ['json_schema', 'json_object'] : ['json_object', 'none'];
+    } else {
+      order = RESPONSE_FORMAT_ORDER;
+    }
+    let lastErr = null;
+    for (const mode of order) {
+      const responseFormat =
+        mode === 'json_schema' ? { type: 'json_schema', json_schema: schema } : mode === 'json_object' ? { type: 'json_object' } : undefined;
+      try {
+        const data = await this.completion(model, messages, Object.assign({}, options, { responseFormat }));
+        responseFormatSupport.set(key, mode);
+        return data?.choices?.[0]?.message?.content?.trim() || '';
+      } catch (err) {
+        lastErr = err;
+        if (!isResponseFormatError(err)) throw err;
+        console.info(`TQA: ${mode} output rejected by ${this.baseUrl} for ${model}; trying the next mode`);
+      }
+    }
+    throw lastErr;
+  }
+
+  async embed(model, texts) {
+    const data = await postJson(this.endpoint('embeddings', model), this.requestHeaders(), { input: texts, model }, 'Embedding request');
+    if (!data || !Array.isArray(data.data)) throw new Error('Invalid embedding response');
+    return data.data.map((item) => item.embedding);
+  }
+
+  /**
+   * Raw chat completion that adapts to models which require
+   * 'max_completion_tokens' instead of 'max_tokens' (e.g. gpt‑5 family).
+   * Returns the parsed JSON body.
+   */
+  async completion(model, messages, options = {}) {
+    const { temperature = 0, maxTokens = undefined, responseFormat = undefined } = options;
+    const endpoint = this.endpoint('chat/completions', model);
+    const baseHeaders = this.requestHeaders();
+    const prefersCompletionTokens = /gpt-5/i.test(model || '');
+    const baseBody = { model, messages };
+    // gpt-5 family не поддерживает произвольную температуру — используем значение по умолчанию (не передаём параметр)
+    if (!prefersCompletionTokens && typeof temperature === 'number') baseBody.temperature = temperature;
+    if (responseFormat) baseBody.response_format = responseFormat;
+
+    // Choose token field based on model family
+    const body1 = Object.assign({}, baseBody);
+    if (typeof maxTokens === 'number') {
+      if (prefersCompletionTokens) body1.max_completion_tokens = maxTokens;
+      else body1.max_tokens = maxTokens;
+    }
+    let res = await fetch(endpoint, { method: 'POST', headers: baseHeaders, body: JSON.stringify(body1) });
+    if (res.ok) return await res.json();
+    // Inspect error to decide retry
+    let errText = '';
+    try { errText = await res.text(); } catch (e) {}
+    let shouldRetry = false;
+    try {
+      const errJson = JSON.parse(errText);
+      const msg = errJson?.error?.message || '';
+      const param = errJson?.error?.param || '';
+      if (param === 'max_tokens' || param === 'max_completion_tokens' || msg.toLowerCase().includes('max_tokens') || msg.toLowerCase().includes('max_completion_tokens')) {
+        shouldRetry = true;
+      }
+    } catch (e) {
+      // If we cannot parse, still try retry path for gpt‑5 models heuristically
+      if ((model || '').includes('gpt-5')) shouldRetry = true;
+    }
+    if (!shouldRetry) {
+      console.error('TQA: chat completion error (no retry)', res.status, res.statusText, errText);
+      throw providerRequestError('Chat completion failed', res.status, errText);
+    }
+    // Second attempt with the other token field
+    const body2 = Object.assign({}, baseBody);
+    if (typeof maxTokens === 'number') {
+      if (prefersCompletionTokens) body2.max_tokens = maxTokens;
+      else body2.max_completion_tokens = maxTokens;
+    }
+    new Notice('Chat model token parameter adjusted; retrying request.');
+    res = await fetch(endpoint, { method: 'POST', headers: baseHeaders, body: JSON.stringify(body2) });
+    if (!res.ok) {
+      let err2 = '';
+      try { err2 = await res.text(); } catch (e) {}
+      console.error('TQA: chat completion retry failed', res.status, res.statusText, err2);
+      throw providerRequestError('Chat completion failed', res.status, err2);
+    }
+    return await res.json();
+  }
+}
+
+// Responses API support for gpt-5 has been removed due to instability.
+
+/**
+ * Azure OpenAI: the same wire format as OpenAI, addressed by deployment.
+ * Model names are deployment names; the key goes into the `api-key` header.
+ */
+class AzureOpenAiProvider extends OpenAiProvider {
+  /**
+   * @param {{ endpoint: string, apiVersion?: string, apiKey?: string, headers?: object }} conn
+   */
+  constructor(conn = {}) {
+    super({ baseUrl: conn.endpoint, apiKey: conn.apiKey, headers: conn.headers });
+    this.id = 'azure';
+    this.apiVersion = conn.apiVersion || DEFAULT_AZURE_API_VERSION;
+  }
+
+  requestHeaders() {
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.apiKey) headers['api-key'] = this.apiKey;
+    return Object.assign(headers, this.headers);
+  }
+
+  endpoint(kind, deployment) {
+    return `${this.baseUrl}/openai/deployments/${encodeURIComponent(deployment)}/${kind}?api-version=${encodeURIComponent(this.apiVersion)}`;
+  }
+
+  // Deployment names say nothing about the model family, so formats are
+  // always negotiated.
+  get isOfficialApi() {
+    return false;
+  }
+}
+
+/**
+ * Anthropic Messages API. Structured output is obtained by forcing a single
+ * tool whose input schema is the requested JSON schema. Anthropic has no
+ * embeddings endpoint.
+ */
+class AnthropicProvider {
+  /**
+   * @param {{ baseUrl?: string, apiKey?: string, headers?: object }} conn
+   */
+  constructor(conn = {}) {
+    this.id = 'anthropic';
+    this.baseUrl = (conn.baseUrl || ANTHROPIC_BASE_URL).replace(/\/+$/, '');
+    this.apiKey = conn.apiKey || '';
+    this.headers = conn.headers || {};
+    this.capabilities = { embeddings: false, structuredOutput: true };
+  }
+
+  requestHeaders() {
+    return Object.assign({
+      'Content-Type': 'application/json',
+      'x-api-key': this.apiKey,
+      'anthropic-version': '2023-06-01',
+      // Obsidian calls the API from a renderer process
+      'anthropic-dangerous-direct-browser-access': 'true'
+    }, this.headers);
+  }
+
+  async messages(model, messages, options = {}, extra = {}) {
+    const { temperature = 0, maxTokens = 1024 } = options;
+    const system = messages.filter((m) => m.role === 'system').map((m) => m.content).join('\n\n');
+    const body = {
+      model,
+      max_tokens: typeof maxTokens === 'number' ? maxTokens : 1024,
+      messages: messages.filter((m) => m.role !== 'system').map((m) => ({ role: m.role, content: m.content }))
+    };
+    if (system) body.system = system;
+    if (typeof temperature === 'number') body.temperature = temperature;
+    return await postJson(`${this.baseUrl}/v1/messages`, this.requestHeaders(), Object.assign(body, extra), 'Anthropic request');
+  }
+
+  async chat(model, messages, options = {}) {
+    const data = await this.messages(model, messages, options);
+    return (data?.content || []).filter((b) => b.type === 'text').map((b) => b.text).join('').trim();
+  }
+
+  async chatJson(model, messages, schema, options = {}) {
+    if (options.structuredOutput === 'none' || options.structuredOutput === 'json_object') {
+      return await this.chat(model, messages, options);
+    }
+    const tool = { name: schema.name, description: 'Return the result.', input_schema: schema.schema };
+    const data = await this.messages(model, messages, options, {
+      tools: [tool],
+      tool_choice: { type: 'tool', name: schema.name }
+    });
+    const block = (data?.content || []).find((b) => b.type === 'tool_use');
+    if (block) return JSON.stringify(block.input);
+    return (data?.content || []).filter((b) => b.type === 'text').map((b) => b.text).join('').trim();
+  }
+
+  async embed() {
+    throw new Error('Anthropic does not provide an embeddings API');
+  }
+}
+
+// Gemini accepts an OpenAPI subset of JSON schema; drop what it rejects.
+function toGeminiSchema(schema) {
+  if (Array.isArray(schema)) return schema.map(toGeminiSchema);
+  if (!schema || typeof schema !== 'object') return schema;
+  const out = {};
+  for (const [k, v] of Object.entries(schema)) {
+    if (k === 'additionalProperties' || k === '$schema') continue;
+    out[k] = toGeminiSchema(v);
+  }
+  return out;
+}
+
+/**
+ * Google Gemini (generateContent / batchEmbedContents). Structured output
+ * uses `responseMimeType` with a `responseSchema`.
+ */
+class GeminiProvider {
+  /**
+   * @param {{ baseUrl?: string, apiKey?: string, headers?: object }} conn
+   */
+  constructor(conn = {}) {
+    this.id = 'gemini';
+    this.baseUrl = (conn.baseUrl || GEMINI_BASE_URL).replace(/\/+$/, '');
+    this.apiKey = conn.apiKey || '';
+    this.headers = conn.headers || {};
+    this.capabilities = { embeddings: true, structuredOutput: true };
+  }
+
+  requestHeaders() {
+    return Object.assign({ 'Content-Type': 'application/json', 'x-goog-api-key': this.apiKey }, this.headers);
+  }
+
+  async generate(model, messages, options = {}, generationConfig = {}) {
+    const { temperature = 0, maxTokens = undefined } = options;
+    const system = messages.filter((m) => m.role === 'system').map((m) => m.content).join('\n\n');
+    const body = {
+      contents: messages
+        .filter((m) => m.role !== 'system')
+        .map((m) => ({ role: m.role === 'assistant' ? 'model' : 'user', parts: [{ text: m.content }] })),
+      generationConfig: Object.assign({}, generationConfig)
+    };
+    if (system) body.systemInstruction = { parts: [{ text: system }] };
+    if (typeof temperature === 'number') body.generationConfig.temperature = temperature;
+    if (typeof maxTokens === 'number') body.generationConfig.maxOutputTokens = maxTokens;
+    const data = await postJson(`${this.baseUrl}/models/${encodeURIComponent(model)}:generateContent`, this.requestHeaders(), body, 'Gemini request');
+    const parts = data?.candidates?.[0]?.content?.parts || [];
+    return parts.map((p) => p.text || '').join('').trim();
+  }
+
+  async chat(model, messages, options = {}) {
+    return await this.generate(model, messages, options);
+  }
+
+  async chatJson(model, messages, schema, options = {}) {
+    const mode = options.structuredOutput || 'auto';
+    if (mode === 'none') return await this.generate(model, messages, options);
+    const config = { responseMimeType: 'application/json' };
+    if (mode !== 'json_object') config.responseSchema = toGeminiSchema(schema.schema);
+    return await this.generate(model, messages, options, config);
+  }
+
+  async embed(model, texts) {
+    const vectors = [];
+    // batchEmbedContents accepts at most 100 requests per call
+    for (let start = 0; start < texts.length; start += 100) {
+      const chunk = texts.slice(start, start + 100);
+      const data = await postJson(
+        `${this.baseUrl}/models/${encodeURIComponent(model)}:batchEmbedContents`,
+        this.requestHeaders(),
+        { requests: chunk.map((text) => ({ model: `models/${model}`, content: { parts: [{ text }] } })) },
+        'Gemini embedding request'
+      );
+      if (!data || !Array.isArray(data.embeddings)) throw new Error('Invalid embedding response');
+      data.embeddings.forEach((e) => vectors.push(e.values));
+    }
+    return vectors;
+  }
+}
+
+/**
+ * Registry of providers selectable in settings. `create(settings)` builds a
+ * provider from plugin settings, `models` are the suggested models per task
+ * (filled in when the user switches provider) and `hasAccess(settings)` tells
+ * whether calls can be made at all.
+ */
+const LLM_PROVIDERS = {
+  openai: {
+    name: 'OpenAI / compatible',
+    models: { embedding: 'text-embedding-3-small', chat: 'gpt-3.5-turbo' },
+    create: (s) => new OpenAiProvider({ baseUrl: s.apiBaseUrl, apiKey: s.apiKey, headers: parseCustomHeaders(s.customHeaders) }),
+    // Keyless calls are fine against a custom (usually local) server
+    hasAccess: (s) => !!s.apiKey || (s.apiBaseUrl || DEFAULT_OPENAI_BASE_URL).trim().replace(/\/+$/, '') !== DEFAULT_OPENAI_BASE_URL
+  },
+  azure: {
+    name: 'Azure OpenAI',
+    models: { embedding: 'text-embedding-3-small', chat: 'gpt-4o-mini' },
+    create: (s) => new AzureOpenAiProvider({
+      endpoint: s.azureEndpoint,
+      apiVersion: s.azureApiVersion,
+      apiKey: s.apiKey,
+      headers: parseCustomHeaders(s.customHeaders)
+    }),
+    hasAccess: (s) => !!s.apiKey && !!(s.azureEndpoint || '').trim()
+  },
+  anthropic: {
+    name: 'Anthropic',
+    models: { embedding: '', chat: 'claude-3-5-haiku-latest' },
+    create: (s) => new AnthropicProvider({ apiKey: s.apiKey, headers: parseCustomHeaders(s.customHeaders) }),
+    hasAccess: (s) => !!s.apiKey
+  },
+  gemini: {
+    name: 'Google Gemini',
+    models: { embedding: 'text-embedding-004', chat: 'gemini-1.5-flash' },
+    create: (s) => new GeminiProvider({ apiKey: s.apiKey, headers: parseCustomHeaders(s.customHeaders) }),
+    hasAccess: (s) => !!s.apiKey
+  }
+};
+
+function getProviderEntry(id) {
+  return LLM_PROVIDERS[id] || LLM_PROVIDERS.openai;
+}
+
+/**
+ * Build the provider selected in settings.
+ *
+ * @param {object} settings Plugin settings
+ */
+function createLlmProvider(settings) {
+  return getProviderEntry(settings.provider).create(settings);
+}
+
+/**
+ * Compute the cosine similarity between two numeric vectors. The result is
+ * normalised to the range [0, 1] where 1 indicates identical direction and 0
+ * indicates orthogonality. Negative similarities (opposite directions) map to 0.
+ *
+ * @param {number[]} a First vector
+ * @param {number[]} b Second vector
+ * @returns {number}
+ */
+function cosineSimilarity(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length && i < b.length; i++) {
+    const ai = a[i];
+    const bi = b[i];
+    dot += ai * bi;
+    normA += ai * ai;
+    normB += bi * bi;
+  }
+  if (normA === 0 || normB === 0) return 0;
+  let sim = dot / (Math.sqrt(normA) * Math.sqrt(normB));
+  // Map from [-1,1] to [0,1]
+  if (sim < -1) sim = -1;
+  if (sim > 1) sim = 1;
+  return (sim + 1) / 2;
+}
+
+// Robustly parse LLM JSON content which may be double-encoded or wrapped in code fences
+function parseLlmScoresAndComplexity(rawContent) {
+  if (!rawContent || typeof rawContent !== 'string') return null;
+  let txt = rawContent.trim();
+  // Strip common code fences
+  txt = txt.replace(/^```(?:json)?\s*/i, '').replace(/```\s*$/i, '');
+  // Sometimes the whole JSON object comes inside extra quotes / is doubly encoded
+  let parsed = null;
+  const tryParse = (s) => {
+    try {
+      const p = JSON.parse(s);
+      if (typeof p === 'string') return JSON.parse(p);
+      return p;
+    } catch (e) {
+      return null;
+    }
+  };
+  parsed = tryParse(txt);
+  if (!parsed) {
+    // Try to extract the first JSON object
+    const m = txt.match(/\{[\s\S]*\}/);
+    if (m) {
+      const objText = m[0].replace(/[""]/g, '"').replace(/['']/g, "'");
+      parsed = tryParse(objText);
+    }
+  }
+  // If still no luck, try to repair truncated JSON
+  if (!parsed && txt.includes('"scores"') && txt.includes('[')) {
+    try {
+      // Try to close unclosed arrays and objects
+      let repaired = txt;
+      // Count open brackets
+      const openBrackets = (repaired.match(/\[/g) || []).length;
+      const closeBrackets = (repaired.match(/\]/g) || []).length;
+      const openBraces = (repaired.match(/\{/g) || []).length;
+      const closeBraces = (repaired.match(/\}/g) || []).length;
+      
+      // Add missing closing brackets
+      for (let i = 0; i < openBrackets - closeBrackets; i++) {
+        repaired += ']';
+      }
+      for (let i = 0; i < openBraces - closeBraces; i++) {
+        repaired += '}';
+      }
+      
+      // Remove trailing comma if present
+      repaired = repaired.replace(/,(\s*[\]\}])/g, '$1');
+      
+      parsed = tryParse(repaired);
+      if (parsed) {
+        console.info('TQA: Successfully repaired truncated JSON');
+      }
+    } catch (e) {
+      // Repair failed, will return null
+    }
+  }
+  if (!parsed || typeof parsed !== 'object') return null;
+  const scores = Array.isArray(parsed.scores) ? parsed.scores : (Array.isArray(parsed) ? parsed : null);
+  const complexity = Array.isArray(parsed.complexity) ? parsed.complexity : null;
+  const sectionScores = Array.isArray(parsed.section_scores) ? parsed.section_scores : null;
+  return { scores, complexity, sectionScores };
+}
+
+function clamp01(n) {
+  n = Number(n);
+  if (!isFinite(n)) return 0;
+  if (n < 0) return 0;
+  if (n > 1) return 1;
+  return n;
+}
+
+function normalizeArray01(arr, targetLen) {
+  if (!Array.isArray(arr)) arr = [];
+  let out = arr.map((x) => clamp01(x));
+  if (out.length > targetLen) out = out.slice(0, targetLen);
+  if (out.length < targetLen) out = out.concat(new Array(targetLen - out.length).fill(0));
+  return out;
+}
+
+/**
+ * Request semantic role classification for an array of paragraphs using the
+ * chat model of an LLM provider. Each paragraph is classified independently.
+ * The system prompt instructs the model to choose one role from a predefined
+ * list and return only the label without explanation. Returns an array of
+ * strings corresponding to each paragraph. If the request fails, an error
+ * will be thrown.
+ *
+ * @param {object} provider    LLM provider (see LLM_PROVIDERS).
+ * @param {string} model       The chat model to use (e.g. gpt-3.5-turbo).
+ * @param {string[]} paragraphs The paragraphs to classify.
+ * @returns {Promise<string[]>}
+ */
+async function fetchParagraphRoles(provider, model, paragraphs) {
+  const roles = [];
+  // Define a fixed set of semantic roles. Feel free to expand this list as needed.
+  const roleList = [
+    'humor',
     'assertion',
     'theme development',
     'analogy explanation',
@@ -475,145 +2724,1681 @@ async function fetchOpenAiRoles(apiKey, model, paragraphs) {
     'question',
     'other'
   ];
-  for (const para of paragraphs) {
-    const messages = [
-      {
-        role: 'system',
-        content:
-          'You are a semantic classifier. Given a paragraph of text, classify its semantic role into one of the following categories: ' +
-          roleList.join(', ') +
-          '. Respond with only the label that best fits the paragraph.'
-      },
-      { role: 'user', content: para }
-    ];
-    const res = await fetch('https://api.openai.com/v1/chat/completions', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        Authorization: `Bearer ${apiKey}`
-      },
-      body: JSON.stringify({
-        model,
-        messages,
-        max_tokens: 20,
-        temperature: 0
+  for (const para of paragraphs) {
+    const messages = [
+      {
+        role: 'system',
+        content:
+          'You are a semantic classifier. Given a paragraph of text, classify its semantic role into one of the following categories: ' +
+          roleList.join(', ') +
+          '. Respond with only the label that best fits the paragraph.'
+      },
+      { role: 'user', content: para }
+    ];
+    const role = await provider.chat(model, messages, { temperature: 0, maxTokens: 20 });
+    roles.push(role ? role.trim() : 'other');
+  }
+  return roles;
+}
+
+/**
+ * A JSON file in the plugin folder holding one of the plugin's stores. Saves
+ * are debounced by `delay` ms; `serialize` returns the data to write, or
+ * undefined to skip the write. Read and write errors are logged and
+ * swallowed, so a damaged file only costs the data it held.
+ */
+class JsonFileStore {
+  constructor(plugin, fileName, label, serialize, delay = 5000) {
+    this.plugin = plugin;
+    this.fileName = fileName;
+    this.label = label;
+    this.serialize = serialize;
+    this.delay = delay;
+    this._saveTimer = null;
+  }
+
+  get path() {
+    return `${this.plugin.manifest.dir}/${this.fileName}`;
+  }
+
+  /** Parsed contents of the file, or null when it is missing or unreadable. */
+  async read() {
+    try {
+      const adapter = this.plugin.app.vault.adapter;
+      if (!(await adapter.exists(this.path))) return null;
+      return JSON.parse(await adapter.read(this.path));
+    } catch (e) {
+      console.warn(`TQA: could not load ${this.label}`, e);
+      return null;
+    }
+  }
+
+  scheduleSave() {
+    if (this._saveTimer) return;
+    this._saveTimer = setTimeout(() => {
+      this._saveTimer = null;
+      this.save();
+    }, this.delay);
+  }
+
+  _cancelSave() {
+    if (!this._saveTimer) return;
+    clearTimeout(this._saveTimer);
+    this._saveTimer = null;
+  }
+
+  async save() {
+    this._cancelSave();
+    const data = this.serialize();
+    if (data === undefined) return;
+    try {
+      await this.plugin.app.vault.adapter.write(this.path, JSON.stringify(data));
+    } catch (e) {
+      console.warn(`TQA: could not save ${this.label}`, e);
+    }
+  }
+
+  async remove() {
+    this._cancelSave();
+    try {
+      const adapter = this.plugin.app.vault.adapter;
+      if (await adapter.exists(this.path)) await adapter.remove(this.path);
+    } catch (e) {
+      console.warn(`TQA: could not remove ${this.label}`, e);
+    }
+  }
+}
+
+// File name of the persistent analysis cache inside the plugin folder.
+const ANALYSIS_CACHE_FILE = 'analysis-cache.json';
+// Format of the cache file; version 1 keyed entries by a 32-bit hash and is
+// discarded on load.
+const ANALYSIS_CACHE_VERSION = 2;
+
+/**
+ * Persistent key/value cache for results that cost network calls:
+ * embeddings, SNR scores, LLM complexity, server metrics and roles. Keys
+ * contain the content digest of the paragraph (see contentDigest) plus
+ * everything the value depends on (model, method, topic), so edits and
+ * setting changes simply miss. Entries
+ * are evicted least-recently-used once the entry count or the size limit from
+ * the settings is exceeded. Writes to disk are debounced.
+ */
+class AnalysisCache {
+  constructor(plugin) {
+    this.plugin = plugin;
+    // Map iteration order doubles as LRU order: oldest first
+    this.entries = new Map();
+    this.bytes = 0;
+    this.file = new JsonFileStore(plugin, ANALYSIS_CACHE_FILE, 'analysis cache',
+      () => ({ version: ANALYSIS_CACHE_VERSION, entries: Object.fromEntries(this.entries) }));
+  }
+
+  get enabled() {
+    return this.plugin.settings.cacheEnabled !== false;
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+
+  async load() {
+    const data = await this.file.read();
+    if (!data || data.version !== ANALYSIS_CACHE_VERSION || !data.entries) return;
+    const sorted = Object.entries(data.entries).sort((a, b) => (a[1].t || 0) - (b[1].t || 0));
+    for (const [key, entry] of sorted) {
+      this.entries.set(key, entry);
+      this.bytes += entry.s || 0;
+    }
+    this._evict();
+  }
+
+  /** Return the cached value for `key`, or undefined on a miss. */
+  get(key) {
+    if (!this.enabled) return undefined;
+    const entry = this.entries.get(key);
+    if (!entry) return undefined;
+    entry.t = Date.now();
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return entry.v;
+  }
+
+  set(key, value) {
+    if (!this.enabled || value === undefined) return;
+    const old = this.entries.get(key);
+    if (old) {
+      this.bytes -= old.s || 0;
+      this.entries.delete(key);
+    }
+    const s = key.length + JSON.stringify(value).length;
+    this.entries.set(key, { v: value, t: Date.now(), s });
+    this.bytes += s;
+    this._evict();
+    this.file.scheduleSave();
+  }
+
+  async clear() {
+    this.entries.clear();
+    this.bytes = 0;
+    await this.save();
+  }
+
+  _evict() {
+    const maxEntries = Math.max(0, Number(this.plugin.settings.cacheMaxEntries) || 0);
+    const maxBytes = Math.max(0, Number(this.plugin.settings.cacheMaxMegabytes) || 0) * 1024 * 1024;
+    for (const [key, entry] of this.entries) {
+      const overCount = maxEntries > 0 && this.entries.size > maxEntries;
+      const overSize = maxBytes > 0 && this.bytes > maxBytes;
+      if (!overCount && !overSize) break;
+      this.entries.delete(key);
+      this.bytes -= entry.s || 0;
+    }
+  }
+
+  save() {
+    return this.file.save();
+  }
+}
+
+// File name of the persisted per-note aggregates inside the plugin folder.
+const NOTE_STATS_FILE = 'note-stats.json';
+
+/**
+ * Persisted aggregate metrics per note (see summarizeNoteMetrics), recorded
+ * whenever a note is analysed in the editor or by a batch job. The dashboard
+ * renders straight from this store, so reopening it needs no analysis.
+ */
+class NoteStatsStore {
+  constructor(plugin) {
+    this.plugin = plugin;
+    // path -> { ...summary, analyzedAt }
+    this.notes = new Map();
+    this.file = new JsonFileStore(plugin, NOTE_STATS_FILE, 'note statistics',
+      () => ({ version: 1, notes: Object.fromEntries(this.notes) }));
+  }
+
+  get size() {
+    return this.notes.size;
+  }
+
+  async load() {
+    const data = await this.file.read();
+    if (!data || data.version !== 1 || !data.notes) return;
+    for (const [path, stats] of Object.entries(data.notes)) this.notes.set(path, stats);
+  }
+
+  get(path) {
+    return this.notes.get(path) || null;
+  }
+
+  // All entries as { path, ...stats }.
+  all() {
+    return Array.from(this.notes, ([path, stats]) => ({ path, ...stats }));
+  }
+
+  /** Summarise the metrics of a note and store them. Returns the entry. */
+  record(path, metrics) {
+    const stats = {
+      ...summarizeNoteMetrics(metrics, this.plugin.settings.lowSnrThreshold ?? 0.3),
+      analyzedAt: Date.now()
+    };
+    this.notes.set(path, stats);
+    this._changed();
+    return stats;
+  }
+
+  removePath(path) {
+    if (this.notes.delete(path)) this._changed();
+  }
+
+  renamePath(oldPath, newPath) {
+    const stats = this.notes.get(oldPath);
+    if (!stats) return;
+    this.notes.delete(oldPath);
+    this.notes.set(newPath, stats);
+    this._changed();
+  }
+
+  _changed() {
+    this.file.scheduleSave();
+    this.plugin._renderDashboards();
+  }
+
+  save() {
+    return this.file.save();
+  }
+}
+
+// File name of the persisted metrics history inside the plugin folder.
+const HISTORY_FILE = 'history.json';
+// History entries kept per note; only the newest few keep paragraph snapshots.
+const HISTORY_MAX_ENTRIES = 100;
+const HISTORY_SNAPSHOT_ENTRIES = 5;
+// SNR change below which a paragraph counts as unchanged when comparing.
+const COMPARE_EPSILON = 0.05;
+
+/**
+ * Timestamped aggregates per note, one entry per full analysis that changed
+ * the content or the result. With snapshots enabled an entry also stores
+ * the SNR and complexity of every paragraph (aligned with paragraph order and
+ * keyed by content hash), which drives the compare mode of the cards view.
+ */
+class NoteHistoryStore {
+  constructor(plugin) {
+    this.plugin = plugin;
+    // path -> [{ at, hash, snrMean, snrMin, complexityMean, paragraphs, lowSnrCount, backend, snapshot? }]
+    this.notes = new Map();
+    this.file = new JsonFileStore(plugin, HISTORY_FILE, 'metrics history',
+      () => ({ version: 1, notes: Object.fromEntries(this.notes) }));
+  }
+
+  async load() {
+    const data = await this.file.read();
+    if (!data || data.version !== 1 || !data.notes) return;
+    for (const [path, entries] of Object.entries(data.notes)) {
+      if (Array.isArray(entries)) this.notes.set(path, entries);
+    }
+  }
+
+  entries(path) {
+    return this.notes.get(path) || [];
+  }
+
+  // The newest entry recorded before `at`, or null.
+  previous(path, at) {
+    const list = this.entries(path);
+    for (let i = list.length - 1; i >= 0; i--) {
+      if (list[i].at < at) return list[i];
+    }
+    return null;
+  }
+
+  /**
+   * Record a full analysis of a note. `paragraphs` are paragraph index entries
+   * and `metrics` the aligned results. Returns the entry describing this
+   * analysis (the previous one when nothing changed), or null when history
+   * is disabled.
+   */
+  record(path, paragraphs, metrics) {
+    const settings = this.plugin.settings;
+    if (settings.historyEnabled === false) return null;
+    const list = this.entries(path).slice();
+    const hash = hashString(paragraphs.map((p) => p.hash).join(','));
+    const summary = summarizeNoteMetrics(metrics, settings.lowSnrThreshold ?? 0.3);
+    const last = list[list.length - 1];
+    if (last && last.hash === hash && last.backend === summary.backend &&
+        Math.abs(last.snrMean - summary.snrMean) < 0.001 && Math.abs(last.complexityMean - summary.complexityMean) < 0.001) {
+      return last;
+    }
+    const round = (n) => Math.round(n * 1000) / 1000;
+    const entry = {
+      at: Date.now(),
+      hash,
+      snrMean: round(summary.snrMean),
+      snrMin: round(summary.snrMin),
+      complexityMean: round(summary.complexityMean),
+      paragraphs: summary.paragraphs,
+      lowSnrCount: summary.lowSnrCount,
+      backend: summary.backend
+    };
+    if (settings.historySnapshots !== false) {
+      entry.snapshot = paragraphs.map((p, i) => (metrics[i] ? { h: p.hash, s: round(metrics[i].snr), c: round(metrics[i].complexity) } : null));
+    }
+    list.push(entry);
+    list.splice(0, Math.max(0, list.length - HISTORY_MAX_ENTRIES));
+    for (let i = 0; i < list.length - HISTORY_SNAPSHOT_ENTRIES; i++) {
+      if (!list[i].snapshot) continue;
+      const { snapshot, ...older } = list[i];
+      list[i] = older;
+    }
+    this.notes.set(path, list);
+    this.file.scheduleSave();
+    return entry;
+  }
+
+  removePath(path) {
+    if (this.notes.delete(path)) this.file.scheduleSave();
+  }
+
+  renamePath(oldPath, newPath) {
+    const list = this.notes.get(oldPath);
+    if (!list) return;
+    this.notes.delete(oldPath);
+    this.notes.set(newPath, list);
+    this.file.scheduleSave();
+  }
+
+  save() {
+    return this.file.save();
+  }
+}
+
+/**
+ * Compare the current metrics of a note with a history snapshot. Paragraphs
+ * are matched by content hash; an edited paragraph is matched with the
+ * snapshot paragraph at the same position when that one no longer exists.
+ * Returns a Map from paragraph id to { status: 'better' | 'worse' | 'same' |
+ * 'new', snrDelta, complexityDelta, edited }.
+ */
+function compareWithSnapshot(paragraphs, metricsById, snapshot) {
+  const previousByHash = new Map();
+  for (const entry of snapshot) {
+    if (entry && !previousByHash.has(entry.h)) previousByHash.set(entry.h, entry);
+  }
+  const currentHashes = new Set(paragraphs.map((p) => p.hash));
+  const result = new Map();
+  for (const para of paragraphs) {
+    const m = metricsById[para.id];
+    if (!m) continue;
+    let previous = previousByHash.get(para.hash);
+    let edited = false;
+    if (!previous) {
+      const candidate = snapshot[para.index];
+      if (candidate && !currentHashes.has(candidate.h)) {
+        previous = candidate;
+        edited = true;
+      }
+    }
+    if (!previous) {
+      result.set(para.id, { status: 'new' });
+      continue;
+    }
+    const snrDelta = m.snr - previous.s;
+    const complexityDelta = m.complexity - previous.c;
+    const status = snrDelta >= COMPARE_EPSILON ? 'better' : snrDelta <= -COMPARE_EPSILON ? 'worse' : 'same';
+    result.set(para.id, { status, snrDelta, complexityDelta, edited });
+  }
+  return result;
+}
+
+// SVG polyline points for a sparkline of `values` in [0,1].
+function sparklinePoints(values, width, height) {
+  const step = values.length > 1 ? width / (values.length - 1) : 0;
+  return values
+    .map((v, i) => `${(i * step).toFixed(1)},${(height - 1 - clamp01(v) * (height - 2)).toFixed(1)}`)
+    .join(' ');
+}
+
+// ===================== Frontmatter write-back =====================
+// Aggregates that can be written into the frontmatter, keyed like the
+// summary of summarizeNoteMetrics (plus the analysis time). `key` is the
+// suggested property name.
+const FRONTMATTER_FIELDS = [
+  { id: 'snrMean', name: 'Mean SNR', key: 'tqa_snr_mean', numeric: true },
+  { id: 'snrMin', name: 'Minimum SNR', key: 'tqa_snr_min', numeric: true },
+  { id: 'complexityMean', name: 'Mean complexity', key: 'tqa_complexity_mean', numeric: true },
+  { id: 'lowSnrCount', name: 'Low-SNR paragraphs', key: 'tqa_low_snr_count' },
+  { id: 'paragraphs', name: 'Paragraph count', key: 'tqa_paragraphs' },
+  { id: 'analyzedAt', name: 'Analysis time', key: 'tqa_analyzed_at' },
+  { id: 'backend', name: 'Backend', key: 'tqa_backend' }
+];
+
+// Local time as YYYY-MM-DDTHH:mm:ss, which Dataview and Bases read as a date.
+function localIsoString(time) {
+  const d = new Date(time);
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}T${pad(d.getHours())}:${pad(d.getMinutes())}:${pad(d.getSeconds())}`;
+}
+
+/**
+ * Frontmatter properties for a note statistics entry: { key: value } for
+ * every field with a non-empty key, numbers rounded to `precision` places.
+ */
+function frontmatterMetrics(stats, keys, precision = 2) {
+  const values = {};
+  const digits = Math.max(0, Math.min(6, Number(precision) || 0));
+  for (const field of FRONTMATTER_FIELDS) {
+    const key = keys && typeof keys[field.id] === 'string' ? keys[field.id].trim() : '';
+    if (!key) continue;
+    const value = stats[field.id];
+    if (field.id === 'analyzedAt') values[key] = localIsoString(value || Date.now());
+    else if (field.numeric) values[key] = Number((value || 0).toFixed(digits));
+    else values[key] = value == null ? '' : value;
+  }
+  return values;
+}
+
+// ===================== Batch analysis =====================
+// File name of the persisted batch job inside the plugin folder.
+const BATCH_JOB_FILE = 'batch-job.json';
+
+// Translate a vault path glob into a RegExp: `**` crosses folders, `*` and
+// `?` stay within one path segment.
+function globToRegExp(glob) {
+  let re = '';
+  for (let i = 0; i < glob.length; i++) {
+    const c = glob[i];
+    if (c === '*' && glob[i + 1] === '*') {
+      // `**/` also matches no folder at all
+      if (glob[i + 2] === '/') {
+        re += '(?:.*/)?';
+        i += 2;
+      } else {
+        re += '.*';
+        i += 1;
+      }
+    } else if (c === '*') re += '[^/]*';
+    else if (c === '?') re += '[^/]';
+    else re += c.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+  }
+  return new RegExp(`^${re}$`, 'i');
+}
+
+/**
+ * Whether a note belongs to a batch scope: { kind: 'vault' }, { kind: 'folder',
+ * value: path }, { kind: 'tag', value: '#tag' } (nested tags included) or
+ * { kind: 'glob', value: pattern }.
+ */
+function fileMatchesBatchScope(app, file, scope) {
+  switch (scope.kind) {
+    case 'folder': {
+      const folder = (scope.value || '').replace(/\/+$/, '');
+      return !folder || folder === '/' || file.path.startsWith(`${folder}/`);
+    }
+    case 'tag': {
+      const tag = scope.value.toLowerCase();
+      const cache = app.metadataCache.getFileCache(file);
+      const tags = (cache && getAllTags(cache)) || [];
+      return tags.some((t) => {
+        const lower = t.toLowerCase();
+        return lower === tag || lower.startsWith(`${tag}/`);
+      });
+    }
+    case 'glob':
+      return globToRegExp(scope.value).test(file.path);
+    default:
+      return true;
+  }
+}
+
+// Sentence for the end-of-job notice of a batch or export: how many backend
+// fallbacks happened and why, or '' when there were none.
+function fallbackSummary(messages) {
+  if (messages.length === 0) return '';
+  const reasons = Array.from(new Set(messages)).join(' ');
+  return ` ${messages.length} fallback${messages.length === 1 ? '' : 's'} to a simpler backend: ${reasons}`;
+}
+
+function batchScopeLabel(scope) {
+  switch (scope.kind) {
+    case 'folder': return `folder “${scope.value || '/'}”`;
+    case 'tag': return `tag ${scope.value}`;
+    case 'glob': return `notes matching “${scope.value}”`;
+    default: return 'all notes';
+  }
+}
+
+/**
+ * Background analysis of many notes. A job captures the matching paths when
+ * it starts and runs getMetrics on them with limited concurrency. The job is
+ * persisted to the plugin folder with the content hash of every finished
+ * note, so after a restart it resumes where it stopped and skips notes that
+ * have not changed since. Progress is shown in the plugin's status bar item
+ * and the aggregates of every note land in the note statistics store.
+ */
+class BatchAnalysis {
+  constructor(plugin) {
+    this.plugin = plugin;
+    // { version, scope, paths, done: { path: { hash, analyzedAt } }, failed: { path: message },
+    //   fallbacks: { path: [message] }, status, startedAt }
+    this.job = null;
+    // Position in job.paths; not persisted, finished notes are skipped by hash
+    this._next = 0;
+    this._workers = 0;
+    this._stopped = false;
+    // Nothing is written while no job exists; the file is removed instead
+    this.file = new JsonFileStore(plugin, BATCH_JOB_FILE, 'batch job', () => this.job || undefined, 2000);
+  }
+
+  get active() {
+    return !!this.job;
+  }
+
+  get running() {
+    return !!this.job && this.job.status === 'running';
+  }
+
+  async load() {
+    const data = await this.file.read();
+    if (data && data.version === 1 && Array.isArray(data.paths)) this.job = data;
+  }
+
+  // Paths of the Markdown notes in a scope, in a stable order. Reports in
+  // the export folder are left out.
+  collectPaths(scope) {
+    const app = this.plugin.app;
+    const exportFolder = normalizePath(this.plugin.settings.exportFolder || 'Text Quality Exports');
+    return app.vault.getMarkdownFiles()
+      .filter((file) => !file.path.startsWith(`${exportFolder}/`) && fileMatchesBatchScope(app, file, scope))
+      .map((file) => file.path)
+      .sort();
+  }
+
+  async start(scope) {
+    if (this.job) {
+      new Notice('Text Quality Analyzer: a batch analysis is already in progress. Cancel it first.');
+      return;
+    }
+    const paths = this.collectPaths(scope);
+    if (paths.length === 0) {
+      new Notice(`Text Quality Analyzer: no notes found in ${batchScopeLabel(scope)}.`);
+      return;
+    }
+    this.job = { version: 1, scope, paths, done: {}, failed: {}, fallbacks: {}, status: 'running', startedAt: Date.now() };
+    this._next = 0;
+    this._workers = 0;
+    new Notice(`Text Quality Analyzer: analysing ${paths.length} notes in ${batchScopeLabel(scope)}…`);
+    await this.save();
+    this.run();
+  }
+
+  // Start workers up to the configured concurrency.
+  run() {
+    if (!this.running) return;
+    this._stopped = false;
+    const limit = Math.max(1, Math.min(8, Number(this.plugin.settings.batchConcurrency) || 1));
+    while (this._workers < limit && this._next < this.job.paths.length) {
+      this._workers++;
+      this._worker().catch((err) => console.error('TQA: batch worker failed', err));
+    }
+    if (this._workers === 0) this._finish();
+    this.plugin.updateStatusBar();
+  }
+
+  async _worker() {
+    const job = this.job;
+    try {
+      while (!this._stopped && this.job === job && job.status === 'running' && this._next < job.paths.length) {
+        const path = job.paths[this._next++];
+        await this._processPath(job, path);
+        this.file.scheduleSave();
+        this.plugin.updateStatusBar();
+      }
+    } finally {
+      // Workers of a cancelled job no longer count against the limit
+      if (this.job === job) this._workers--;
+    }
+    if (this._workers === 0 && !this._stopped && this.job === job && job.status === 'running' && this._next >= job.paths.length) {
+      await this._finish();
+    }
+  }
+
+  async _processPath(job, path) {
+    const plugin = this.plugin;
+    const file = plugin.app.vault.getAbstractFileByPath(path);
+    // Deleted since the job started
+    if (!file || file.extension !== 'md') return;
+    try {
+      const text = await plugin.readNoteText(file);
+      const index = buildParagraphIndex(text);
+      const topic = resolveNoteTopic(index.blocks, file.basename, plugin.settings.topic);
+      // Hash what the analysis depends on, so that frontmatter written back
+      // by the plugin does not count as a change
+      const hash = hashString(`${topic.text}\n${index.paragraphs.map((p) => p.hash).join(',')}`);
+      const previous = job.done[path];
+      if (previous && previous.hash === hash) return;
+      // Fallbacks are counted for the summary instead of a notice per note
+      const fallbacks = [];
+      const metrics = await plugin.measureParagraphs(index, topic, { quiet: true, onFallback: (message) => fallbacks.push(message) });
+      if (this.job !== job) return;
+      job.done[path] = { hash, analyzedAt: Date.now() };
+      // Jobs saved before fallbacks were tracked lack the field
+      if (!job.fallbacks) job.fallbacks = {};
+      if (fallbacks.length > 0) job.fallbacks[path] = fallbacks;
+      else delete job.fallbacks[path];
+      const stats = plugin.noteStats.record(path, metrics);
+      plugin.noteHistory.record(path, index.paragraphs, metrics);
+      if (plugin.settings.frontmatterWriteBack) await plugin.writeFrontmatterMetrics(file, stats);
+      delete job.failed[path];
+    } catch (e) {
+      console.warn(`TQA: batch analysis of ${path} failed`, e);
+      job.failed[path] = String((e && e.message) || e);
+    }
+  }
+
+  async _finish() {
+    const job = this.job;
+    if (!job) return;
+    const analysed = Object.keys(job.done).length;
+    const failed = Object.keys(job.failed).length;
+    const fallbacks = Object.values(job.fallbacks || {}).flat();
+    this.job = null;
+    this.plugin.updateStatusBar();
+    await this.file.remove();
+    new Notice(`Text Quality Analyzer: batch analysis finished. ${analysed} notes analysed${failed ? `, ${failed} failed (see console)` : ''}.${fallbackSummary(fallbacks)}`);
+  }
+
+  pause() {
+    if (!this.running) return;
+    this.job.status = 'paused';
+    this.save();
+    this.plugin.updateStatusBar();
+  }
+
+  resume() {
+    if (!this.job || this.job.status !== 'paused') return;
+    this.job.status = 'running';
+    this.save();
+    this.run();
+  }
+
+  togglePause() {
+    if (this.running) this.pause();
+    else this.resume();
+  }
+
+  async cancel() {
+    if (!this.job) return;
+    this.job = null;
+    this._workers = 0;
+    this.plugin.updateStatusBar();
+    await this.file.remove();
+    new Notice('Text Quality Analyzer: batch analysis cancelled.');
+  }
+
+  // Stop the workers without touching the job; used on unload so that a
+  // running job resumes with the next start.
+  stop() {
+    this._stopped = true;
+    if (this.job) return this.save();
+  }
+
+  renamePath(oldPath, newPath) {
+    if (!this.job) return;
+    const i = this.job.paths.indexOf(oldPath);
+    if (i !== -1) this.job.paths[i] = newPath;
+    for (const byPath of [this.job.done, this.job.failed, this.job.fallbacks]) {
+      if (!byPath || !(oldPath in byPath)) continue;
+      byPath[newPath] = byPath[oldPath];
+      delete byPath[oldPath];
+    }
+  }
+
+  statusText() {
+    if (!this.job) return '';
+    const progress = `${Math.min(this._next, this.job.paths.length)}/${this.job.paths.length}`;
+    return this.job.status === 'paused' ? `Batch paused ${progress}` : `Batch ${progress}`;
+  }
+
+  save() {
+    return this.file.save();
+  }
+}
+
+// Folder picker for "Analyze notes in folder…".
+class FolderSuggestModal extends FuzzySuggestModal {
+  constructor(app, onChoose) {
+    super(app);
+    this.onChoose = onChoose;
+    this.setPlaceholder('Choose a folder to analyse');
+  }
+
+  getItems() {
+    return this.app.vault.getAllLoadedFiles().filter((f) => f instanceof TFolder);
+  }
+
+  getItemText(folder) {
+    return folder.path || '/';
+  }
+
+  onChooseItem(folder) {
+    this.onChoose(folder.path || '/');
+  }
+}
+
+// Prompt for a tag (`#project`) or a path glob (`Drafts/**/*.md`).
+class BatchFilterModal extends Modal {
+  constructor(app, onSubmit) {
+    super(app);
+    this.onSubmit = onSubmit;
+  }
+
+  onOpen() {
+    const { contentEl } = this;
+    contentEl.createEl('h3', { text: 'Analyze notes by tag or glob' });
+    let value = '';
+    const submit = () => {
+      const query = value.trim();
+      if (!query) return;
+      this.close();
+      this.onSubmit(query.startsWith('#') ? { kind: 'tag', value: query } : { kind: 'glob', value: query });
+    };
+    new Setting(contentEl)
+      .setName('Tag or glob')
+      .setDesc('A tag such as #draft (nested tags included) or a path pattern such as Projects/**/*.md.')
+      .addText((text) => {
+        text.setPlaceholder('#draft');
+        text.onChange((v) => { value = v; });
+        text.inputEl.addEventListener('keydown', (evt) => {
+          if (evt.key === 'Enter') {
+            evt.preventDefault();
+            submit();
+          }
+        });
+      })
+      .addButton((button) => {
+        button.setButtonText('Analyze').setCta();
+        button.onClick(submit);
+      });
+  }
+
+  onClose() {
+    this.contentEl.empty();
+  }
+}
+
+// ===================== Export =====================
+// Paragraphs quoted in the "worst paragraphs" part of a Markdown report.
+const REPORT_WORST_PARAGRAPHS = 10;
+// Fixed leading columns of CSV exports; readability components follow.
+const EXPORT_COLUMNS = [
+  'note', 'paragraph', 'lineStart', 'lineEnd', 'excerpt', 'snr', 'complexity', 'topicScore', 'sectionScore',
+  'language', 'role', 'backend', 'model'
+];
+
+// Split a metrics backend label ('openai:gpt-4o-mini', 'heuristic', 'server')
+// into the backend and the model.
+function splitBackendLabel(label) {
+  const text = label || '';
+  const i = text.indexOf(':');
+  return i === -1 ? { backend: text, model: '' } : { backend: text.slice(0, i), model: text.slice(i + 1) };
+}
+
+/**
+ * One flat row per analysed paragraph of a note, as exported to CSV and JSON.
+ * Paragraph numbers and lines are 1-based; readability components are
+ * prefixed with `readability.`.
+ */
+function exportRows(analysis) {
+  const rows = [];
+  for (const para of analysis.index.paragraphs) {
+    const m = metricsFor(analysis, para);
+    if (!m) continue;
+    const { backend, model } = splitBackendLabel(m.backend);
+    const row = {
+      note: analysis.file,
+      paragraph: para.index + 1,
+      lineStart: para.startLine + 1,
+      lineEnd: para.endLine + 1,
+      excerpt: para.text.replace(/\s+/g, ' ').slice(0, 200),
+      snr: m.snr,
+      complexity: m.complexity,
+      topicScore: typeof m.topic === 'number' ? m.topic : null,
+      sectionScore: typeof m.section === 'number' ? m.section : null,
+      language: m.language || '',
+      role: m.role || '',
+      backend,
+      model
+    };
+    for (const [key, value] of Object.entries(m.readability || {})) row[`readability.${key}`] = value;
+    rows.push(row);
+  }
+  return rows;
+}
+
+// RFC 4180 CSV with a BOM so that spreadsheet apps detect UTF-8.
+function toCsv(rows) {
+  const extra = new Set();
+  for (const row of rows) {
+    for (const key of Object.keys(row)) if (!EXPORT_COLUMNS.includes(key)) extra.add(key);
+  }
+  const columns = [...EXPORT_COLUMNS, ...Array.from(extra).sort()];
+  const cell = (value) => {
+    if (value === null || value === undefined) return '';
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  const lines = [columns.join(',')];
+  for (const row of rows) lines.push(columns.map((c) => cell(row[c])).join(','));
+  return `\ufeff${lines.join('\r\n')}\r\n`;
+}
+
+// Settings that influence the numbers, recorded with every export.
+function exportSettingsSummary(plugin) {
+  const s = plugin.settings;
+  const summary = {
+    backendMode: s.backendMode,
+    language: s.language,
+    defaultTopic: s.topic,
+    relevanceMethod: s.relevanceMethod,
+    vaultDocumentFrequencies: !!s.vaultDocumentFrequencies,
+    sectionRelativeSnr: !!s.sectionRelativeSnr,
+    lowSnrThreshold: s.lowSnrThreshold
+  };
+  if (s.sectionRelativeSnr) summary.sectionWeight = s.sectionWeight;
+  if (s.backendMode !== 'heuristic') {
+    summary.provider = s.provider;
+    summary.snrMethod = plugin.effectiveSnrMethod();
+    summary.embeddingModel = plugin.modelFor('embedding');
+    summary.scoringModel = plugin.modelFor('scoring');
+    if (s.classifyRoles) summary.roleModel = plugin.modelFor('roles');
+  }
+  if (s.backendMode === 'server' || s.backendMode === 'auto') summary.httpEndpoint = s.httpEndpoint;
+  return summary;
+}
+
+// Wikilink to the heading above a paragraph (or the note), since paragraphs
+// have no addressable anchor of their own.
+function paragraphLink(path, para) {
+  const target = path.replace(/\.md$/, '');
+  const heading = para.headingPath && para.headingPath.length ? para.headingPath[para.headingPath.length - 1] : '';
+  const safe = (text) => text.replace(/[[\]|#^]/g, ' ').replace(/\s+/g, ' ').trim();
+  const name = target.split('/').pop();
+  return heading
+    ? `[[${target}#${safe(heading)}|${safe(name)} › ${safe(heading)}]]`
+    : `[[${target}|${safe(name)}]]`;
+}
+
+/**
+ * Markdown report for analysed notes: a summary table per note, the worst
+ * paragraphs across all of them quoted with links back, and the settings
+ * used. `analyses` are entries like plugin.analyses values.
+ */
+function buildMarkdownReport(analyses, settingsSummary, lowSnrThreshold = 0.3) {
+  const fmt = (n) => (typeof n === 'number' ? n.toFixed(2) : '–');
+  const lines = [
+    '# Text quality report',
+    '',
+    `Generated ${localIsoString(Date.now()).replace('T', ' ')} for ${analyses.length} note${analyses.length === 1 ? '' : 's'}.`,
+    '',
+    '## Summary',
+    '',
+    '| Note | Topic | Paragraphs | Mean SNR | Min SNR | Mean complexity | Low SNR |',
+    '| --- | --- | ---: | ---: | ---: | ---: | ---: |'
+  ];
+  const candidates = [];
+  for (const analysis of analyses) {
+    const metrics = analysis.index.paragraphs.map((p) => metricsFor(analysis, p));
+    const stats = summarizeNoteMetrics(metrics, lowSnrThreshold);
+    const topic = analysis.topic && analysis.topic.text ? analysis.topic.text.replace(/\|/g, '\\|') : '–';
+    const link = `[[${analysis.file.replace(/\.md$/, '')}]]`;
+    lines.push(`| ${link} | ${topic} | ${stats.paragraphs} | ${fmt(stats.snrMean)} | ${fmt(stats.snrMin)} | ${fmt(stats.complexityMean)} | ${stats.lowSnrCount} |`);
+    analysis.index.paragraphs.forEach((para, i) => {
+      if (metrics[i]) candidates.push({ path: analysis.file, para, m: metrics[i] });
+    });
+  }
+  candidates.sort((a, b) => a.m.snr - b.m.snr);
+  lines.push('', '## Worst paragraphs', '');
+  if (candidates.length === 0) lines.push('No paragraphs were analysed.');
+  for (const { path, para, m } of candidates.slice(0, REPORT_WORST_PARAGRAPHS)) {
+    const role = m.role ? `, role ${m.role}` : '';
+    lines.push(`**SNR ${fmt(m.snr)}, complexity ${fmt(m.complexity)}${role}** — ${paragraphLink(path, para)}, line ${para.startLine + 1}`);
+    lines.push('');
+    for (const line of para.text.split('\n')) lines.push(`> ${line}`);
+    lines.push('');
+  }
+  lines.push('## Settings', '');
+  for (const [key, value] of Object.entries(settingsSummary)) {
+    lines.push(`- ${key}: ${value === '' || value === undefined ? '–' : `\`${value}\``}`);
+  }
+  lines.push('');
+  return lines.join('\n');
+}
+
+// Scope and format picker for "Export notes…".
+class ExportModal extends Modal {
+  constructor(app, onSubmit) {
+    super(app);
+    this.onSubmit = onSubmit;
+  }
+
+  onOpen() {
+    const { contentEl } = this;
+    contentEl.createEl('h3', { text: 'Export analysis' });
+    let kind = 'vault';
+    let value = '';
+    let format = 'csv';
+    let valueSetting = null;
+    new Setting(contentEl)
+      .setName('Notes')
+      .addDropdown((dropdown) => {
+        dropdown.addOption('vault', 'All notes');
+        dropdown.addOption('folder', 'Folder');
+        dropdown.addOption('match', 'Tag or glob');
+        dropdown.setValue(kind);
+        dropdown.onChange((v) => {
+          kind = v;
+          valueSetting.settingEl.style.display = kind === 'vault' ? 'none' : '';
+        });
+      });
+    valueSetting = new Setting(contentEl)
+      .setName('Folder, tag or glob')
+      .setDesc('A folder path, a tag such as #draft, or a pattern such as Projects/**/*.md.')
+      .addText((text) => text.onChange((v) => { value = v.trim(); }));
+    valueSetting.settingEl.style.display = 'none';
+    new Setting(contentEl)
+      .setName('Format')
+      .addDropdown((dropdown) => {
+        dropdown.addOption('csv', 'CSV');
+        dropdown.addOption('json', 'JSON');
+        dropdown.addOption('report', 'Markdown report');
+        dropdown.setValue(format);
+        dropdown.onChange((v) => { format = v; });
       })
+      .addButton((button) => {
+        button.setButtonText('Export').setCta();
+        button.onClick(() => {
+          let scope = { kind: 'vault' };
+          if (kind === 'folder') scope = { kind: 'folder', value };
+          else if (kind === 'match' && value) scope = value.startsWith('#') ? { kind: 'tag', value } : { kind: 'glob', value };
+          this.close();
+          this.onSubmit(scope, format);
+        });
+      });
+  }
+
+  onClose() {
+    this.contentEl.empty();
+  }
+}
+
+// View type identifier for the card view. This must be unique across all
+// plugins. Change it if you build another similar plugin.
+const VIEW_TYPE = 'text-quality-cards';
+
+// The card view class. Presents paragraph metrics as individual cards. Each
+// card displays a snippet of the paragraph along with its computed scores and
+// offers a link to jump back into the editor.
+class TQAView extends ItemView {
+  constructor(leaf, plugin) {
+    super(leaf);
+    this.plugin = plugin;
+    this.cardsContainer = null;
+    // Mark cards against the previous analysis of the note
+    this.compareMode = false;
+    // Paragraph id of the highlighted card (cursor position or keyboard)
+    this.activeId = null;
+    this.toolbarEl = null;
+    this._saveFilterTimer = null;
+    // Whether the charts panel is expanded
+    this.chartsOpen = false;
+  }
+
+  // Toolbar state, persisted in the plugin settings.
+  get filter() {
+    return this.plugin.settings.cardsFilter;
+  }
+
+  updateFilter(changes) {
+    this.plugin.settings.cardsFilter = { ...this.filter, ...changes };
+    this.renderMetrics(this.plugin.metricsCache);
+    // Typing in the search field should not write settings on every key
+    clearTimeout(this._saveFilterTimer);
+    this._saveFilterTimer = setTimeout(() => this.plugin.saveSettings(), 500);
+  }
+
+  /**
+   * Toolbar above the cards: sort order, search, SNR and complexity ranges.
+   * It is built once so that re-renders keep the focus in the search field;
+   * the role chips depend on the note and are rebuilt by renderMetrics.
+   */
+  renderToolbar() {
+    const toolbar = this.containerEl.createDiv({ cls: 'tqa-toolbar' });
+    const filter = this.filter;
+    const topRow = toolbar.createDiv({ cls: 'tqa-toolbar-row' });
+    const sort = topRow.createEl('select', { cls: 'dropdown' });
+    for (const [id, { name }] of Object.entries(CARD_SORTS)) sort.createEl('option', { text: name, value: id });
+    sort.value = CARD_SORTS[filter.sort] ? filter.sort : 'document';
+    sort.addEventListener('change', () => this.updateFilter({ sort: sort.value }));
+    const search = topRow.createEl('input', { type: 'search', placeholder: 'Search paragraphs' });
+    search.value = filter.search || '';
+    search.addEventListener('input', () => this.updateFilter({ search: search.value }));
+
+    const range = (label, minKey, maxKey) => {
+      const row = toolbar.createDiv({ cls: 'tqa-toolbar-row tqa-toolbar-range' });
+      const text = row.createSpan({ cls: 'tqa-toolbar-label' });
+      const show = () => text.setText(`${label} ${this.filter[minKey].toFixed(2)}–${this.filter[maxKey].toFixed(2)}`);
+      const slider = (key) => {
+        const input = row.createEl('input', { type: 'range' });
+        input.min = '0';
+        input.max = '1';
+        input.step = '0.05';
+        input.value = String(this.filter[key]);
+        input.setAttr('aria-label', `${label} ${key.endsWith('Min') ? 'minimum' : 'maximum'}`);
+        input.addEventListener('input', () => {
+          const value = parseFloat(input.value);
+          // Keep min ≤ max by pushing the other bound
+          const other = key === minKey ? maxKey : minKey;
+          const changes = { [key]: value };
+          if (key === minKey && value > this.filter[maxKey]) changes[other] = value;
+          if (key === maxKey && value < this.filter[minKey]) changes[other] = value;
+          this.updateFilter(changes);
+          show();
+          this._syncRangeInputs();
+        });
+        return input;
+      };
+      slider(minKey);
+      slider(maxKey);
+      show();
+    };
+    range('SNR', 'snrMin', 'snrMax');
+    range('Complexity', 'complexityMin', 'complexityMax');
+
+    this.rolesEl = toolbar.createDiv({ cls: 'tqa-toolbar-row tqa-toolbar-roles' });
+    const bottomRow = toolbar.createDiv({ cls: 'tqa-toolbar-row' });
+    this.countEl = bottomRow.createSpan({ cls: 'tqa-toolbar-count' });
+    const reset = bottomRow.createEl('button', { text: 'Reset filters' });
+    reset.addEventListener('click', () => {
+      this.plugin.settings.cardsFilter = { ...DEFAULT_SETTINGS.cardsFilter, roles: [] };
+      this.plugin.saveSettings();
+      this.toolbarEl.remove();
+      this.toolbarEl = this.renderToolbar();
+      this.containerEl.insertBefore(this.toolbarEl, this.cardsContainer);
+      this.renderMetrics(this.plugin.metricsCache);
     });
-    if (!res.ok) {
-      const err = await res.text().catch(() => '');
-      throw new Error(`Role request failed: ${res.status} ${res.statusText} ${err}`);
+    return toolbar;
+  }
+
+  // Re-apply the stored bounds to the sliders after one pushed the other.
+  _syncRangeInputs() {
+    const inputs = this.toolbarEl ? this.toolbarEl.querySelectorAll('.tqa-toolbar-range input') : [];
+    const keys = ['snrMin', 'snrMax', 'complexityMin', 'complexityMax'];
+    inputs.forEach((input, i) => {
+      input.value = String(this.filter[keys[i]]);
+    });
+  }
+
+  // Role chips for the roles present in the note; selected roles stay listed.
+  renderRoleChips(metricsCache) {
+    if (!this.rolesEl) return;
+    this.rolesEl.empty();
+    const roles = new Set(this.filter.roles || []);
+    let unlabelled = false;
+    for (const m of Object.values((metricsCache && metricsCache.metricsById) || {})) {
+      const role = (m.role || '').trim();
+      if (role) roles.add(role);
+      else unlabelled = true;
+    }
+    if (roles.size === 0) {
+      this.rolesEl.style.display = 'none';
+      return;
+    }
+    this.rolesEl.style.display = '';
+    const options = Array.from(roles).filter(Boolean).sort();
+    if (unlabelled || (this.filter.roles || []).includes('')) options.push('');
+    for (const role of options) {
+      const selected = (this.filter.roles || []).includes(role);
+      const chip = this.rolesEl.createEl('button', { cls: 'tqa-role-chip', text: role || 'No role' });
+      if (selected) chip.addClass('is-active');
+      chip.setAttr('aria-pressed', String(selected));
+      chip.addEventListener('click', () => {
+        const current = new Set(this.filter.roles || []);
+        if (current.has(role)) current.delete(role);
+        else current.add(role);
+        this.updateFilter({ roles: Array.from(current) });
+      });
+    }
+  }
+
+  getViewType() {
+    return VIEW_TYPE;
+  }
+
+  getDisplayText() {
+    return 'Text Quality Cards';
+  }
+
+  async onOpen() {
+    this.containerEl.empty();
+    const header = this.containerEl.createEl('h3', {
+      text: 'Text Quality Analyzer'
+    });
+    this.toolbarEl = this.renderToolbar();
+    this.cardsContainer = this.containerEl.createDiv({ cls: 'tqa-cards-view' });
+    // Arrow keys move between cards, Enter jumps to the paragraph
+    this.containerEl.tabIndex = 0;
+    this.registerDomEvent(this.containerEl, 'keydown', (evt) => this.onKeyDown(evt));
+    // If there is cached data from a prior analysis of the active note, render it.
+    if (this.plugin.metricsCache) {
+      this.renderMetrics(this.plugin.metricsCache);
+    } else {
+      this.cardsContainer.createEl('p', {
+        text: 'No analysis yet. Run “Analyze Current Note” from the command palette.'
+      });
+    }
+  }
+
+  async onClose() {
+    // Flush a pending save of the toolbar state
+    if (this._saveFilterTimer) {
+      clearTimeout(this._saveFilterTimer);
+      await this.plugin.saveSettings();
+    }
+  }
+
+  /**
+   * Render paragraph metrics into the card view. The provided metricsCache
+   * object should have the shape { file, index, metricsById, ranges } where
+   * index comes from buildParagraphIndex.
+   */
+  renderMetrics(metricsCache) {
+    this.cardsContainer.empty();
+    this.renderRoleChips(metricsCache);
+    if (this.countEl) this.countEl.setText('');
+    if (!metricsCache) {
+      this.cardsContainer.createEl('p', {
+        text: 'No analysis yet. Run “Analyze Current Note” from the command palette.'
+      });
+      return;
+    }
+    if (metricsCache.topic) {
+      const { text, source } = metricsCache.topic;
+      const header = this.cardsContainer.createDiv({ cls: 'tqa-cards-header' });
+      header.createEl('p', { cls: 'tqa-topic', text: `Topic: ${text || 'first paragraph'}` });
+      if (text) header.createEl('p', { cls: 'tqa-topic-source', text: `from ${TOPIC_SOURCE_LABELS[source] || source}` });
+    }
+    const paragraphs = metricsCache.index ? metricsCache.index.paragraphs : [];
+    const changes = this.renderHistory(metricsCache);
+    this.renderLegend(metricsCache);
+    this.renderCharts(metricsCache);
+    if (paragraphs.length === 0) {
+      this.cardsContainer.createEl('p', { text: 'No paragraphs found.' });
+      return;
+    }
+    // In document order cards are grouped under their headings with
+    // per-section averages (over the whole section, not just the matches);
+    // other sort orders give a flat list.
+    const filter = this.filter;
+    const groups = groupParagraphsBySection(metricsCache);
+    const total = groups.reduce((n, g) => n + g.items.length, 0);
+    for (const group of groups) {
+      group.visible = group.items.filter(({ para, metrics }) => cardMatchesFilter(para, metrics, filter));
+    }
+    const visible = groups.reduce((n, g) => n + g.visible.length, 0);
+    if (this.countEl) this.countEl.setText(`${visible} of ${total} paragraphs`);
+    if (visible === 0) {
+      this.cardsContainer.createEl('p', { text: 'No paragraphs match the filters.' });
+      return;
+    }
+    const sort = CARD_SORTS[filter.sort];
+    if (sort && sort.compare) {
+      const items = groups.flatMap((g) => g.visible).sort((a, b) => sort.compare(a, b) || a.para.index - b.para.index);
+      items.forEach(({ para, metrics: m }) => this.renderCard(this.cardsContainer, para, m, changes && changes.get(para.id)));
+      this.highlightCard(this.plugin.cursorParagraphId(metricsCache.file), false);
+      return;
+    }
+    const showSections = groups.some((g) => g.headingPath.length > 0);
+    groups.forEach((group) => {
+      if (group.visible.length === 0) return;
+      let container = this.cardsContainer;
+      if (showSections) {
+        const section = this.cardsContainer.createDiv({ cls: 'tqa-section' });
+        const depth = Math.max(0, group.headingPath.length - 1);
+        const header = section.createDiv({ cls: 'tqa-section-header' });
+        header.style.paddingLeft = `${depth * 0.75}rem`;
+        header.createEl('h4', { text: group.headingPath.length ? group.headingPath[group.headingPath.length - 1] : 'Before the first heading' });
+        header.createEl('p', {
+          cls: 'tqa-section-summary',
+          text: `Avg SNR ${group.avgSnr.toFixed(2)}  •  Avg complexity ${group.avgComplexity.toFixed(2)}  •  ${group.items.length} paragraph${group.items.length === 1 ? '' : 's'}`
+        });
+        container = section;
+      }
+      group.visible.forEach(({ para, metrics: m }) => this.renderCard(container, para, m, changes && changes.get(para.id)));
+    });
+    this.highlightCard(this.plugin.cursorParagraphId(metricsCache.file), false);
+  }
+
+  /**
+   * Trend of the note's mean SNR and complexity across analyses, with the
+   * toggle for compare mode. Returns the per-paragraph comparison with the
+   * previous analysis while compare mode is on, otherwise null.
+   */
+  renderHistory(metricsCache) {
+    const entries = this.plugin.noteHistory.entries(metricsCache.file);
+    if (entries.length < 2) return null;
+    const history = this.cardsContainer.createDiv({ cls: 'tqa-history' });
+    const width = 160;
+    const height = 28;
+    const svg = history.createSvg('svg', {
+      cls: 'tqa-sparkline',
+      attr: { width, height, viewBox: `0 0 ${width} ${height}` }
+    });
+    svg.createSvg('polyline', {
+      cls: 'tqa-sparkline-complexity',
+      attr: { points: sparklinePoints(entries.map((e) => e.complexityMean), width, height) }
+    });
+    svg.createSvg('polyline', {
+      cls: 'tqa-sparkline-snr',
+      attr: { points: sparklinePoints(entries.map((e) => e.snrMean), width, height) }
+    });
+    const first = entries[0];
+    const last = entries[entries.length - 1];
+    const delta = last.snrMean - first.snrMean;
+    history.createEl('p', {
+      cls: 'tqa-history-summary',
+      text: `SNR ${first.snrMean.toFixed(2)} → ${last.snrMean.toFixed(2)} (${delta >= 0 ? '+' : ''}${delta.toFixed(2)}) over ${entries.length} analyses`
+    });
+    history.setAttr('title', `Mean SNR (solid) and complexity (dashed) since ${new Date(first.at).toLocaleString()}`);
+
+    const at = metricsCache.historyAt || last.at + 1;
+    const previous = this.plugin.noteHistory.previous(metricsCache.file, at);
+    const toggle = history.createEl('button', {
+      cls: 'tqa-compare-toggle',
+      text: this.compareMode ? 'Hide comparison' : 'Compare with previous'
+    });
+    if (!previous || !previous.snapshot) {
+      toggle.disabled = true;
+      toggle.setAttr('title', 'No paragraph snapshot of a previous analysis');
+      return null;
+    }
+    toggle.addEventListener('click', () => {
+      this.compareMode = !this.compareMode;
+      this.renderMetrics(this.plugin.metricsCache);
+    });
+    if (!this.compareMode) return null;
+    const changes = compareWithSnapshot(metricsCache.index.paragraphs, metricsCache.metricsById, previous.snapshot);
+    const counts = { better: 0, worse: 0, new: 0 };
+    for (const change of changes.values()) {
+      if (change.status in counts) counts[change.status]++;
+    }
+    history.createEl('p', {
+      cls: 'tqa-history-summary',
+      text: `Since ${new Date(previous.at).toLocaleString()}: ${counts.better} better, ${counts.worse} worse, ${counts.new} new`
+    });
+    return changes;
+  }
+
+  /**
+   * Legend of the highlight colours: one scale per metric shown by the
+   * current display mode, labelled with metric values (the note's range when
+   * colours are normalised). Bands get one swatch each.
+   */
+  renderLegend(metricsCache) {
+    const settings = this.plugin.settings;
+    const mode = settings.highlightMode || 'both';
+    const ranges = metricsCache.ranges;
+    const normalized = settings.normalizeRanges && ranges;
+    const scales = [];
+    if (mode !== 'text') {
+      const key = mode === 'both' || mode === 'background' ? 'background' : 'accent';
+      scales.push({ label: 'SNR', min: normalized ? ranges.snrMin : 0, max: normalized ? ranges.snrMax : 1, color: (v) => this.plugin.colorsFor({ snr: v, complexity: 0 }, ranges)[key] });
+    }
+    if (mode === 'both' || mode === 'text') {
+      scales.push({ label: 'Complexity', min: normalized ? ranges.compMin : 0, max: normalized ? ranges.compMax : 1, color: (v) => this.plugin.colorsFor({ snr: 0, complexity: v }, ranges).text });
+    }
+    const legend = this.cardsContainer.createDiv({ cls: 'tqa-legend' });
+    const bands = settings.colorBands || 0;
+    for (const scale of scales) {
+      const row = legend.createDiv({ cls: 'tqa-legend-row' });
+      row.createSpan({ cls: 'tqa-legend-label', text: scale.label });
+      const body = row.createDiv({ cls: 'tqa-legend-body' });
+      const bar = body.createDiv({ cls: 'tqa-legend-bar' });
+      const at = (f) => scale.min + f * (scale.max - scale.min);
+      const ticks = body.createDiv({ cls: 'tqa-legend-ticks' });
+      if (bands >= 2) {
+        for (let i = 0; i < bands; i++) {
+          const swatch = bar.createDiv({ cls: 'tqa-legend-swatch' });
+          swatch.style.backgroundColor = scale.color(at((i + 0.5) / bands));
+          swatch.setAttr('title', `${at(i / bands).toFixed(2)}–${at((i + 1) / bands).toFixed(2)}`);
+        }
+        for (let i = 0; i <= bands; i++) ticks.createSpan({ text: at(i / bands).toFixed(2) });
+      } else {
+        const stops = [];
+        for (let i = 0; i <= 10; i++) stops.push(scale.color(at(i / 10)));
+        bar.style.background = `linear-gradient(to right, ${stops.join(', ')})`;
+        ticks.createSpan({ text: `${scale.min.toFixed(2)} low` });
+        ticks.createSpan({ text: `high ${scale.max.toFixed(2)}` });
+      }
+    }
+  }
+
+  /**
+   * Collapsible chart panel: SNR × complexity scatter, histograms of both
+   * metrics and their flow through the document. Every dot shows the
+   * paragraph on hover and jumps to it on click. Colours follow the editor
+   * highlighting. Charts cover all paragraphs, regardless of the filters.
+   */
+  renderCharts(metricsCache) {
+    const points = (metricsCache.index ? metricsCache.index.paragraphs : [])
+      .map((para) => ({ para, metrics: metricsFor(metricsCache, para) }))
+      .filter((p) => p.metrics);
+    if (points.length === 0) return;
+    const details = this.cardsContainer.createEl('details', { cls: 'tqa-charts' });
+    details.createEl('summary', { text: 'Charts' });
+    let drawn = false;
+    const draw = () => {
+      if (drawn) return;
+      drawn = true;
+      const body = details.createDiv({ cls: 'tqa-charts-body' });
+      this.renderScatter(body, points, metricsCache.ranges);
+      this.renderHistograms(body, points, metricsCache.ranges);
+      this.renderFlow(body, points, metricsCache.ranges);
+    };
+    details.open = this.chartsOpen;
+    if (details.open) draw();
+    details.addEventListener('toggle', () => {
+      this.chartsOpen = details.open;
+      if (details.open) draw();
+    });
+  }
+
+  // Tooltip and click-to-jump for a chart mark.
+  bindChartMark(mark, para, metrics) {
+    const excerpt = para.text.length > 160 ? `${para.text.slice(0, 160)}…` : para.text;
+    mark.createSvg('title').textContent = `${excerpt}\nSNR ${metrics.snr.toFixed(2)}  •  Complexity ${metrics.complexity.toFixed(2)}`;
+    mark.addClass('tqa-chart-mark');
+    mark.addEventListener('click', () => {
+      this.highlightCard(para.id);
+      this.jumpToParagraph(para.id, true);
+    });
+  }
+
+  renderScatter(parent, points, ranges) {
+    const ticks = [0, 0.5, 1];
+    const { svg, sx, sy } = createChartFrame(parent, 'SNR × complexity',
+      { min: 0, max: 1, label: 'SNR', ticks },
+      { min: 0, max: 1, label: 'Complexity', ticks });
+    for (const { para, metrics } of points) {
+      const colors = this.plugin.colorsFor(metrics, ranges);
+      const dot = svg.createSvg('circle', {
+        attr: { cx: sx(clamp01(metrics.snr)), cy: sy(clamp01(metrics.complexity)), r: 4, fill: colors.background, stroke: colors.text }
+      });
+      this.bindChartMark(dot, para, metrics);
+    }
+  }
+
+  renderHistograms(parent, points, ranges) {
+    const histogram = (title, key, colorOf) => {
+      const counts = histogramBins(points.map((p) => p.metrics[key]));
+      const maxCount = Math.max(1, ...counts);
+      const { svg, sx, sy } = createChartFrame(parent, title,
+        { min: 0, max: 1, label: title.split(' ')[0], ticks: [0, 0.5, 1] },
+        { min: 0, max: maxCount, label: 'Paragraphs', ticks: [0, maxCount] });
+      counts.forEach((count, i) => {
+        if (count === 0) return;
+        const from = i / HISTOGRAM_BINS;
+        const to = (i + 1) / HISTOGRAM_BINS;
+        const bar = svg.createSvg('rect', {
+          cls: 'tqa-chart-bar',
+          attr: { x: sx(from) + 1, y: sy(count), width: Math.max(1, sx(to) - sx(from) - 2), height: sy(0) - sy(count), fill: colorOf((from + to) / 2) }
+        });
+        bar.createSvg('title').textContent = `${from.toFixed(1)}–${to.toFixed(1)}: ${count} paragraph${count === 1 ? '' : 's'}`;
+      });
+    };
+    histogram('SNR distribution', 'snr', (v) => this.plugin.colorsFor({ snr: v, complexity: 0 }, ranges).background);
+    histogram('Complexity distribution', 'complexity', (v) => this.plugin.colorsFor({ snr: 0, complexity: v }, ranges).text);
+  }
+
+  renderFlow(parent, points, ranges) {
+    const { svg, sx, sy } = createChartFrame(parent, 'Document flow',
+      { min: 1, max: Math.max(2, points.length), label: 'Paragraph', ticks: points.length > 1 ? [1, points.length] : [1] },
+      { min: 0, max: 1, label: 'Score', ticks: [0, 0.5, 1] });
+    const xAt = (i) => sx(i + 1);
+    const series = [
+      { key: 'snr', cls: 'tqa-flow-snr', mark: (m) => this.plugin.colorsFor(m, ranges).background },
+      { key: 'complexity', cls: 'tqa-flow-complexity', mark: (m) => this.plugin.colorsFor(m, ranges).text }
+    ];
+    for (const s of series) {
+      svg.createSvg('polyline', {
+        cls: s.cls,
+        attr: { points: points.map((p, i) => `${xAt(i).toFixed(1)},${sy(clamp01(p.metrics[s.key])).toFixed(1)}`).join(' ') }
+      });
+      points.forEach(({ para, metrics }, i) => {
+        const point = svg.createSvg('circle', {
+          cls: s.cls,
+          attr: { cx: xAt(i), cy: sy(clamp01(metrics[s.key])), r: 3, fill: s.mark(metrics) }
+        });
+        this.bindChartMark(point, para, metrics);
+      });
+    }
+  }
+
+  // One card: snippet plus a compact line of metrics and, in sentence-level
+  // mode, the worst sentences. `change` marks the card in compare mode.
+  renderCard(container, para, m, change = null) {
+    const card = container.createDiv({ cls: 'tqa-card' });
+    if (change) card.addClass(`tqa-card-${change.status}`);
+    card.addEventListener('click', () => {
+      this.highlightCard(para.id, false);
+      this.jumpToParagraph(para.id, true);
+    });
+    card.dataset.paragraphId = para.id;
+    if (m.backend) card.setAttr('title', `Backend: ${m.backend}`);
+    // Snippet only (no heading)
+    const snippet = para.text.length > 200 ? para.text.slice(0, 200) + '…' : para.text;
+    card.createEl('p', { text: snippet });
+    // Metrics in one compact line
+    const parts = [
+      `Signal‑to‑noise: ${m.snr.toFixed(2)}`,
+      `Complexity: ${m.complexity.toFixed(2)}`
+    ];
+    if (typeof m.section === 'number') {
+      parts.push(`Topic ${(m.topic || 0).toFixed(2)} / Section ${m.section.toFixed(2)}`);
+    }
+    const pack = m.language ? getLanguagePack(m.language) : null;
+    if (pack) parts.push(`Language: ${pack.name}`);
+    if (m.role && m.role.trim()) parts.push(`Role: ${m.role}`);
+    card.createEl('p', { text: parts.join('  •  ') });
+    const sentences = this.plugin.offendingSentencesFor(para, this.plugin.metricsCache, SENTENCE_CARD_LIMIT);
+    if (sentences.length > 0) {
+      const list = card.createEl('ul', { cls: 'tqa-card-sentences' });
+      for (const s of sentences) {
+        const item = list.createEl('li');
+        item.createSpan({ cls: 'tqa-card-sentence-text', text: s.text.length > 160 ? s.text.slice(0, 160) + '…' : s.text });
+        item.createSpan({ cls: 'tqa-card-sentence-metrics', text: sentenceMetricsLine(s) });
+      }
+    }
+    if (change) {
+      const sign = (n) => `${n >= 0 ? '+' : ''}${n.toFixed(2)}`;
+      const text = change.status === 'new'
+        ? 'New paragraph'
+        : `SNR ${sign(change.snrDelta)}  •  Complexity ${sign(change.complexityDelta)}${change.edited ? '  •  edited' : ''}`;
+      card.createEl('p', { cls: 'tqa-card-change', text });
+    }
+  }
+
+  // Mark the card of a paragraph as active, optionally scrolling it into view.
+  highlightCard(id, scroll = true) {
+    if (!this.cardsContainer) return;
+    this.activeId = id || null;
+    this.cardsContainer.querySelectorAll('.tqa-card-active').forEach((el) => el.removeClass('tqa-card-active'));
+    if (!id) return;
+    const card = Array.from(this.cardsContainer.querySelectorAll('.tqa-card')).find((el) => el.dataset.paragraphId === id);
+    if (!card) return;
+    card.addClass('tqa-card-active');
+    if (scroll) card.scrollIntoView({ block: 'nearest' });
+  }
+
+  onKeyDown(evt) {
+    if (evt.target !== this.containerEl) return;
+    const cards = Array.from(this.cardsContainer.querySelectorAll('.tqa-card'));
+    if (cards.length === 0) return;
+    const current = cards.findIndex((el) => el.dataset.paragraphId === this.activeId);
+    let next = null;
+    if (evt.key === 'ArrowDown') next = current === -1 ? 0 : Math.min(cards.length - 1, current + 1);
+    else if (evt.key === 'ArrowUp') next = current === -1 ? cards.length - 1 : Math.max(0, current - 1);
+    else if (evt.key === 'Home') next = 0;
+    else if (evt.key === 'End') next = cards.length - 1;
+    else if (evt.key === 'Enter' && current !== -1) {
+      evt.preventDefault();
+      this.jumpToParagraph(this.activeId, true);
+      return;
     }
-    const data = await res.json();
-    const role = data && data.choices && data.choices[0] && data.choices[0].message && data.choices[0].message.content;
-    roles.push(role ? role.trim() : 'other');
+    if (next === null) return;
+    evt.preventDefault();
+    const id = cards[next].dataset.paragraphId;
+    this.highlightCard(id);
+    // Follow along in the editor without taking focus from the cards
+    this.jumpToParagraph(id, false);
+  }
+
+  /**
+   * Jump to a paragraph (by id from the paragraph index) in the editor
+   * showing the analysed note, scroll it into view and flash it. With
+   * `focus` the editor also takes the keyboard focus.
+   */
+  jumpToParagraph(id, focus = false) {
+    const cache = this.plugin.metricsCache;
+    const para = cache && cache.index ? cache.index.byId.get(id) : null;
+    if (!para) return;
+    const activeView = this.app.workspace.getActiveViewOfType(MarkdownView);
+    const view = activeView && activeView.file && activeView.file.path === cache.file
+      ? activeView
+      : this.app.workspace.getLeavesOfType('markdown').map((l) => l.view).find((v) => v.file && v.file.path === cache.file);
+    if (!view) return;
+    const editor = view.editor;
+    // Position the cursor at the beginning of the paragraph and scroll into view.
+    const pos = { line: para.startLine, ch: 0 };
+    editor.setCursor(pos);
+    editor.scrollIntoView({ from: pos, to: { line: para.endLine, ch: 0 } }, true);
+    if (focus) this.app.workspace.setActiveLeaf(view.leaf, { focus: true });
+    this.plugin.flashParagraph(editor.cm, para);
   }
-  return roles;
 }
 
-// View type identifier for the card view. This must be unique across all
-// plugins. Change it if you build another similar plugin.
-const VIEW_TYPE = 'text-quality-cards';
+const DASHBOARD_VIEW_TYPE = 'text-quality-dashboard';
 
-// The card view class. Presents paragraph metrics as individual cards. Each
-// card displays a snippet of the paragraph along with its computed scores and
-// offers a link to jump back into the editor.
-class TQAView extends ItemView {
+// Table columns of the dashboard. `numeric` columns sort descending first.
+const DASHBOARD_COLUMNS = [
+  { key: 'path', label: 'Note' },
+  { key: 'snrMean', label: 'Mean SNR', numeric: true },
+  { key: 'snrMin', label: 'Min SNR', numeric: true },
+  { key: 'complexityMean', label: 'Mean complexity', numeric: true },
+  { key: 'paragraphs', label: 'Paragraphs', numeric: true },
+  { key: 'lowSnrShare', label: 'Low SNR', numeric: true },
+  { key: 'dominantRole', label: 'Dominant role' },
+  { key: 'analyzedAt', label: 'Analysed', numeric: true }
+];
+
+function formatDashboardCell(key, row) {
+  const value = row[key];
+  switch (key) {
+    case 'path': return row.path.replace(/\.md$/, '');
+    case 'snrMean':
+    case 'snrMin':
+    case 'complexityMean': return typeof value === 'number' ? value.toFixed(2) : '–';
+    case 'lowSnrShare': return typeof value === 'number' ? `${Math.round(value * 100)}%` : '–';
+    case 'analyzedAt': return value ? new Date(value).toLocaleString() : '–';
+    default: return value == null || value === '' ? '–' : String(value);
+  }
+}
+
+// Vault-wide overview: one row of aggregates per analysed note, sortable by
+// any column and filterable by folder and tag. Clicking a row opens the note.
+class TQADashboardView extends ItemView {
   constructor(leaf, plugin) {
     super(leaf);
     this.plugin = plugin;
-    this.cardsContainer = null;
+    // Worst notes first
+    this.sortKey = 'snrMean';
+    this.sortAscending = true;
+    this.folderFilter = '';
+    this.tagFilter = '';
+    this.belowThresholdOnly = false;
+    this.tableContainer = null;
   }
 
   getViewType() {
-    return VIEW_TYPE;
+    return DASHBOARD_VIEW_TYPE;
   }
 
   getDisplayText() {
-    return 'Text Quality Cards';
+    return 'Text Quality Dashboard';
+  }
+
+  getIcon() {
+    return 'table';
   }
 
   async onOpen() {
     this.containerEl.empty();
-    const header = this.containerEl.createEl('h3', {
-      text: 'Text Quality Analyzer'
+    this.containerEl.addClass('tqa-dashboard');
+    this.containerEl.createEl('h3', { text: 'Vault quality' });
+    const toolbar = this.containerEl.createDiv({ cls: 'tqa-dashboard-toolbar' });
+    const folder = toolbar.createEl('input', { type: 'search', placeholder: 'Folder' });
+    folder.value = this.folderFilter;
+    folder.addEventListener('input', () => {
+      this.folderFilter = folder.value.trim();
+      this.render();
     });
-    this.cardsContainer = this.containerEl.createDiv({ cls: 'tqa-cards-view' });
-    // If there is cached data from a prior analysis, render it.
-    if (this.plugin.metricsCache) {
-      this.renderMetrics(this.plugin.metricsCache);
-    } else {
-      this.cardsContainer.createEl('p', {
-        text: 'No analysis yet. Run “Analyze Current Note” from the command palette.'
-      });
-    }
+    const tag = toolbar.createEl('input', { type: 'search', placeholder: '#tag' });
+    tag.value = this.tagFilter;
+    tag.addEventListener('input', () => {
+      this.tagFilter = tag.value.trim();
+      this.render();
+    });
+    const below = toolbar.createEl('label', { cls: 'tqa-dashboard-toggle' });
+    const checkbox = below.createEl('input', { type: 'checkbox' });
+    checkbox.checked = this.belowThresholdOnly;
+    below.appendText('Only notes below threshold');
+    checkbox.addEventListener('change', () => {
+      this.belowThresholdOnly = checkbox.checked;
+      this.render();
+    });
+    const analyze = toolbar.createEl('button', { text: 'Analyze vault' });
+    analyze.addEventListener('click', () => this.plugin.batch.start({ kind: 'vault' }));
+    this.tableContainer = this.containerEl.createDiv({ cls: 'tqa-dashboard-table' });
+    this.render();
   }
 
   async onClose() {
     // Nothing to clean up.
   }
 
-  /**
-   * Render a list of paragraph metrics into the card view. The provided
-   * metricsCache object should have the shape { file, metrics, paragraphs }.
-   */
-  renderMetrics(metricsCache) {
-    const { metrics, paragraphs } = metricsCache;
-    this.cardsContainer.empty();
-    if (!metrics || metrics.length === 0) {
-      this.cardsContainer.createEl('p', { text: 'No paragraphs found.' });
+  // Store entries that pass the folder, tag and threshold filters.
+  filteredRows() {
+    const app = this.plugin.app;
+    const threshold = this.plugin.settings.lowSnrThreshold ?? 0.3;
+    const folder = this.folderFilter.replace(/^\/+/, '');
+    const tag = this.tagFilter ? (this.tagFilter.startsWith('#') ? this.tagFilter : `#${this.tagFilter}`) : '';
+    return this.plugin.noteStats.all().filter((row) => {
+      if (this.belowThresholdOnly && !(row.snrMean < threshold)) return false;
+      if (folder && !fileMatchesBatchScope(app, row, { kind: 'folder', value: folder })) return false;
+      if (tag) {
+        const file = app.vault.getAbstractFileByPath(row.path);
+        if (!file || !fileMatchesBatchScope(app, file, { kind: 'tag', value: tag })) return false;
+      }
+      return true;
+    });
+  }
+
+  render() {
+    if (!this.tableContainer) return;
+    this.tableContainer.empty();
+    if (this.plugin.noteStats.size === 0) {
+      this.tableContainer.createEl('p', {
+        text: 'No notes analysed yet. Open notes or run a batch analysis to fill the dashboard.'
+      });
       return;
     }
-    metrics.forEach((m, idx) => {
-      const card = this.cardsContainer.createDiv({ cls: 'tqa-card' });
-      // Snippet only (no heading)
-      const snippet = paragraphs[idx].length > 200 ? paragraphs[idx].slice(0, 200) + '…' : paragraphs[idx];
-      card.createEl('p', { text: snippet });
-      // Metrics in one compact line
-      const parts = [
-        `Signal‑to‑noise: ${m.snr.toFixed(2)}`,
-        `Complexity: ${m.complexity.toFixed(2)}`
-      ];
-      if (m.role && m.role.trim()) parts.push(`Role: ${m.role}`);
-      card.createEl('p', { text: parts.join('  •  ') });
-      // No "Go to paragraph" link per request
+    const rows = this.filteredRows();
+    const key = this.sortKey;
+    const direction = this.sortAscending ? 1 : -1;
+    rows.sort((a, b) => {
+      const x = a[key];
+      const y = b[key];
+      const cmp = typeof x === 'number' && typeof y === 'number' ? x - y : String(x ?? '').localeCompare(String(y ?? ''));
+      return cmp * direction || a.path.localeCompare(b.path);
     });
-  }
 
-  /**
-   * Jump to a given paragraph index in the currently active editor. This walks
-   * through the document to identify the start line of the requested
-   * paragraph and scrolls the editor into view.
-   */
-  jumpToParagraph(index) {
-    const activeView = this.app.workspace.getActiveViewOfType(MarkdownView);
-    if (!activeView) return;
-    const editor = activeView.editor;
-    const lines = editor.getValue().split(/\n/);
-    let currentIdx = 0;
-    let firstLineOfParagraph = 0;
-    let inParagraph = false;
-    for (let ln = 0; ln < lines.length; ln++) {
-      const line = lines[ln];
-      if (line.trim() === '') {
-        if (inParagraph) {
-          if (currentIdx === index) {
-            break;
-          }
-          currentIdx++;
-          inParagraph = false;
-        }
-      } else {
-        if (!inParagraph) {
-          inParagraph = true;
-          if (currentIdx === index) {
-            firstLineOfParagraph = ln;
-          }
+    this.tableContainer.createEl('p', {
+      cls: 'tqa-dashboard-count',
+      text: `${rows.length} of ${this.plugin.noteStats.size} notes`
+    });
+    const table = this.tableContainer.createEl('table');
+    const headRow = table.createEl('thead').createEl('tr');
+    for (const column of DASHBOARD_COLUMNS) {
+      const arrow = column.key === key ? (this.sortAscending ? ' ▲' : ' ▼') : '';
+      const th = headRow.createEl('th', { text: column.label + arrow });
+      th.addEventListener('click', () => {
+        if (this.sortKey === column.key) this.sortAscending = !this.sortAscending;
+        else {
+          this.sortKey = column.key;
+          this.sortAscending = !column.numeric;
         }
-      }
+        this.render();
+      });
+    }
+    const threshold = this.plugin.settings.lowSnrThreshold ?? 0.3;
+    const body = table.createEl('tbody');
+    for (const row of rows) {
+      const tr = body.createEl('tr');
+      if (row.snrMean < threshold) tr.addClass('tqa-dashboard-low');
+      for (const column of DASHBOARD_COLUMNS) tr.createEl('td', { text: formatDashboardCell(column.key, row) });
+      tr.addEventListener('click', () => this.app.workspace.openLinkText(row.path, '', false));
     }
-    // Position the cursor at the beginning of the paragraph and scroll into view.
-    editor.setCursor({ line: firstLineOfParagraph, ch: 0 });
-    editor.scrollIntoView({ from: { line: firstLineOfParagraph, ch: 0 }, to: { line: firstLineOfParagraph, ch: 0 } }, true);
   }
 }
 
@@ -632,12 +4417,12 @@ class TQASettingTab extends PluginSettingTab {
     new Setting(containerEl)
       .setName('Analysis mode')
       .setDesc(
-        'Determine how metrics are computed: auto will try the HTTP server first, then OpenAI if a key is provided, otherwise heuristics. Server forces use of the HTTP endpoint. OpenAI forces direct calls to the OpenAI API. Heuristic disables all external calls.'
+        'Determine how metrics are computed: auto will try the HTTP server first, then the LLM provider if it is configured, otherwise heuristics. Server forces use of the HTTP endpoint. LLM provider forces direct calls to the provider selected below. Heuristic disables all external calls.'
       )
       .addDropdown((dropdown) => {
-        dropdown.addOption('auto', 'Auto (server → OpenAI → heuristic)');
+        dropdown.addOption('auto', 'Auto (server → LLM provider → heuristic)');
         dropdown.addOption('server', 'HTTP server');
-        dropdown.addOption('openai', 'OpenAI API');
+        dropdown.addOption('openai', 'LLM provider');
         dropdown.addOption('heuristic', 'Heuristics only');
         dropdown.setValue(this.plugin.settings.backendMode);
         dropdown.onChange(async (value) => {
@@ -661,8 +4446,8 @@ class TQASettingTab extends PluginSettingTab {
       });
     // Topic input
     new Setting(containerEl)
-      .setName('Topic')
-      .setDesc('Optional topic string to measure paragraph relevance. Leave blank for none.')
+      .setName('Default topic')
+      .setDesc('Fallback topic for notes that define none. Each note’s topic is taken from its tqa-topic frontmatter key, H1 heading, title or tags first. Leave blank to compare against the first paragraph.')
       .addText((text) => {
         text.setPlaceholder('e.g. магический реализм');
         text.setValue(this.plugin.settings.topic);
@@ -672,147 +4457,514 @@ class TQASettingTab extends PluginSettingTab {
         });
       });
 
-    // API key input
+    // Language pack selector
+    new Setting(containerEl)
+      .setName('Language')
+      .setDesc('Language pack used for readability heuristics. Auto-detect picks a pack for every paragraph separately.')
+      .addDropdown((dropdown) => {
+        dropdown.addOption('auto', 'Auto-detect');
+        Object.values(LANGUAGE_PACKS).forEach((pack) => dropdown.addOption(pack.id, pack.name));
+        dropdown.setValue(this.plugin.settings.language || 'auto');
+        dropdown.onChange(async (value) => {
+          this.plugin.settings.language = value;
+          await this.plugin.saveSettings();
+          // Stemming depends on the language; rebuild vault frequencies lazily
+          this.plugin.vaultTermStats.clear();
+          if (typeof this.plugin.resetAnalysisCache === 'function') this.plugin.resetAnalysisCache(true);
+        });
+      });
+
+    // LLM provider
+    const providerId = this.plugin.settings.provider || 'openai';
+    const providerEntry = getProviderEntry(providerId);
+    new Setting(containerEl)
+      .setName('LLM provider')
+      .setDesc('Service used for embeddings, LLM SNR scoring and role classification. Switching fills in the provider’s default models.')
+      .addDropdown((dropdown) => {
+        Object.entries(LLM_PROVIDERS).forEach(([id, entry]) => dropdown.addOption(id, entry.name));
+        dropdown.setValue(providerId);
+        dropdown.onChange(async (value) => {
+          const { models } = getProviderEntry(value);
+          this.plugin.settings.provider = value;
+          this.plugin.settings.embeddingModel = models.embedding;
+          this.plugin.settings.chatModel = models.chat;
+          this.plugin.settings.roleModel = '';
+          await this.plugin.saveSettings();
+          if (typeof this.plugin.resetAnalysisCache === 'function') this.plugin.resetAnalysisCache(true);
+          // Provider-specific fields differ
+          this.display();
+        });
+      });
+
+    // API key input
+    new Setting(containerEl)
+      .setName('API key')
+      .setDesc(`Secret key for ${providerEntry.name}. This value is stored locally and should not be committed to version control.`)
+      .addText((text) => {
+        text.setPlaceholder(providerId === 'anthropic' ? 'sk-ant-...' : 'sk-...');
+        text.setValue(this.plugin.settings.apiKey || '');
+        text.onChange(async (value) => {
+          this.plugin.settings.apiKey = value.trim();
+          await this.plugin.saveSettings();
+        });
+      });
+
+    if (providerId === 'openai') {
+      // API base URL
+      new Setting(containerEl)
+        .setName('API base URL')
+        .setDesc('OpenAI-compatible endpoint. Use e.g. http://localhost:11434/v1 for Ollama or http://localhost:1234/v1 for LM Studio. The API key is optional for local servers.')
+        .addText((text) => {
+          text.setPlaceholder(DEFAULT_OPENAI_BASE_URL);
+          text.setValue(this.plugin.settings.apiBaseUrl || DEFAULT_OPENAI_BASE_URL);
+          text.onChange(async (value) => {
+            this.plugin.settings.apiBaseUrl = value.trim() || DEFAULT_OPENAI_BASE_URL;
+            await this.plugin.saveSettings();
+          });
+        });
+    }
+
+    if (providerId === 'azure') {
+      // Azure resource endpoint and API version
+      new Setting(containerEl)
+        .setName('Azure endpoint')
+        .setDesc('Resource endpoint of your Azure OpenAI deployment. Model names below are deployment names.')
+        .addText((text) => {
+          text.setPlaceholder('https://my-resource.openai.azure.com');
+          text.setValue(this.plugin.settings.azureEndpoint || '');
+          text.onChange(async (value) => {
+            this.plugin.settings.azureEndpoint = value.trim();
+            await this.plugin.saveSettings();
+          });
+        });
+      new Setting(containerEl)
+        .setName('Azure API version')
+        .setDesc('REST API version sent as api-version.')
+        .addText((text) => {
+          text.setPlaceholder(DEFAULT_AZURE_API_VERSION);
+          text.setValue(this.plugin.settings.azureApiVersion || DEFAULT_AZURE_API_VERSION);
+          text.onChange(async (value) => {
+            this.plugin.settings.azureApiVersion = value.trim() || DEFAULT_AZURE_API_VERSION;
+            await this.plugin.saveSettings();
+          });
+        });
+    }
+
+    // Custom request headers
+    new Setting(containerEl)
+      .setName('Custom headers')
+      .setDesc('Extra HTTP headers sent with every API request, one "Name: value" per line (or a JSON object).')
+      .addTextArea((text) => {
+        text.setPlaceholder('X-Api-Version: 2024-06-01');
+        text.setValue(this.plugin.settings.customHeaders || '');
+        text.onChange(async (value) => {
+          this.plugin.settings.customHeaders = value;
+          await this.plugin.saveSettings();
+        });
+      });
+
+    // Models per task (free text so local servers can use their own model names)
+    const modelSetting = (name, desc, key, fallback) =>
+      new Setting(containerEl)
+        .setName(name)
+        .setDesc(desc)
+        .addText((text) => {
+          text.setPlaceholder(fallback);
+          text.setValue(this.plugin.settings[key] || '');
+          text.onChange(async (value) => {
+            this.plugin.settings[key] = value.trim();
+            await this.plugin.saveSettings();
+            // Changing a model should invalidate caches and re-run analysis
+            if (typeof this.plugin.resetAnalysisCache === 'function') {
+              this.plugin.resetAnalysisCache(true);
+            }
+          });
+        });
+    if (createLlmProvider(this.plugin.settings).capabilities.embeddings) {
+      modelSetting('Embedding model', 'Model used for embedding-based SNR (e.g. text-embedding-3-small, nomic-embed-text).', 'embeddingModel', providerEntry.models.embedding);
+    } else {
+      new Setting(containerEl)
+        .setName('Embedding model')
+        .setDesc(`${providerEntry.name} offers no embeddings; SNR is always scored by the chat model.`);
+    }
+    modelSetting('SNR scoring model', 'Chat model for LLM SNR scoring (e.g. gpt-4o-mini, claude-3-5-haiku-latest, llama3.1:8b).', 'chatModel', providerEntry.models.chat);
+    modelSetting('Role model', 'Chat model for semantic role classification. Leave empty to use the SNR scoring model.', 'roleModel', this.plugin.settings.chatModel || providerEntry.models.chat);
+
+    // Structured output negotiation
+    new Setting(containerEl)
+      .setName('Structured output')
+      .setDesc('How LLM scoring requests JSON. Auto tries JSON schema, then JSON mode, then plain prompting, and remembers what the server accepted. Anthropic uses a forced tool call, Gemini a response schema.')
+      .addDropdown((dropdown) => {
+        dropdown.addOption('auto', 'Auto');
+        dropdown.addOption('json_schema', 'JSON schema');
+        dropdown.addOption('json_object', 'JSON mode');
+        dropdown.addOption('none', 'Prompt only');
+        dropdown.setValue(this.plugin.settings.structuredOutput || 'auto');
+        dropdown.onChange(async (value) => {
+          this.plugin.settings.structuredOutput = value;
+          await this.plugin.saveSettings();
+        });
+      });
+
+    // Toggle: classify semantic roles
+    new Setting(containerEl)
+      .setName('Classify semantic roles')
+      .setDesc('If enabled, the plugin will call the chat model to classify the semantic role of each paragraph (OpenAI/Auto modes only).')
+      .addToggle((toggle) => {
+        toggle.setValue(this.plugin.settings.classifyRoles ?? false);
+        toggle.onChange(async (value) => {
+          this.plugin.settings.classifyRoles = value;
+          await this.plugin.saveSettings();
+          if (typeof this.plugin.resetAnalysisCache === 'function') {
+            this.plugin.resetAnalysisCache(true);
+          }
+        });
+      });
+
+    // SNR method selector (LLM provider mode only)
+    new Setting(containerEl)
+      .setName('SNR method (LLM provider)')
+      .setDesc("Choose how to compute SNR in LLM provider mode: embeddings cosine similarity or direct LLM scoring vs topic.")
+      .addDropdown((dropdown) => {
+        dropdown.addOption('embedding', 'Embeddings (cosine)');
+        dropdown.addOption('llm', 'LLM scoring');
+        dropdown.setValue(this.plugin.settings.snrMethod || 'embedding');
+        dropdown.onChange(async (value) => {
+          this.plugin.settings.snrMethod = value;
+          await this.plugin.saveSettings();
+          if (typeof this.plugin.resetAnalysisCache === 'function') this.plugin.resetAnalysisCache(true);
+        });
+      });
+
+    // Section-relative SNR
+    new Setting(containerEl)
+      .setName('Section-relative SNR')
+      .setDesc('Also score every paragraph against the headings it sits under, so on-topic sections of long notes are not marked as noise. Works with embeddings, LLM scoring and heuristics.')
+      .addToggle((toggle) => {
+        toggle.setValue(!!this.plugin.settings.sectionRelativeSnr);
+        toggle.onChange(async (value) => {
+          this.plugin.settings.sectionRelativeSnr = value;
+          await this.plugin.saveSettings();
+          if (typeof this.plugin.resetAnalysisCache === 'function') this.plugin.resetAnalysisCache(true);
+        });
+      });
+
+    new Setting(containerEl)
+      .setName('Section weight')
+      .setDesc('Share of the section score in SNR: 0 uses only the note topic, 1 only the section headings.')
+      .addSlider((slider) => {
+        slider.setLimits(0, 1, 0.05);
+        slider.setValue(this.plugin.settings.sectionWeight ?? 0.5);
+        slider.setDynamicTooltip();
+        slider.onChange(async (value) => {
+          this.plugin.settings.sectionWeight = value;
+          await this.plugin.saveSettings();
+          if (this.plugin.settings.sectionRelativeSnr && typeof this.plugin.resetAnalysisCache === 'function') this.plugin.resetAnalysisCache(true);
+        });
+      });
+
+    // Offline relevance used for heuristic SNR
+    new Setting(containerEl)
+      .setName('Heuristic SNR')
+      .setDesc('How SNR is computed without an API: relevance of each paragraph to the topic (or the first paragraph) with BM25 or TF-IDF over stemmed words, or the legacy unique-word ratio.')
+      .addDropdown((dropdown) => {
+        dropdown.addOption('bm25', 'BM25 relevance');
+        dropdown.addOption('tfidf', 'TF-IDF cosine');
+        dropdown.addOption('lexical', 'Unique-word ratio');
+        dropdown.setValue(this.plugin.settings.relevanceMethod || 'bm25');
+        dropdown.onChange(async (value) => {
+          this.plugin.settings.relevanceMethod = value;
+          await this.plugin.saveSettings();
+          if (typeof this.plugin.resetAnalysisCache === 'function') this.plugin.resetAnalysisCache(true);
+        });
+      });
+
+    new Setting(containerEl)
+      .setName('Vault-wide document frequencies')
+      .setDesc('Weight words by how rare they are across the whole vault instead of within the note. The vault is indexed once in memory on first use.')
+      .addToggle((toggle) => {
+        toggle.setValue(!!this.plugin.settings.vaultDocumentFrequencies);
+        toggle.onChange(async (value) => {
+          this.plugin.settings.vaultDocumentFrequencies = value;
+          await this.plugin.saveSettings();
+          if (typeof this.plugin.resetAnalysisCache === 'function') this.plugin.resetAnalysisCache(true);
+        });
+      });
+
+    // Colour pickers for signal-to-noise gradient (background)
+    new Setting(containerEl)
+      .setName('SNR highlight colour (max)')
+      .setDesc('Choose the background colour used for SNR=1. SNR=0 uses the editor default background.')
+      .addColorPicker((picker) => {
+        picker.setValue(this.plugin.settings.snrMaxColor || '#d1f9d1');
+        picker.onChange(async (value) => {
+          this.plugin.settings.snrMaxColor = value;
+          await this.plugin.saveSettings();
+          this.plugin.metricsVersion = (this.plugin.metricsVersion || 0) + 1;
+          this.plugin._forceRefreshEditors();
+        });
+      });
+
+    // Toggle: normalise ranges when colouring
+    new Setting(containerEl)
+      .setName('Normalise ranges for colouring')
+      .setDesc('If enabled, per-note min values map to 0 and max values map to 1 for SNR and Complexity when computing colours. If disabled, raw metric values are used as-is (may exceed [0,1]).')
+      .addToggle((toggle) => {
+        toggle.setValue(this.plugin.settings.normalizeRanges ?? true);
+        toggle.onChange(async (value) => {
+          this.plugin.settings.normalizeRanges = value;
+          await this.plugin.saveSettings();
+          this.plugin.metricsVersion = (this.plugin.metricsVersion || 0) + 1;
+          this.plugin._forceRefreshEditors();
+        });
+      });
+
+    const refreshColours = async () => {
+      await this.plugin.saveSettings();
+      this.plugin._onMetricsChanged();
+    };
+
+    new Setting(containerEl)
+      .setName('Highlight style')
+      .setDesc('How paragraphs are marked in the editor and Reading view. The border and underline show SNR and leave the text colour alone.')
+      .addDropdown((dropdown) => {
+        for (const [id, label] of Object.entries(HIGHLIGHT_MODES)) dropdown.addOption(id, label);
+        dropdown.setValue(this.plugin.settings.highlightMode || 'both');
+        dropdown.onChange(async (value) => {
+          this.plugin.settings.highlightMode = value;
+          await refreshColours();
+        });
+      });
+
+    new Setting(containerEl)
+      .setName('Colour scale')
+      .setDesc('A continuous gradient, or 3 or 5 evenly spaced bands that are easier to tell apart.')
+      .addDropdown((dropdown) => {
+        dropdown.addOption('0', 'Gradient');
+        dropdown.addOption('3', '3 bands');
+        dropdown.addOption('5', '5 bands');
+        dropdown.setValue(String(this.plugin.settings.colorBands || 0));
+        dropdown.onChange(async (value) => {
+          this.plugin.settings.colorBands = Number(value);
+          await refreshColours();
+        });
+      });
+
+    new Setting(containerEl)
+      .setName('SNR palette')
+      .setDesc('Custom uses the SNR highlight colour above. Viridis and cividis stay distinguishable with colour vision deficiencies.')
+      .addDropdown((dropdown) => {
+        dropdown.addOption('custom', 'Custom');
+        for (const [id, palette] of Object.entries(COLOR_PALETTES)) dropdown.addOption(id, palette.name);
+        dropdown.setValue(this.plugin.settings.colorPalette || 'custom');
+        dropdown.onChange(async (value) => {
+          this.plugin.settings.colorPalette = value;
+          await refreshColours();
+        });
+      });
+
+    // Colour pickers for complexity gradient (text)
+    new Setting(containerEl)
+      .setName('Complexity colours')
+      .setDesc('Choose gradient colours for text. Left: simple, Right: complex')
+      .addColorPicker((picker) => {
+        picker.setValue(this.plugin.settings.complexityMinColor || '#cccccc');
+        picker.onChange(async (value) => {
+          this.plugin.settings.complexityMinColor = value;
+          await this.plugin.saveSettings();
+          this.plugin.metricsVersion = (this.plugin.metricsVersion || 0) + 1;
+          this.plugin._forceRefreshEditors();
+        });
+      })
+      .addColorPicker((picker) => {
+        picker.setValue(this.plugin.settings.complexityMaxColor || '#4c4c4c');
+        picker.onChange(async (value) => {
+          this.plugin.settings.complexityMaxColor = value;
+          await this.plugin.saveSettings();
+          this.plugin.metricsVersion = (this.plugin.metricsVersion || 0) + 1;
+          this.plugin._forceRefreshEditors();
+        });
+      });
+
+    new Setting(containerEl)
+      .setName('Sentence-level analysis')
+      .setDesc('Score every sentence on its own, underline the offending ones in the editor and list the worst ones on each card. Paragraphs of a single sentence are left to the paragraph colours.')
+      .addToggle((toggle) => {
+        toggle.setValue(!!this.plugin.settings.sentenceAnalysis);
+        toggle.onChange(async (value) => {
+          this.plugin.settings.sentenceAnalysis = value;
+          await refreshColours();
+        });
+      });
+
+    new Setting(containerEl)
+      .setName('Complex sentence threshold')
+      .setDesc('Sentences at or above this complexity are marked.')
+      .addSlider((slider) => {
+        slider.setLimits(0, 1, 0.05);
+        slider.setValue(this.plugin.settings.sentenceComplexityThreshold ?? 0.6);
+        slider.setDynamicTooltip();
+        slider.onChange(async (value) => {
+          this.plugin.settings.sentenceComplexityThreshold = value;
+          await refreshColours();
+        });
+      });
+
+    new Setting(containerEl)
+      .setName('Sentence relevance')
+      .setDesc('Also score how relevant each sentence is to the note topic, with the heuristic SNR method whatever the analysis mode, and mark sentences below the low SNR threshold as off-topic.')
+      .addToggle((toggle) => {
+        toggle.setValue(!!this.plugin.settings.sentenceRelevance);
+        toggle.onChange(async (value) => {
+          this.plugin.settings.sentenceRelevance = value;
+          await refreshColours();
+        });
+      });
+
+    new Setting(containerEl)
+      .setName('Low SNR threshold')
+      .setDesc('Paragraphs below this SNR count as low-signal in the dashboard, and notes whose mean SNR is below it are flagged. Applies to notes analysed after the change.')
+      .addSlider((slider) => {
+        slider.setLimits(0, 1, 0.05);
+        slider.setValue(this.plugin.settings.lowSnrThreshold ?? 0.3);
+        slider.setDynamicTooltip();
+        slider.onChange(async (value) => {
+          this.plugin.settings.lowSnrThreshold = value;
+          await this.plugin.saveSettings();
+          this.plugin._renderDashboards();
+          // Off-topic sentences are marked live
+          if (this.plugin.settings.sentenceAnalysis && this.plugin.settings.sentenceRelevance) this.plugin._onMetricsChanged();
+        });
+      });
+
     new Setting(containerEl)
-      .setName('API key')
-      .setDesc('Secret key for calling embedding and chat models. This value is stored locally and should not be committed to version control.')
-      .addText((text) => {
-        text.setPlaceholder('sk-...');
-        text.setValue(this.plugin.settings.apiKey || '');
-        text.onChange(async (value) => {
-          this.plugin.settings.apiKey = value.trim();
+      .setName('Keep metrics history')
+      .setDesc('Record the note averages of every analysis and show their trend above the cards.')
+      .addToggle((toggle) => {
+        toggle.setValue(this.plugin.settings.historyEnabled ?? true);
+        toggle.onChange(async (value) => {
+          this.plugin.settings.historyEnabled = value;
           await this.plugin.saveSettings();
         });
       });
 
-    // Embedding model selector
     new Setting(containerEl)
-      .setName('Embedding model')
-      .setDesc('Name of the embedding model (e.g. text-embedding-3-small).')
-      .addText((text) => {
-        text.setPlaceholder('text-embedding-3-small');
-        text.setValue(this.plugin.settings.embeddingModel || 'text-embedding-3-small');
-        text.onChange(async (value) => {
-          this.plugin.settings.embeddingModel = value.trim() || 'text-embedding-3-small';
+      .setName('Keep paragraph snapshots')
+      .setDesc('Also store the scores of every paragraph for the last few analyses, so the cards view can compare with the previous analysis.')
+      .addToggle((toggle) => {
+        toggle.setValue(this.plugin.settings.historySnapshots ?? true);
+        toggle.onChange(async (value) => {
+          this.plugin.settings.historySnapshots = value;
           await this.plugin.saveSettings();
-          // Changing the embedding model should invalidate caches and re-run analysis
-          if (typeof this.plugin.resetAnalysisCache === 'function') {
-            this.plugin.resetAnalysisCache(true);
-          }
         });
       });
 
-    // Chat model selector
     new Setting(containerEl)
-      .setName('Chat model')
-      .setDesc('Model for semantic role classification and LLM SNR scoring.')
-      .addDropdown((dropdown) => {
-        const options = {
-          'gpt-3.5-turbo': 'gpt-3.5-turbo',
-          'gpt-4o-mini': 'gpt-4o-mini',
-          'gpt-4o': 'gpt-4o'
-        };
-        Object.entries(options).forEach(([k, v]) => dropdown.addOption(k, v));
-        dropdown.setValue(this.plugin.settings.chatModel || 'gpt-3.5-turbo');
-        dropdown.onChange(async (value) => {
-          this.plugin.settings.chatModel = value;
+      .setName('Batch concurrency')
+      .setDesc('How many notes batch analysis processes at the same time. Lower values are gentler on rate-limited APIs.')
+      .addSlider((slider) => {
+        slider.setLimits(1, 8, 1);
+        slider.setValue(this.plugin.settings.batchConcurrency ?? 2);
+        slider.setDynamicTooltip();
+        slider.onChange(async (value) => {
+          this.plugin.settings.batchConcurrency = value;
           await this.plugin.saveSettings();
-          if (typeof this.plugin.resetAnalysisCache === 'function') {
-            this.plugin.resetAnalysisCache(true);
-          }
         });
       });
 
-    // Toggle: classify semantic roles
+    // Frontmatter write-back
     new Setting(containerEl)
-      .setName('Classify semantic roles')
-      .setDesc('If enabled, the plugin will call the chat model to classify the semantic role of each paragraph (OpenAI/Auto modes only).')
+      .setName('Write metrics to frontmatter')
+      .setDesc('After every full analysis, store the note averages in its frontmatter for Dataview and Bases. The “Write quality metrics to frontmatter” command does it on demand.')
       .addToggle((toggle) => {
-        toggle.setValue(this.plugin.settings.classifyRoles ?? false);
+        toggle.setValue(this.plugin.settings.frontmatterWriteBack ?? false);
         toggle.onChange(async (value) => {
-          this.plugin.settings.classifyRoles = value;
+          this.plugin.settings.frontmatterWriteBack = value;
           await this.plugin.saveSettings();
-          if (typeof this.plugin.resetAnalysisCache === 'function') {
-            this.plugin.resetAnalysisCache(true);
-          }
         });
       });
 
-    // SNR method selector (OpenAI mode only)
     new Setting(containerEl)
-      .setName('SNR method (OpenAI)')
-      .setDesc("Choose how to compute SNR in OpenAI mode: embeddings cosine similarity or direct LLM scoring vs topic.")
-      .addDropdown((dropdown) => {
-        dropdown.addOption('embedding', 'Embeddings (cosine)');
-        dropdown.addOption('llm', 'LLM scoring');
-        dropdown.setValue(this.plugin.settings.snrMethod || 'embedding');
-        dropdown.onChange(async (value) => {
-          this.plugin.settings.snrMethod = value;
+      .setName('Frontmatter precision')
+      .setDesc('Decimal places of the numbers written into the frontmatter.')
+      .addSlider((slider) => {
+        slider.setLimits(0, 4, 1);
+        slider.setValue(this.plugin.settings.frontmatterPrecision ?? 2);
+        slider.setDynamicTooltip();
+        slider.onChange(async (value) => {
+          this.plugin.settings.frontmatterPrecision = value;
           await this.plugin.saveSettings();
-          if (typeof this.plugin.resetAnalysisCache === 'function') this.plugin.resetAnalysisCache(true);
         });
       });
 
-    // Colour pickers for signal-to-noise gradient (background)
+    for (const field of FRONTMATTER_FIELDS) {
+      new Setting(containerEl)
+        .setName(`Frontmatter key: ${field.name.toLowerCase()}`)
+        .setDesc(DEFAULT_SETTINGS.frontmatterKeys[field.id] ? 'Leave empty to skip.' : 'Not written by default; enter a key to include it.')
+        .addText((text) => {
+          text.setPlaceholder(field.key);
+          text.setValue(this.plugin.settings.frontmatterKeys[field.id] || '');
+          text.onChange(async (value) => {
+            this.plugin.settings.frontmatterKeys = { ...this.plugin.settings.frontmatterKeys, [field.id]: value.trim() };
+            await this.plugin.saveSettings();
+          });
+        });
+    }
+
     new Setting(containerEl)
-      .setName('SNR highlight colour (max)')
-      .setDesc('Choose the background colour used for SNR=1. SNR=0 uses the editor default background.')
-      .addColorPicker((picker) => {
-        picker.setValue(this.plugin.settings.snrMaxColor || '#d1f9d1');
-        picker.onChange(async (value) => {
-          this.plugin.settings.snrMaxColor = value;
+      .setName('Export folder')
+      .setDesc('Vault folder for CSV, JSON and Markdown report exports. Created on first export.')
+      .addText((text) => {
+        text.setPlaceholder('Text Quality Exports');
+        text.setValue(this.plugin.settings.exportFolder || '');
+        text.onChange(async (value) => {
+          this.plugin.settings.exportFolder = value.trim() || 'Text Quality Exports';
           await this.plugin.saveSettings();
-          this.plugin.metricsVersion = (this.plugin.metricsVersion || 0) + 1;
-          try {
-            const cm = this.app.workspace.getActiveViewOfType(MarkdownView)?.editor?.cm;
-            if (cm && typeof cm.dispatch === 'function') cm.dispatch({ effects: [] });
-          } catch (e) {}
         });
       });
 
-    // Toggle: normalise ranges when colouring
+    // Analysis cache
     new Setting(containerEl)
-      .setName('Normalise ranges for colouring')
-      .setDesc('If enabled, per-note min values map to 0 and max values map to 1 for SNR and Complexity when computing colours. If disabled, raw metric values are used as-is (may exceed [0,1]).')
+      .setName('Cache analysis results')
+      .setDesc('Store embeddings, SNR scores, complexity and roles on disk, keyed by paragraph content. Unchanged paragraphs are never sent to the network twice.')
       .addToggle((toggle) => {
-        toggle.setValue(this.plugin.settings.normalizeRanges ?? true);
+        toggle.setValue(this.plugin.settings.cacheEnabled ?? true);
         toggle.onChange(async (value) => {
-          this.plugin.settings.normalizeRanges = value;
+          this.plugin.settings.cacheEnabled = value;
           await this.plugin.saveSettings();
-          this.plugin.metricsVersion = (this.plugin.metricsVersion || 0) + 1;
-          try {
-            const cm = this.app.workspace.getActiveViewOfType(MarkdownView)?.editor?.cm;
-            if (cm && typeof cm.dispatch === 'function') cm.dispatch({ effects: [] });
-          } catch (e) {}
         });
       });
 
-    // Colour pickers for complexity gradient (text)
     new Setting(containerEl)
-      .setName('Complexity colours')
-      .setDesc('Choose gradient colours for text. Left: simple, Right: complex')
-      .addColorPicker((picker) => {
-        picker.setValue(this.plugin.settings.complexityMinColor || '#cccccc');
-        picker.onChange(async (value) => {
-          this.plugin.settings.complexityMinColor = value;
+      .setName('Cache size limit')
+      .setDesc('Maximum number of cached results and approximate size in megabytes. Least recently used results are evicted first. Use 0 for no limit.')
+      .addText((text) => {
+        text.setPlaceholder('10000');
+        text.setValue(String(this.plugin.settings.cacheMaxEntries ?? 10000));
+        text.onChange(async (value) => {
+          const n = parseInt(value, 10);
+          this.plugin.settings.cacheMaxEntries = isFinite(n) && n >= 0 ? n : 10000;
           await this.plugin.saveSettings();
-          this.plugin.metricsVersion = (this.plugin.metricsVersion || 0) + 1;
-          try {
-            const cm = this.app.workspace.getActiveViewOfType(MarkdownView)?.editor?.cm;
-            if (cm && typeof cm.dispatch === 'function') cm.dispatch({ effects: [] });
-          } catch (e) {}
         });
       })
-      .addColorPicker((picker) => {
-        picker.setValue(this.plugin.settings.complexityMaxColor || '#4c4c4c');
-        picker.onChange(async (value) => {
-          this.plugin.settings.complexityMaxColor = value;
+      .addText((text) => {
+        text.setPlaceholder('50');
+        text.setValue(String(this.plugin.settings.cacheMaxMegabytes ?? 50));
+        text.onChange(async (value) => {
+          const n = parseFloat(value);
+          this.plugin.settings.cacheMaxMegabytes = isFinite(n) && n >= 0 ? n : 50;
           await this.plugin.saveSettings();
-          this.plugin.metricsVersion = (this.plugin.metricsVersion || 0) + 1;
-          try {
-            const cm = this.app.workspace.getActiveViewOfType(MarkdownView)?.editor?.cm;
-            if (cm && typeof cm.dispatch === 'function') cm.dispatch({ effects: [] });
-          } catch (e) {}
+        });
+      });
+
+    new Setting(containerEl)
+      .setName('Clear analysis cache')
+      .setDesc(`Currently ${this.plugin.analysisCache ? this.plugin.analysisCache.size : 0} cached results.`)
+      .addButton((button) => {
+        button.setButtonText('Clear');
+        button.onClick(async () => {
+          await this.plugin.clearAnalysisCache();
+          this.display();
         });
       });
   }
@@ -828,40 +4980,189 @@ module.exports = class TextQualityAnalyzerPlugin extends Plugin {
     await this.loadApiKeyFromEnv();
     // Persist any changes from .env loading
     await this.saveSettings();
-    this.metricsCache = null;
+    // Analysis state per note path: { file, index, metricsById, ranges }.
+    // Every editor reads the entry of its own note, so split panes showing
+    // different notes colour independently.
+    this.analyses = new Map();
     // Version counter for metrics; increments every time metrics are recomputed.
     // Used by the editor decoration plugin to know when to refresh colours
     // even if the document text itself did not change.
     this.metricsVersion = 0;
-    this._subjectEmbeddingCache = null;
+    // Live edits per note path; only editors showing the edited note redraw
+    this._noteVersions = new Map();
+    // Sentence metrics by paragraph content hash (see sentenceMetrics)
+    this._sentenceMetrics = new Map();
+    // Term statistics of notes for sentence relevance, by paragraph index
+    this._noteTermStats = new WeakMap();
     this._statusBarItem = null;
-    // Debounce timeout for partial analysis after typing pauses
-    this._analysisTimeout = null;
-    // Track current analysis to prevent overlapping requests
-    this._currentAnalysis = null;
+    // Persistent cache of network results keyed by paragraph content hash
+    this.analysisCache = new AnalysisCache(this);
+    await this.analysisCache.load();
+    // Vault-wide document frequencies for offline relevance (built lazily)
+    this.vaultTermStats = new VaultTermStats(this);
+    // Aggregates per note for the dashboard
+    this.noteStats = new NoteStatsStore(this);
+    await this.noteStats.load();
+    // Aggregates of past analyses for the trend chart and compare mode
+    this.noteHistory = new NoteHistoryStore(this);
+    await this.noteHistory.load();
+    // Batch analysis of folders, tags or globs; a persisted job resumes below
+    this.batch = new BatchAnalysis(this);
+    await this.batch.load();
+    // Debounce timeouts and pending paragraph ids for partial analysis after
+    // typing pauses, per note path
+    this._analysisTimeouts = new Map();
+    this._pendingParagraphIds = new Map();
+    // Track the running analysis per note path to prevent overlapping requests
+    this._currentAnalyses = new Map();
+    // Number of running background analyses (drives the status bar spinner)
+    this._busyCount = 0;
+    // Notes whose frontmatter the plugin is writing: path -> expiry time. The
+    // editor update caused by the write must not trigger a new analysis.
+    this._frontmatterWrites = new Map();
     // Register the custom view type
     this.registerView(VIEW_TYPE, (leaf) => new TQAView(leaf, this));
+    this.registerView(DASHBOARD_VIEW_TYPE, (leaf) => new TQADashboardView(leaf, this));
     // Register the settings tab
     this.addSettingTab(new TQASettingTab(this.app, this));
     // Create and register the CodeMirror decoration extension
     this.decorationsExtension = this.createDecorationsExtension();
-    this.registerEditorExtension(this.decorationsExtension);
+    this.registerEditorExtension([this.decorationsExtension, flashField]);
+    // The same colours for rendered blocks in Reading view
+    this.registerMarkdownPostProcessor((el, ctx) => this.colorReadingBlock(el, ctx));
+    // Paragraph under the cursor per note path, mirrored by the cards view
+    this._cursorParagraphs = new Map();
     // Command to open the card view
     this.addCommand({
       id: 'open-text-quality-cards',
       name: 'Open Text Quality Cards',
       callback: () => this.activateView()
     });
+    this.addCommand({
+      id: 'open-text-quality-dashboard',
+      name: 'Open quality dashboard',
+      callback: () => this.activateDashboard()
+    });
     // Command to reanalyse the current note
     this.addCommand({
       id: 'reanalyze-text-quality',
       name: 'Analyze Current Note',
       callback: () => this.reanalyzeForced()
     });
-    // Recompute metrics whenever the active file changes
-    this.registerEvent(this.app.workspace.on('file-open', () => {
-      this.reanalyzeForced();
+    // Batch analysis commands
+    this.addCommand({
+      id: 'batch-analyze-vault',
+      name: 'Analyze all notes in the vault',
+      callback: () => this.batch.start({ kind: 'vault' })
+    });
+    this.addCommand({
+      id: 'batch-analyze-folder',
+      name: 'Analyze notes in folder…',
+      callback: () => new FolderSuggestModal(this.app, (path) => this.batch.start({ kind: 'folder', value: path })).open()
+    });
+    this.addCommand({
+      id: 'batch-analyze-matching',
+      name: 'Analyze notes by tag or glob…',
+      callback: () => new BatchFilterModal(this.app, (scope) => this.batch.start(scope)).open()
+    });
+    this.addCommand({
+      id: 'batch-pause-resume',
+      name: 'Pause or resume batch analysis',
+      checkCallback: (checking) => {
+        if (!this.batch.active) return false;
+        if (!checking) this.batch.togglePause();
+        return true;
+      }
+    });
+    this.addCommand({
+      id: 'batch-cancel',
+      name: 'Cancel batch analysis',
+      checkCallback: (checking) => {
+        if (!this.batch.active) return false;
+        if (!checking) this.batch.cancel();
+        return true;
+      }
+    });
+    this.addCommand({
+      id: 'write-frontmatter-metrics',
+      name: 'Write quality metrics to frontmatter',
+      callback: () => this.writeFrontmatterForActiveNote()
+    });
+    // Export commands
+    this.addCommand({
+      id: 'export-note-csv',
+      name: 'Export current note as CSV',
+      callback: () => this.exportActiveNote('csv')
+    });
+    this.addCommand({
+      id: 'export-note-json',
+      name: 'Export current note as JSON',
+      callback: () => this.exportActiveNote('json')
+    });
+    this.addCommand({
+      id: 'export-note-report',
+      name: 'Create quality report for current note',
+      callback: () => this.exportActiveNote('report')
+    });
+    this.addCommand({
+      id: 'export-notes',
+      name: 'Export notes…',
+      callback: () => new ExportModal(this.app, (scope, format) => this.exportNotes(scope, format)).open()
+    });
+    // Benchmark of the editor decorations on a long note
+    this.addCommand({
+      id: 'generate-benchmark-note',
+      name: 'Generate benchmark note (20,000 lines)',
+      callback: () => this.generateBenchmarkNote()
+    });
+    this.addCommand({
+      id: 'benchmark-typing',
+      name: 'Measure typing cost in the current note',
+      callback: () => this.benchmarkTyping()
+    });
+    // Command to drop all cached embeddings, scores and roles
+    this.addCommand({
+      id: 'clear-analysis-cache',
+      name: 'Clear analysis cache',
+      callback: () => this.clearAnalysisCache()
+    });
+    // Analyse a note when it is opened for the first time. Notes that already
+    // have an analysis are only re-rendered, so switching focus between panes
+    // does not trigger network calls.
+    this.registerEvent(this.app.workspace.on('file-open', (file) => {
+      if (!file) return;
+      if (this.analyses.has(file.path)) this._renderCardViews();
+      else this.requestAnalysis(file);
+    }));
+    this.registerEvent(this.app.workspace.on('active-leaf-change', () => this._renderCardViews()));
+    // Theme or snippet switched: the decorations follow through CSS; colours
+    // computed in code (gutter, charts, legend) need the new background.
+    this.registerEvent(this.app.workspace.on('css-change', () => {
+      this._themeBackground = null;
+      this._onMetricsChanged();
     }));
+    // Drop state of notes that are no longer open in any pane
+    this.registerEvent(this.app.workspace.on('layout-change', () => this._pruneAnalyses()));
+    this.registerEvent(this.app.vault.on('rename', (file, oldPath) => {
+      const analysis = this.analyses.get(oldPath);
+      if (!analysis) return;
+      this.analyses.delete(oldPath);
+      analysis.file = file.path;
+      this.analyses.set(file.path, analysis);
+      // A topic taken from the file name follows the rename
+      if (analysis.topic && analysis.topic.source === 'title') this.requestAnalysis(file);
+    }));
+    this.registerEvent(this.app.vault.on('delete', (file) => this.analyses.delete(file.path)));
+    // Keep vault document frequencies current once they are being built
+    this.registerEvent(this.app.vault.on('create', (file) => this.vaultTermStats.scheduleUpdate(file)));
+    this.registerEvent(this.app.vault.on('modify', (file) => this.vaultTermStats.scheduleUpdate(file)));
+    this.registerEvent(this.app.vault.on('rename', (file, oldPath) => this.vaultTermStats.renamePath(oldPath, file.path)));
+    this.registerEvent(this.app.vault.on('rename', (file, oldPath) => this.batch.renamePath(oldPath, file.path)));
+    this.registerEvent(this.app.vault.on('rename', (file, oldPath) => this.noteStats.renamePath(oldPath, file.path)));
+    this.registerEvent(this.app.vault.on('delete', (file) => this.noteStats.removePath(file.path)));
+    this.registerEvent(this.app.vault.on('rename', (file, oldPath) => this.noteHistory.renamePath(oldPath, file.path)));
+    this.registerEvent(this.app.vault.on('delete', (file) => this.noteHistory.removePath(file.path)));
+    this.registerEvent(this.app.vault.on('delete', (file) => this.vaultTermStats.removePath(file.path)));
 
     // Add a ribbon icon on the left to quickly open this plugin's settings
     this.ribbonIconEl = this.addRibbonIcon(
@@ -880,22 +5181,43 @@ module.exports = class TextQualityAnalyzerPlugin extends Plugin {
       }
     );
 
-    // Create status bar item for background LLM/server analysis
+    // Create status bar item for background LLM/server analysis and batch
+    // progress. Clicking it pauses or resumes a batch.
     this._statusBarItem = this.addStatusBarItem();
     this._statusBarItem.addClass('tqa-status');
     this._statusBarItem.setAttr('aria-live', 'polite');
     this._statusBarItem.style.display = 'none';
-    const spinner = this._statusBarItem.createDiv({ cls: 'tqa-spinner' });
-    const label = this._statusBarItem.createSpan();
-    label.setText('Analyzing…');
+    this._statusSpinner = this._statusBarItem.createDiv({ cls: 'tqa-spinner' });
+    this._statusLabel = this._statusBarItem.createSpan();
+    this._statusLabel.setText('Analyzing…');
+    this.registerDomEvent(this._statusBarItem, 'click', () => {
+      if (this.batch.active) this.batch.togglePause();
+    });
+    this.updateStatusBar();
+
+    // Continue a batch job that was running when Obsidian closed
+    this.app.workspace.onLayoutReady(() => this.batch.run());
   }
 
   onunload() {
-    // Nothing to unload explicitly since Obsidian cleans up registered events and views.
+    // Obsidian cleans up registered events and views; only pending writes need flushing and pending timers stopping.
+    if (this.batch) this.batch.stop();
+    if (this.noteStats) this.noteStats.save();
+    if (this.noteHistory) this.noteHistory.save();
+    if (this.analysisCache) this.analysisCache.save();
+    if (this.vaultTermStats) this.vaultTermStats.clear();
+  }
+
+  async clearAnalysisCache() {
+    await this.analysisCache.clear();
+    new Notice('Text Quality Analyzer: analysis cache cleared.');
   }
 
   async loadSettings() {
     this.settings = Object.assign({}, DEFAULT_SETTINGS, await this.loadData());
+    // Nested defaults: keep keys added in newer versions
+    this.settings.frontmatterKeys = Object.assign({}, DEFAULT_SETTINGS.frontmatterKeys, this.settings.frontmatterKeys);
+    this.settings.cardsFilter = Object.assign({}, DEFAULT_SETTINGS.cardsFilter, this.settings.cardsFilter);
   }
 
   async saveSettings() {
@@ -911,36 +5233,57 @@ module.exports = class TextQualityAnalyzerPlugin extends Plugin {
     if (!file) return;
 
     // Cancel pending partial analysis debounce
-    if (this._analysisTimeout) {
-      clearTimeout(this._analysisTimeout);
-      this._analysisTimeout = null;
-    }
+    this._cancelPartialAnalysis(file.path);
+    await this._analyzeFile(file);
+  }
 
-    // Cancel any ongoing analysis
-    if (this._currentAnalysis) {
-      this._currentAnalysis.cancelled = true;
-    }
+  /**
+   * Analyse a note unless an analysis for it is already running. Used by the
+   * editor extension and file-open handling, which may ask repeatedly.
+   */
+  requestAnalysis(file) {
+    if (!file || this._currentAnalyses.has(file.path)) return;
+    this._analyzeFile(file).catch((err) => console.error('TQA: analysis failed', err));
+  }
 
-    // Clear cache immediately when switching files
-    if (this.metricsCache && this.metricsCache.file !== file.path) {
-      this.metricsCache = null;
-      this._subjectEmbeddingCache = null;
+  /**
+   * Full analysis of a file shared by reanalyzeForced and reanalyze: build the
+   * paragraph index, resolve metrics and store them keyed by paragraph id.
+   */
+  async _analyzeFile(file) {
+    // Cancel any ongoing analysis of the same note
+    const running = this._currentAnalyses.get(file.path);
+    if (running) {
+      running.cancelled = true;
     }
 
-    const text = await this.app.vault.read(file);
-    const paragraphs = splitIntoParagraphs(text);
-
-    // Create a new analysis context
+    // Register the new analysis context before the first await, so a request
+    // arriving while the note is read cancels this one
     const analysisContext = { cancelled: false, file: file.path };
-    this._currentAnalysis = analysisContext;
+    this._currentAnalyses.set(file.path, analysisContext);
+    const release = () => {
+      if (this._currentAnalyses.get(file.path) === analysisContext) {
+        this._currentAnalyses.delete(file.path);
+      }
+    };
+
+    let text;
+    try {
+      text = await this.readNoteText(file);
+    } catch (e) {
+      release();
+      throw e;
+    }
+    if (analysisContext.cancelled) return;
+    const index = buildParagraphIndex(text);
+    const topic = resolveNoteTopic(index.blocks, file.basename, this.settings.topic);
 
     // Show spinner while we may be calling server/LLM
     this.showBusy(true);
-    const metrics = await this.getMetrics(paragraphs).finally(() => {
-      // Only hide spinner if this is still the current analysis
-      if (this._currentAnalysis === analysisContext) {
-        this.showBusy(false);
-      }
+    const texts = index.paragraphs.map((p) => p.text);
+    const metrics = await this.getMetrics(texts, topic.text, this.sectionsFor(index.paragraphs)).finally(() => {
+      this.showBusy(false);
+      release();
     });
 
     // Check if this analysis was cancelled
@@ -948,21 +5291,403 @@ module.exports = class TextQualityAnalyzerPlugin extends Plugin {
       return;
     }
 
+    const metricsById = {};
+    index.paragraphs.forEach((para, i) => {
+      if (metrics[i]) metricsById[para.id] = metrics[i];
+    });
     // Persist ranges for stable colouring between live edits
-    const snrValues = (metrics || []).map((m) => (typeof m.snr === 'number' ? m.snr : 0));
-    const compValues = (metrics || []).map((m) => (typeof m.complexity === 'number' ? m.complexity : 0));
-    const ranges = {
-      snrMin: snrValues.length ? Math.min(...snrValues) : 0,
-      snrMax: snrValues.length ? Math.max(...snrValues) : 1,
-      compMin: compValues.length ? Math.min(...compValues) : 0,
-      compMax: compValues.length ? Math.max(...compValues) : 1
+    const historyEntry = this.noteHistory.record(file.path, index.paragraphs, metrics);
+    this.analyses.set(file.path, {
+      file: file.path,
+      index,
+      metricsById,
+      ranges: computeMetricRanges(metrics),
+      topic,
+      // Timestamp of the history entry of this analysis; compare mode diffs against the one before
+      historyAt: historyEntry ? historyEntry.at : null
+    });
+    const stats = this.noteStats.record(file.path, metrics);
+    this._onMetricsChanged();
+    if (this.settings.frontmatterWriteBack) await this.writeFrontmatterMetrics(file, stats);
+  }
+
+  /**
+   * Write the aggregates of a note into its frontmatter using the configured
+   * keys. Nothing is written when every value except the analysis time
+   * already matches, so re-opening a note does not touch the file. Returns
+   * true when the frontmatter was updated.
+   */
+  async writeFrontmatterMetrics(file, stats) {
+    const keys = this.settings.frontmatterKeys;
+    const values = frontmatterMetrics(stats, keys, this.settings.frontmatterPrecision);
+    if (Object.keys(values).length === 0) return false;
+    const timeKey = keys.analyzedAt ? keys.analyzedAt.trim() : '';
+    const cache = this.app.metadataCache.getFileCache(file);
+    const current = (cache && cache.frontmatter) || {};
+    if (Object.entries(values).every(([key, value]) => key === timeKey || current[key] === value)) return false;
+    this._frontmatterWrites.set(file.path, Date.now() + 5000);
+    try {
+      await this.app.fileManager.processFrontMatter(file, (frontmatter) => Object.assign(frontmatter, values));
+      return true;
+    } catch (e) {
+      console.warn(`TQA: could not write frontmatter of ${file.path}`, e);
+      return false;
+    }
+  }
+
+  /**
+   * Whether an editor change of a note is the plugin's own frontmatter write:
+   * a write is pending and every changed range lies inside the frontmatter.
+   */
+  isOwnFrontmatterWrite(path, update, index) {
+    const expires = this._frontmatterWrites.get(path);
+    if (!expires) return false;
+    if (expires < Date.now()) {
+      this._frontmatterWrites.delete(path);
+      return false;
+    }
+    const frontmatter = index.blocks.find((b) => b.kind === 'frontmatter');
+    if (!frontmatter) return false;
+    const doc = update.state.doc;
+    // Up to and including the line break after the closing delimiter
+    const end = Math.min(doc.length, doc.line(Math.min(doc.lines, frontmatter.endLine + 1)).to + 1);
+    let inside = true;
+    update.changes.iterChangedRanges((fromA, toA, fromB, toB) => {
+      if (toB > end) inside = false;
+    });
+    return inside;
+  }
+
+  // Command: write the aggregates of the active note, analysing it first
+  // when it has no analysis yet.
+  async writeFrontmatterForActiveNote() {
+    const file = this.app.workspace.getActiveFile();
+    if (!file || file.extension !== 'md') return;
+    if (!this.analyses.has(file.path)) await this._analyzeFile(file);
+    const analysis = this.analyses.get(file.path);
+    if (!analysis) return;
+    const metrics = analysis.index.paragraphs.map((p) => analysis.metricsById[p.id]);
+    const stats = this.noteStats.record(file.path, metrics);
+    const written = await this.writeFrontmatterMetrics(file, stats);
+    new Notice(written
+      ? 'Text Quality Analyzer: metrics written to frontmatter.'
+      : 'Text Quality Analyzer: frontmatter is already up to date (or no keys are configured).');
+  }
+
+  /**
+   * Metrics for the paragraphs of a paragraph index against a resolved note
+   * topic, as used by full analyses outside the editor (batch, export).
+   * `options` are passed on to getMetrics.
+   */
+  async measureParagraphs(index, topic, options = {}) {
+    const texts = index.paragraphs.map((p) => p.text);
+    return await this.getMetrics(texts, topic.text, this.sectionsFor(index.paragraphs), options);
+  }
+
+  /**
+   * Analysis of a note for export: the live analysis when the note is open
+   * and analysed, otherwise a fresh one (served from the analysis cache where
+   * possible) that is not kept. `options` are passed on to getMetrics.
+   */
+  async analysisForExport(file, options = {}) {
+    const live = this.analyses.get(file.path);
+    if (live && live.index) return live;
+    const index = buildParagraphIndex(await this.readNoteText(file));
+    const topic = resolveNoteTopic(index.blocks, file.basename, this.settings.topic);
+    const metrics = await this.measureParagraphs(index, topic, options);
+    const metricsById = {};
+    index.paragraphs.forEach((para, i) => {
+      if (metrics[i]) metricsById[para.id] = metrics[i];
+    });
+    return { file: file.path, index, metricsById, topic };
+  }
+
+  async exportActiveNote(format) {
+    const file = this.app.workspace.getActiveFile();
+    if (!file || file.extension !== 'md') {
+      new Notice('Text Quality Analyzer: open a note to export.');
+      return;
+    }
+    let analysis;
+    try {
+      if (!this.analyses.has(file.path)) await this._analyzeFile(file);
+      analysis = await this.analysisForExport(file);
+    } catch (e) {
+      console.warn(`TQA: export analysis of ${file.path} failed`, e);
+      new Notice(`Text Quality Analyzer: could not analyse ${file.path}; nothing was exported.`);
+      return;
+    }
+    await this.writeExport([analysis], format, file.basename);
+  }
+
+  async exportNotes(scope, format) {
+    const paths = this.batch.collectPaths(scope);
+    if (paths.length === 0) {
+      new Notice(`Text Quality Analyzer: no notes found in ${batchScopeLabel(scope)}.`);
+      return;
+    }
+    const notice = new Notice(`Text Quality Analyzer: exporting ${paths.length} notes…`, 0);
+    const analyses = [];
+    // A note that cannot be analysed is skipped and named in the final notice,
+    // as are backend fallbacks, instead of one notice per note
+    const failed = [];
+    const fallbacks = [];
+    try {
+      for (const path of paths) {
+        const file = this.app.vault.getAbstractFileByPath(path);
+        if (!file) continue;
+        try {
+          analyses.push(await this.analysisForExport(file, { quiet: true, onFallback: (message) => fallbacks.push(message) }));
+        } catch (e) {
+          console.warn(`TQA: export analysis of ${path} failed`, e);
+          failed.push(path);
+        }
+        notice.setMessage(`Text Quality Analyzer: exporting ${analyses.length + failed.length}/${paths.length} notes…`);
+      }
+    } finally {
+      notice.hide();
+    }
+    if (analyses.length === 0) {
+      new Notice(`Text Quality Analyzer: could not analyse any of the ${paths.length} notes; nothing was exported.`);
+      return;
+    }
+    await this.writeExport(analyses, format, 'Notes', failed, fallbacks);
+  }
+
+  // Create a benchmark note in the vault root and open it.
+  async generateBenchmarkNote(lines = BENCHMARK_NOTE_LINES) {
+    const base = `TQA benchmark ${lines} lines`;
+    let path = `${base}.md`;
+    for (let i = 2; this.app.vault.getAbstractFileByPath(path); i++) path = `${base} ${i}.md`;
+    const file = await this.app.vault.create(path, buildBenchmarkNote(lines));
+    await this.app.workspace.getLeaf('tab').openFile(file);
+    new Notice(`Text Quality Analyzer: created ${path}. Run “Measure typing cost” once it is analysed.`);
+  }
+
+  /**
+   * Type `samples` characters at the cursor of the active editor and delete
+   * them again, timing every keystroke (the editor update including the
+   * decorations). The note ends up unchanged and the keystrokes stay out of
+   * the undo history.
+   */
+  benchmarkTyping(samples = BENCHMARK_KEYSTROKES) {
+    const view = this.app.workspace.getActiveViewOfType(MarkdownView);
+    const cm = view && view.editor && view.editor.cm;
+    if (!cm) {
+      new Notice('Text Quality Analyzer: open a note in the editor first.');
+      return null;
+    }
+    const pos = cm.state.selection.main.head;
+    const times = [];
+    const keystroke = (changes) => {
+      const started = performance.now();
+      cm.dispatch({ changes, annotations: Transaction.addToHistory.of(false) });
+      times.push(performance.now() - started);
     };
-    this.metricsCache = { file: file.path, metrics, paragraphs, ranges };
-    // Signal to the editor decoration plugin that metrics have changed
+    for (let i = 0; i < samples; i++) keystroke({ from: pos + i, insert: 'x' });
+    for (let i = samples; i > 0; i--) keystroke({ from: pos + i - 1, to: pos + i });
+    const sorted = times.slice().sort((a, b) => a - b);
+    const result = {
+      lines: cm.state.doc.lines,
+      keystrokes: times.length,
+      median: sorted[Math.floor(sorted.length / 2)],
+      p95: sorted[Math.floor(sorted.length * 0.95)],
+      max: sorted[sorted.length - 1]
+    };
+    console.info('TQA: typing benchmark', result);
+    new Notice(`Text Quality Analyzer: ${result.keystrokes} keystrokes on ${result.lines} lines — median ${result.median.toFixed(2)} ms, p95 ${result.p95.toFixed(2)} ms, max ${result.max.toFixed(2)} ms.`);
+    return result;
+  }
+
+  /**
+   * Write analyses as CSV, JSON or a Markdown report into the export folder.
+   * The report is opened once written. `failed` lists the paths of notes
+   * left out because they could not be analysed, `fallbacks` the messages of
+   * backend fallbacks during the analyses.
+   */
+  async writeExport(analyses, format, label, failed = [], fallbacks = []) {
+    const stamp = localIsoString(Date.now()).replace('T', ' ').replace(/:/g, '');
+    const settingsSummary = exportSettingsSummary(this);
+    let extension = format;
+    let content;
+    if (format === 'csv') {
+      content = toCsv(analyses.flatMap((a) => exportRows(a)));
+    } else if (format === 'json') {
+      const threshold = this.settings.lowSnrThreshold ?? 0.3;
+      content = JSON.stringify({
+        generatedAt: new Date().toISOString(),
+        settings: settingsSummary,
+        notes: analyses.map((a) => ({
+          path: a.file,
+          topic: a.topic || null,
+          summary: summarizeNoteMetrics(a.index.paragraphs.map((p) => metricsFor(a, p)), threshold),
+          paragraphs: exportRows(a)
+        }))
+      }, null, 2);
+    } else {
+      extension = 'md';
+      content = buildMarkdownReport(analyses, settingsSummary, this.settings.lowSnrThreshold ?? 0.3);
+    }
+    const folder = normalizePath(this.settings.exportFolder || 'Text Quality Exports');
+    const suffix = format === 'report' ? 'quality report' : 'quality';
+    const path = normalizePath(`${folder}/${label} ${suffix} ${stamp}.${extension}`);
+    try {
+      const vault = this.app.vault;
+      if (!vault.getAbstractFileByPath(folder)) await vault.createFolder(folder);
+      let file = vault.getAbstractFileByPath(path);
+      if (file) await vault.modify(file, content);
+      else file = await vault.create(path, content);
+      const skipped = failed.length > 0 ? ` Skipped (could not analyse): ${failed.join(', ')}.` : '';
+      new Notice(`Text Quality Analyzer: exported to ${path}.${skipped}${fallbackSummary(fallbacks)}`);
+      if (format === 'report') await this.app.workspace.getLeaf('tab').openFile(file);
+    } catch (e) {
+      console.error('TQA: export failed', e);
+      new Notice(`Text Quality Analyzer: could not write ${path}.`);
+    }
+  }
+
+  /**
+   * Track the paragraph under the cursor of a note (0-based `line`) and
+   * highlight its card in card views showing that note.
+   */
+  onEditorCursor(path, line) {
+    const analysis = this.analyses.get(path);
+    const para = analysis && analysis.index ? paragraphAtLine(analysis.index, line) : null;
+    const id = para ? para.id : null;
+    if (this._cursorParagraphs.get(path) === id) return;
+    this._cursorParagraphs.set(path, id);
+    for (const leaf of this.app.workspace.getLeavesOfType(VIEW_TYPE)) {
+      const view = leaf.view;
+      const shown = this.metricsCache;
+      if (view && typeof view.highlightCard === 'function' && shown && shown.file === path) view.highlightCard(id);
+    }
+  }
+
+  cursorParagraphId(path) {
+    return (this._cursorParagraphs && this._cursorParagraphs.get(path)) || null;
+  }
+
+  // Flash the lines of a paragraph in a CodeMirror editor.
+  flashParagraph(cm, para) {
+    if (!cm || typeof cm.dispatch !== 'function') return;
+    cm.dispatch({ effects: FlashEffect.of({ from: para.startLine + 1, to: para.endLine + 1 }) });
+    clearTimeout(this._flashTimer);
+    this._flashTimer = setTimeout(() => {
+      try {
+        cm.dispatch({ effects: FlashEffect.of(null) });
+      } catch (e) {
+        // The editor may have been closed in the meantime
+      }
+    }, FLASH_DURATION_MS);
+  }
+
+  /**
+   * Analysis state of the active note (or null). The cards view always shows
+   * this one; editors look up their own note through getAnalysis.
+   */
+  get metricsCache() {
+    const file = this.app.workspace.getActiveFile();
+    return file ? this.analyses.get(file.path) || null : null;
+  }
+
+  /**
+   * Sentence metrics of a paragraph of an analysed note (see
+   * computeSentenceMetrics), memoised by content hash, language and, with
+   * sentence relevance on, the subject the sentences are scored against.
+   */
+  sentenceMetrics(para, analysis) {
+    const { language, sentenceRelevance, relevanceMethod } = this.settings;
+    const subject = sentenceRelevance
+      ? subjectFor(analysis.topic ? analysis.topic.text : '', analysis.index.paragraphs.slice(0, 1).map((p) => p.text))
+      : '';
+    const key = [para.hash, language, sentenceRelevance ? `${relevanceMethod}:${hashString(subject)}` : ''].join('|');
+    let sentences = this._sentenceMetrics.get(key);
+    if (!sentences) {
+      const stats = sentenceRelevance ? this.sentenceTermStats(analysis) : null;
+      sentences = computeSentenceMetrics(para.text, language, { relevance: !!sentenceRelevance, subject, method: relevanceMethod, stats });
+      if (this._sentenceMetrics.size >= SENTENCE_CACHE_MAX) this._sentenceMetrics.delete(this._sentenceMetrics.keys().next().value);
+      this._sentenceMetrics.set(key, sentences);
+    }
+    return sentences;
+  }
+
+  /**
+   * Document frequencies sentence relevance is scored with: the vault's when
+   * vault-wide frequencies are on and built, otherwise the note's paragraphs,
+   * as for heuristic SNR. Note statistics are built once per paragraph index.
+   */
+  sentenceTermStats(analysis) {
+    if (this.settings.vaultDocumentFrequencies && this.vaultTermStats.ready) return this.vaultTermStats;
+    let stats = this._noteTermStats.get(analysis.index);
+    if (!stats) {
+      const language = this.settings.language;
+      stats = buildTermStats(analysis.index.paragraphs.map((p) => relevanceTerms(p.text, language)));
+      this._noteTermStats.set(analysis.index, stats);
+    }
+    return stats;
+  }
+
+  /** Offending sentences of a paragraph, worst first; none unless sentence-level analysis is on. */
+  offendingSentencesFor(para, analysis, limit = Infinity) {
+    if (!this.settings.sentenceAnalysis || !para || !analysis) return [];
+    const { sentenceComplexityThreshold = 0.6, lowSnrThreshold = 0.3 } = this.settings;
+    return offendingSentences(this.sentenceMetrics(para, analysis), sentenceComplexityThreshold, lowSnrThreshold, limit);
+  }
+
+  getAnalysis(path) {
+    return (path && this.analyses.get(path)) || null;
+  }
+
+  /**
+   * Resolve the note shown by a CodeMirror editor. Obsidian exposes it via
+   * editorInfoField; older versions are matched through the open leaves.
+   */
+  fileForEditor(cm) {
+    try {
+      if (editorInfoField) {
+        const info = cm.state.field(editorInfoField, false);
+        if (info && info.file) return info.file;
+      }
+    } catch (e) {}
+    for (const leaf of this.app.workspace.getLeavesOfType('markdown')) {
+      if (leaf.view && leaf.view.editor && leaf.view.editor.cm === cm) return leaf.view.file || null;
+    }
+    return null;
+  }
+
+  _pruneAnalyses() {
+    const open = new Set();
+    for (const leaf of this.app.workspace.getLeavesOfType('markdown')) {
+      if (leaf.view && leaf.view.file) open.add(leaf.view.file.path);
+    }
+    for (const path of Array.from(this.analyses.keys())) {
+      if (!open.has(path) && !this._currentAnalyses.has(path)) this.analyses.delete(path);
+    }
+    for (const path of Array.from(this._noteVersions.keys())) {
+      if (!open.has(path)) this._noteVersions.delete(path);
+    }
+  }
+
+  // Version of the decorations of a note's editors: the global metricsVersion,
+  // bumped when every editor must redraw, and the count of live edits of the
+  // note itself.
+  metricsVersionFor(file) {
+    return `${this.metricsVersion}:${(file && this._noteVersions.get(file.path)) || 0}`;
+  }
+
+  /**
+   * Signal that analysis state changed: bump the version read by the editor
+   * decoration plugin, refresh editors and re-render open card views.
+   */
+  _onMetricsChanged() {
     this.metricsVersion = (this.metricsVersion || 0) + 1;
     // Refresh decorations immediately after computing metrics
     this._forceRefreshEditors();
-    // Update card view if it is open
+    this._renderCardViews();
+  }
+
+  // Update card views (if open) with the analysis of the active note
+  _renderCardViews() {
     const leaves = this.app.workspace.getLeavesOfType(VIEW_TYPE);
     for (const leaf of leaves) {
       const view = leaf.view;
@@ -972,50 +5697,87 @@ module.exports = class TextQualityAnalyzerPlugin extends Plugin {
     }
   }
 
+  // Re-render open dashboards; coalesced because a batch records many notes
+  // in quick succession.
+  _renderDashboards() {
+    if (this._dashboardTimer) return;
+    this._dashboardTimer = setTimeout(() => {
+      this._dashboardTimer = null;
+      for (const leaf of this.app.workspace.getLeavesOfType(DASHBOARD_VIEW_TYPE)) {
+        if (leaf.view && typeof leaf.view.render === 'function') leaf.view.render();
+      }
+    }, 300);
+  }
+
   /**
-   * Запускает точечный анализ для указанных абзацев с задержкой.
-   * Этот метод будет вызван после паузы в наборе текста.
+   * Read the current text of a note. An open editor may hold edits that have
+   * not been saved yet, so its content takes precedence over the file on disk.
    */
-  reanalyzeWithDebounce(indices) {
-    if (this._analysisTimeout) {
-      clearTimeout(this._analysisTimeout);
+  async readNoteText(file) {
+    const leaves = this.app.workspace.getLeavesOfType('markdown');
+    for (const leaf of leaves) {
+      const view = leaf.view;
+      if (view && view.file && view.file.path === file.path && view.editor) {
+        return view.editor.getValue();
+      }
     }
-    this._analysisTimeout = setTimeout(async () => {
-      this._analysisTimeout = null;
-      const file = this.app.workspace.getActiveFile();
-      if (!file) return;
+    return await this.app.vault.cachedRead(file);
+  }
+
+  _cancelPartialAnalysis(path) {
+    const timeout = this._analysisTimeouts.get(path);
+    if (timeout) clearTimeout(timeout);
+    this._analysisTimeouts.delete(path);
+    this._pendingParagraphIds.delete(path);
+  }
 
-      const text = await this.app.vault.read(file);
-      const paragraphs = splitIntoParagraphs(text);
+  /**
+   * Запускает точечный анализ для указанных абзацев заметки с задержкой.
+   * Этот метод будет вызван после паузы в наборе текста. Абзацы задаются
+   * идентификаторами из индекса абзацев; идентификаторы, пропавшие из
+   * индекса к моменту запуска, пропускаются.
+   */
+  reanalyzeWithDebounce(path, ids) {
+    if (!this._pendingParagraphIds.has(path)) this._pendingParagraphIds.set(path, new Set());
+    const pendingIds = this._pendingParagraphIds.get(path);
+    ids.forEach((id) => pendingIds.add(id));
+    const previous = this._analysisTimeouts.get(path);
+    if (previous) {
+      clearTimeout(previous);
+    }
+    this._analysisTimeouts.set(path, setTimeout(async () => {
+      this._analysisTimeouts.delete(path);
+      this._pendingParagraphIds.delete(path);
+      const cache = this.analyses.get(path);
+      if (!cache || !cache.index) return;
+      const targetIds = Array.from(pendingIds).filter((id) => cache.index.byId.has(id));
+      if (targetIds.length === 0) return;
 
       this.showBusy(true);
       try {
-        const partial = await this.recomputeMetricsForIndices(paragraphs, indices);
-        if (this.metricsCache && this.metricsCache.file === file.path) {
-          indices.forEach((i) => {
-            if (this.metricsCache.metrics[i]) {
-              if (Object.prototype.hasOwnProperty.call(partial.snrByIndex, i)) {
-                const v = partial.snrByIndex[i];
-                this.metricsCache.metrics[i].snr = typeof v === 'number' ? v : 0;
-                this.metricsCache.metrics[i].topic = typeof v === 'number' ? v : 0;
-              }
-              if (Object.prototype.hasOwnProperty.call(partial.complexityByIndex, i)) {
-                const c = partial.complexityByIndex[i];
-                if (typeof c === 'number') this.metricsCache.metrics[i].complexity = c;
-              }
+        const topic = cache.topic ? cache.topic.text : this.settings.topic;
+        const partial = await this.recomputeMetricsForIds(cache.index.paragraphs, targetIds, topic);
+        const current = this.analyses.get(path);
+        if (current) {
+          const metricsById = current.metricsById;
+          targetIds.forEach((id) => {
+            if (!metricsById[id]) return;
+            if (Object.prototype.hasOwnProperty.call(partial.snrById, id)) {
+              const v = partial.snrById[id];
+              metricsById[id].snr = typeof v === 'number' ? v : 0;
+              const t = partial.topicById ? partial.topicById[id] : v;
+              metricsById[id].topic = typeof t === 'number' ? t : 0;
             }
-          });
-
-          this.metricsVersion = (this.metricsVersion || 0) + 1;
-          this._forceRefreshEditors();
-
-          const leaves = this.app.workspace.getLeavesOfType(VIEW_TYPE);
-          for (const leaf of leaves) {
-            const view = leaf.view;
-            if (view && typeof view.renderMetrics === 'function') {
-              view.renderMetrics(this.metricsCache);
+            if (partial.sectionById && typeof partial.sectionById[id] === 'number') metricsById[id].section = partial.sectionById[id];
+            else delete metricsById[id].section;
+            if (Object.prototype.hasOwnProperty.call(partial.complexityById, id)) {
+              const c = partial.complexityById[id];
+              if (typeof c === 'number') metricsById[id].complexity = c;
             }
-          }
+            if (partial.backend) metricsById[id].backend = partial.backend;
+          });
+          this.noteStats.record(path, current.index.paragraphs.map((p) => metricsById[p.id]));
+          this._onMetricsChanged();
         }
       } catch (err) {
         new Notice('Ошибка при анализе абзацев.');
@@ -1023,209 +5785,222 @@ module.exports = class TextQualityAnalyzerPlugin extends Plugin {
       } finally {
         this.showBusy(false);
       }
-    }, 1000);
+    }, 1000));
   }
 
   /**
    * Create a CodeMirror ViewPlugin that decorates entire lines according to
-   * paragraph metrics. Whenever the document changes, paragraphs are
-   * re‑extracted and the associated colours recomputed. Rendering is debounced
-   * implicitly by CodeMirror’s update cycle.
+   * paragraph metrics. On a change only the paragraphs around it are
+   * segmented and decorated again, the other decorations are mapped through
+   * the change; a full pass covers only the visible ranges. The same pass
+   * feeds a gutter marker per line and the hover tooltip with the
+   * paragraph's metrics.
    */
   createDecorationsExtension() {
     const plugin = this;
-    return ViewPlugin.fromClass(
+    const decorations = ViewPlugin.fromClass(
       class {
         constructor(view) {
           this.view = view;
+          // Paragraph index of this editor's document, patched on each change
+          this.index = buildParagraphIndex(view.state.doc.toString());
+          this.cache = null;
           this.decorations = Decoration.none;
+          this.markers = RangeSet.empty;
+          this._lastMetricsVersion = plugin.metricsVersionFor(plugin.fileForEditor(view));
           this.computeDecorations();
         }
 
         /**
-         * Trigger an asynchronous recompute of the decoration set. The
-         * computation happens serially; subsequent requests will reuse the
-         * latest metrics. On completion, the decorations are replaced and the
-         * view updated.
+         * Rebuild the decorations and gutter markers of the visible ranges
+         * from the current analysis of the note. Lines outside the viewport
+         * are decorated once they scroll into it.
          */
-        async computeDecorations() {
-          const file = plugin.app.workspace.getActiveFile();
-          const state = this.view.state;
-          const docText = state.doc.toString();
+        computeDecorations() {
+          const file = plugin.fileForEditor(this.view);
           // Skip processing if no file is open (e.g. the welcome screen)
           if (!file) {
+            this.cache = null;
             this.decorations = Decoration.none;
+            this.markers = RangeSet.empty;
             return;
           }
-          // If metrics are not computed yet, request them and exit; the plugin
-          // will bump metricsVersion and we will recompute on the next update.
-          if (!plugin.metricsCache || plugin.metricsCache.file !== file.path) {
+          // If metrics are not computed yet, request them; the plugin will bump
+          // metricsVersion and we will recompute on the next update. Until
+          // then only paragraphs with known metrics are coloured.
+          this.cache = plugin.getAnalysis(file.path);
+          if (!this.cache) {
             // Fire and forget; no await to avoid recursion in updates
-            plugin.reanalyzeForced();
-          }
-          const paragraphs = splitIntoParagraphs(docText);
-          // Acquire metrics: use cached metrics if the same number of paragraphs
-          let metrics;
-          if (
-            plugin.metricsCache &&
-            plugin.metricsCache.file === file.path &&
-            plugin.metricsCache.paragraphs &&
-            plugin.metricsCache.paragraphs.length === paragraphs.length
-          ) {
-            metrics = plugin.metricsCache.metrics;
-          } else {
-            metrics = await plugin.getMetrics(paragraphs);
-            // store for reuse in view and card view
-            plugin.metricsCache = {
-              file: file.path,
-              metrics,
-              paragraphs
-            };
-          }
-          const builder = new RangeSetBuilder();
-          const totalLines = state.doc.lines;
-          let paraIdx = 0;
-          let currentLines = [];
-
-          // Ranges for normalisation
-          let snrMin = 0, snrMax = 1, compMin = 0, compMax = 1;
-          if (plugin.settings.normalizeRanges && plugin.metricsCache && plugin.metricsCache.ranges) {
-            const r = plugin.metricsCache.ranges;
-            snrMin = r.snrMin; snrMax = r.snrMax; compMin = r.compMin; compMax = r.compMax;
+            plugin.requestAnalysis(file);
           }
-          const normalize = (value, min, max) => {
-            if (!plugin.settings.normalizeRanges) {
-              // clamp raw value to [0,1] for colouring only
-              return Math.max(0, Math.min(1, value || 0));
-            }
-            const range = max - min;
-            if (!isFinite(range) || range <= 1e-9) return 0.5; // all equal → mid colour
-            const t = (value - min) / range;
-            return Math.max(0, Math.min(1, t));
-          };
-          for (let lineNumber = 1; lineNumber <= totalLines; lineNumber++) {
-            const line = state.doc.line(lineNumber).text;
-            if (line.trim() === '') {
-              if (currentLines.length > 0) {
-                if (metrics[paraIdx]) {
-                  const { snr, complexity } = metrics[paraIdx];
-                  // Normalise colours per current analysis
-                  const normSnr = normalize(snr, snrMin, snrMax);
-                  const normComplexity = normalize(complexity, compMin, compMax);
-                  const bg = plugin.getBackgroundColorFor(normSnr);
-                  const fg = plugin.getTextColorFor(normComplexity);
-                  currentLines.forEach((ln) => {
-                    const range = state.doc.line(ln);
-                    const deco = Decoration.line({
-                      attributes: {
-                        style: `background-color: ${bg}; color: ${fg};`
-                      }
-                    });
-                    builder.add(range.from, range.from, deco);
-                  });
-                }
-                paraIdx++;
-                currentLines = [];
-              }
-            } else {
-              currentLines.push(lineNumber);
-            }
-          }
-          // handle trailing paragraph
-          if (currentLines.length > 0 && metrics[paraIdx]) {
-            const { snr, complexity } = metrics[paraIdx];
-            const normSnr = normalize(snr, snrMin, snrMax);
-            const normComplexity = normalize(complexity, compMin, compMax);
-            const bg = plugin.getBackgroundColorFor(normSnr);
-            const fg = plugin.getTextColorFor(normComplexity);
-            currentLines.forEach((ln) => {
-              const range = state.doc.line(ln);
+          const { decorations, markers } = this.buildRange(0, this.view.state.doc.length);
+          this.decorations = Decoration.set(decorations, true);
+          this.markers = RangeSet.of(markers);
+        }
+
+        /**
+         * Line decorations and gutter markers for the lines of analysed
+         * paragraphs that lie in [from, to] and in the visible ranges, plus
+         * the sentence marks of those paragraphs. Markers are in document
+         * order; decorations need sorting.
+         */
+        buildRange(from, to) {
+          const decorations = [];
+          const markers = [];
+          const cache = this.cache;
+          if (!cache) return { decorations, markers };
+          const doc = this.view.state.doc;
+          const paragraphs = this.index.paragraphs;
+          let lastLine = 0;
+          let lastMarked = -1;
+          for (const visible of this.view.visibleRanges) {
+            const a = Math.max(from, visible.from);
+            const b = Math.min(to, visible.to);
+            if (a > b) continue;
+            const firstLine = doc.lineAt(a).number;
+            const endLine = doc.lineAt(b).number;
+            for (let i = lowerBound(paragraphs, (p) => p.endLine + 1 >= firstLine); i < paragraphs.length && paragraphs[i].startLine + 1 <= endLine; i++) {
+              const para = paragraphs[i];
+              const m = metricsFor(cache, para);
+              if (!m) continue;
+              // Normalise colours per current analysis
+              const colors = plugin.colorsFor(m, cache.ranges);
+              const { classes, properties } = plugin.highlightAttributes(m, cache.ranges);
               const deco = Decoration.line({
-                attributes: {
-                  style: `background-color: ${bg}; color: ${fg};`
-                }
+                class: classes.join(' '),
+                attributes: { style: Object.entries(properties).map(([key, value]) => `${key}: ${value};`).join(' ') }
               });
-              builder.add(range.from, range.from, deco);
-            });
+              const width = 2 + Math.round(clamp01(m.complexity) * 4);
+              const title = paragraphMetricsLines(m).join('\n');
+              const last = Math.min(para.endLine + 1, endLine);
+              for (let ln = Math.max(para.startLine + 1, firstLine, lastLine + 1); ln <= last; ln++) {
+                const line = doc.line(ln);
+                lastLine = ln;
+                markers.push(new ParagraphGutterMarker(colors.accent, width, title, ln === para.startLine + 1).range(line.from));
+                if (line.text.trim() !== '') decorations.push(deco.range(line.from));
+              }
+              // A paragraph split across two visible ranges is marked once
+              if (para.index === lastMarked) continue;
+              lastMarked = para.index;
+              for (const { sentence, from: a, to: b } of this.sentenceRanges(para)) {
+                const complex = sentence.complexity >= (plugin.settings.sentenceComplexityThreshold ?? 0.6);
+                decorations.push(Decoration.mark({
+                  class: `tqa-sentence ${complex ? 'tqa-sentence-complex' : 'tqa-sentence-offtopic'}`,
+                  attributes: { style: `--tqa-sentence-complexity: ${clamp01(sentence.complexity).toFixed(3)};` }
+                }).range(a, b));
+              }
+            }
           }
-          this.decorations = builder.finish();
+          return { decorations, markers };
         }
 
-        update(update) {
-          // When document changes, update complexity on-the-fly for changed paragraphs only
-          if (update.docChanged) {
-            const file = plugin.app.workspace.getActiveFile();
-            if (!file) return;
-
-            const state = this.view.state;
-            // Build paragraph ranges in the NEW doc
-            const paraRanges = [];
-            let currentParaStart = 0;
-            for (let i = 1; i <= state.doc.lines; i++) {
-              const line = state.doc.line(i);
-              if (line.text.trim() === '') {
-                if (line.from > currentParaStart) {
-                  paraRanges.push({ from: currentParaStart, to: line.from });
-                }
-                currentParaStart = line.to + 1;
-              }
-            }
-            if (state.doc.length > currentParaStart) {
-              paraRanges.push({ from: currentParaStart, to: state.doc.length });
+        /**
+         * Document ranges of the offending sentences of a paragraph, as
+         * `{ sentence, from, to }` in document order.
+         */
+        sentenceRanges(para) {
+          const offending = plugin.offendingSentencesFor(para, this.cache);
+          if (offending.length === 0) return [];
+          const sentences = plugin.sentenceMetrics(para, this.cache);
+          const spans = locateSentences(this.view.state.doc.sliceString(para.from, para.to), sentences.map((s) => s.text));
+          const ranges = [];
+          sentences.forEach((sentence, i) => {
+            const span = spans[i];
+            if (span && span.from < span.to && offending.includes(sentence)) {
+              ranges.push({ sentence, from: para.from + span.from, to: para.from + span.to });
             }
+          });
+          return ranges;
+        }
 
-            // Collect changed ranges in NEW doc coordinates
-            const changedRanges = [];
-            try {
-              update.changes.iterChangedRanges((fromA, toA, fromB, toB) => {
-                changedRanges.push({ from: fromB, to: toB });
-              });
-            } catch (e) {
-              // Fallback: mark all as changed
-              changedRanges.push({ from: 0, to: state.doc.length });
-            }
+        /**
+         * Keep the note's analysis in step with the editor. Paragraph ids are
+         * content hashes, so paragraphs whose text did not change keep their
+         * metrics even if their position moved; new ones get local
+         * readability until the debounced re-analysis. With a patch only the
+         * paragraphs around the change are looked at.
+         */
+        updateAnalysis(file, update, before, patch) {
+          const index = this.index;
+          const prev = plugin.getAnalysis(file.path);
+          const changedIds = [];
+          // The plugin's own frontmatter write-back never schedules analysis
+          const ownWrite = plugin.isOwnFrontmatterWrite(file.path, update, index);
+          // Editing the frontmatter topic, H1 or tags changes the subject
+          // every paragraph is scored against, so all of them are redone.
+          const topic = patch && !patch.touchesTopic && prev && prev.topic
+            ? prev.topic
+            : resolveNoteTopic(index.blocks, file.basename, plugin.settings.topic);
+          const topicChanged = !!(prev && prev.topic && prev.topic.text !== topic.text);
+          // With section-relative SNR a renamed or moved heading does the
+          // same for the paragraphs under it.
+          const sectionMode = !!plugin.settings.sectionRelativeSnr;
+          // The patch stands in for a full pass only when the analysis was
+          // built on this editor's index (patched in place, so still the same
+          // object)
+          const partial = !!(patch && prev && prev.index === before && !topicChanged);
+          // A patch edits the previous map in place: copying thousands of
+          // entries per keystroke is what made long notes lag
+          const metricsById = partial ? prev.metricsById : {};
+          if (partial) patch.removed.forEach((id) => delete metricsById[id]);
 
-            // Prepare new metrics and paragraph texts, preserving previous where unchanged
-            const prev = plugin.metricsCache && plugin.metricsCache.file === file.path ? plugin.metricsCache : null;
-            const newMetrics = new Array(paraRanges.length);
-            const newParaTexts = new Array(paraRanges.length);
-            const changedIndices = new Set();
+          (partial ? patch.added : index.paragraphs).forEach((para) => {
+            const known = metricsFor(prev, para);
+            if (known) {
+              // Headings never change under a patch, so this only matters for a full pass
+              const old = sectionMode && prev.index && prev.index !== index ? prev.index.byId.get(para.id) : null;
+              if (topicChanged || (old && sectionLabel(old.headingPath) !== sectionLabel(para.headingPath))) changedIds.push(para.id);
+              metricsById[para.id] = known;
+            } else {
+              const { language, complexity, readability } = analyzeParagraphReadability(para.text, plugin.settings.language);
+              metricsById[para.id] = { snr: 0, complexity, topic: 0, role: '', language, readability };
+              changedIds.push(para.id);
+            }
+          });
 
-            paraRanges.forEach((para, i) => {
-              const paraText = state.doc.sliceString(para.from, para.to).trim();
-              newParaTexts[i] = paraText;
+          const ranges = prev && prev.ranges ? prev.ranges : null;
+          const historyAt = prev ? prev.historyAt : null;
+          plugin.analyses.set(file.path, ranges
+            ? { file: file.path, index, metricsById, ranges, topic, historyAt }
+            : { file: file.path, index, metricsById, topic, historyAt });
+          plugin._noteVersions.set(file.path, (plugin._noteVersions.get(file.path) || 0) + 1);
 
-              // Determine if this paragraph intersects any changed range
-              let isChanged = false;
-              for (const r of changedRanges) {
-                if (r.from < para.to && r.to > para.from) { isChanged = true; break; }
-              }
-              if (isChanged) changedIndices.add(i);
-
-              if (!isChanged && prev && prev.metrics && prev.metrics[i]) {
-                newMetrics[i] = prev.metrics[i];
-              } else {
-                const smogInfo = russianSmogIndex(paraText);
-                const lix = russianLixIndex(paraText);
-                const complexity = calculateComplexity(lix, smogInfo.value, smogInfo.valid);
-                newMetrics[i] = { snr: 0, complexity, topic: 0, role: '' };
-              }
-            });
+          if (changedIds.length > 0 && !ownWrite) {
+            plugin.reanalyzeWithDebounce(file.path, changedIds);
+          }
+          return partial;
+        }
 
-            const ranges = prev && prev.ranges ? prev.ranges : null;
-            plugin.metricsCache = ranges
-              ? { file: file.path, metrics: newMetrics, paragraphs: newParaTexts, ranges }
-              : { file: file.path, metrics: newMetrics, paragraphs: newParaTexts };
-            plugin.metricsVersion = (plugin.metricsVersion || 0) + 1;
+        update(update) {
+          const file = plugin.fileForEditor(this.view);
+          // Whether the decorations reflect the latest metrics before this update
+          const current = this._lastMetricsVersion === plugin.metricsVersionFor(file);
+          let patch = null;
+          let partial = false;
+          if (update.docChanged) {
+            const before = this.index;
+            patch = patchParagraphIndex(before, update);
+            this.index = patch ? patch.index : buildParagraphIndex(update.state.doc.toString());
+            if (file) partial = this.updateAnalysis(file, update, before, patch);
+          }
 
-            if (changedIndices.size > 0) {
-              plugin.reanalyzeWithDebounce(Array.from(changedIndices));
-            }
+          if (file && (update.selectionSet || update.docChanged)) {
+            const head = update.state.selection.main.head;
+            plugin.onEditorCursor(file.path, update.state.doc.lineAt(head).number - 1);
           }
 
-          // Recompute decorations when metricsVersion changed or doc changed
-          if (update.docChanged || update.annotations?.some?.((a) => a.type === RefreshAnnotation) || (this._lastMetricsVersion !== plugin.metricsVersion)) {
-            this._lastMetricsVersion = plugin.metricsVersion;
+          const refresh = update.transactions.some((tr) => tr.annotation(RefreshAnnotation));
+          if (partial && current && !refresh && !update.viewportChanged) {
+            // Only the window around the change is redrawn; the rest of the
+            // decorations move with the text
+            this._lastMetricsVersion = plugin.metricsVersionFor(file);
+            this.cache = plugin.getAnalysis(file.path);
+            const { decorations, markers } = this.buildRange(patch.from, patch.to);
+            const replace = { filterFrom: patch.from, filterTo: patch.to, filter: () => false };
+            this.decorations = this.decorations.map(update.changes).update(Object.assign({ add: decorations, sort: true }, replace));
+            this.markers = this.markers.map(update.changes).update(Object.assign({ add: markers }, replace));
+          } else if (update.docChanged || refresh || update.viewportChanged || !current || this._lastMetricsVersion !== plugin.metricsVersionFor(file)) {
+            this._lastMetricsVersion = plugin.metricsVersionFor(file);
             this.computeDecorations();
           }
         }
@@ -1235,6 +6010,43 @@ module.exports = class TextQualityAnalyzerPlugin extends Plugin {
         decorations: (v) => v.decorations
       }
     );
+    // Gutter next to the line numbers with a marker per analysed line
+    const markers = gutter({
+      class: 'tqa-gutter',
+      markers: (view) => {
+        const value = view.plugin(decorations);
+        return (value && value.markers) || RangeSet.empty;
+      }
+    });
+    // Metrics of the paragraph under the mouse pointer, and of the
+    // offending sentence there
+    const tooltip = hoverTooltip((view, pos) => {
+      const value = view.plugin(decorations);
+      if (!value || !value.index) return null;
+      const line = view.state.doc.lineAt(pos).number - 1;
+      const para = paragraphAtLine(value.index, line);
+      const m = metricsFor(value.cache, para);
+      if (!m) return null;
+      const lines = paragraphMetricsLines(m);
+      const sentence = value.sentenceRanges(para).find((r) => r.from <= pos && pos <= r.to);
+      if (sentence) lines.push(`Sentence: ${sentenceMetricsLine(sentence.sentence)}`);
+      return {
+        pos: view.state.doc.line(para.startLine + 1).from,
+        end: view.state.doc.line(Math.min(view.state.doc.lines, para.endLine + 1)).to,
+        above: true,
+        create: () => {
+          const dom = document.createElement('div');
+          dom.className = 'tqa-tooltip';
+          for (const text of lines) {
+            const row = document.createElement('div');
+            row.textContent = text;
+            dom.appendChild(row);
+          }
+          return { dom };
+        }
+      };
+    });
+    return [decorations, markers, tooltip];
   }
 
   /**
@@ -1244,75 +6056,73 @@ module.exports = class TextQualityAnalyzerPlugin extends Plugin {
   async reanalyze() {
     const file = this.app.workspace.getActiveFile();
     if (!file) return;
-    
-    // Cancel any ongoing analysis
-    if (this._currentAnalysis) {
-      this._currentAnalysis.cancelled = true;
-    }
-    
-    // Clear cache immediately when switching files
-    if (this.metricsCache && this.metricsCache.file !== file.path) {
-      this.metricsCache = null;
-      this._subjectEmbeddingCache = null;
-    }
-    
-    const text = await this.app.vault.read(file);
-    const paragraphs = splitIntoParagraphs(text);
-    
-    // Create a new analysis context
-    const analysisContext = { cancelled: false, file: file.path };
-    this._currentAnalysis = analysisContext;
-    
-    // Show spinner while we may be calling server/LLM
-    this.showBusy(true);
-    const metrics = await this.getMetrics(paragraphs).finally(() => {
-      // Only hide spinner if this is still the current analysis
-      if (this._currentAnalysis === analysisContext) {
-        this.showBusy(false);
-      }
-    });
-    
-    // Check if this analysis was cancelled
-    if (analysisContext.cancelled) {
-      return;
-    }
-    // Persist ranges for stable colouring between live edits
-    const snrValues = (metrics || []).map((m) => (typeof m.snr === 'number' ? m.snr : 0));
-    const compValues = (metrics || []).map((m) => (typeof m.complexity === 'number' ? m.complexity : 0));
-    const ranges = {
-      snrMin: snrValues.length ? Math.min(...snrValues) : 0,
-      snrMax: snrValues.length ? Math.max(...snrValues) : 1,
-      compMin: compValues.length ? Math.min(...compValues) : 0,
-      compMax: compValues.length ? Math.max(...compValues) : 1
-    };
-    this.metricsCache = { file: file.path, metrics, paragraphs, ranges };
-    // Signal to the editor decoration plugin that metrics have changed
-    this.metricsVersion = (this.metricsVersion || 0) + 1;
-    // Refresh decorations immediately after computing metrics
-    this._forceRefreshEditors();
-    // Update card view if it is open
-    const leaves = this.app.workspace.getLeavesOfType(VIEW_TYPE);
-    for (const leaf of leaves) {
-      const view = leaf.view;
-      if (view && typeof view.renderMetrics === 'function') {
-        view.renderMetrics(this.metricsCache);
-      }
-    }
+    await this._analyzeFile(file);
   }
 
   resetAnalysisCache(triggerReanalyze = false) {
     try {
-      this._subjectEmbeddingCache = null;
-      this.metricsCache = null;
+      this.analyses.clear();
       this.metricsVersion = (this.metricsVersion || 0) + 1;
       this._forceRefreshEditors();
       if (triggerReanalyze) {
-        this.reanalyze();
+        // Re-analyse every note open in a pane, not only the active one
+        const seen = new Set();
+        for (const leaf of this.app.workspace.getLeavesOfType('markdown')) {
+          const file = leaf.view && leaf.view.file;
+          if (!file || seen.has(file.path)) continue;
+          seen.add(file.path);
+          this.requestAnalysis(file);
+        }
       }
     } catch (e) {}
   }
 
+  /**
+   * Markdown post-processor colouring a rendered block in Reading view. The
+   * block is mapped back to its source lines through the section info and
+   * matched to a paragraph by content hash, as in the editor decorations.
+   * Only notes open in a pane are analysed from here: hover popovers and
+   * embeds render other notes too, and must not start network calls.
+   */
+  colorReadingBlock(el, ctx) {
+    const info = ctx.getSectionInfo(el);
+    if (!info) return;
+    const analysis = this.getAnalysis(ctx.sourcePath);
+    if (!analysis) {
+      const open = this.app.workspace.getLeavesOfType('markdown').some((leaf) => leaf.view && leaf.view.file && leaf.view.file.path === ctx.sourcePath);
+      const file = open ? this.app.vault.getAbstractFileByPath(ctx.sourcePath) : null;
+      if (file && file.extension === 'md') this.requestAnalysis(file);
+      return;
+    }
+    // Every block of a render passes the same source text; index it once
+    if (!this._readingIndex || this._readingIndex.text !== info.text) {
+      this._readingIndex = { text: info.text, index: buildParagraphIndex(info.text) };
+    }
+    const para = this._readingIndex.index.paragraphs.find((p) => p.startLine <= info.lineEnd && p.endLine >= info.lineStart);
+    const m = metricsFor(analysis, para);
+    if (!m) return;
+    const { classes, properties } = this.highlightAttributes(m, analysis.ranges);
+    el.addClasses(['tqa-reading-block', ...classes]);
+    for (const [key, value] of Object.entries(properties)) el.style.setProperty(key, value);
+  }
+
+  // Re-run the post-processors of notes shown in Reading view. Coalesced:
+  // colour pickers and partial analyses refresh in quick succession.
+  _refreshReadingViews() {
+    if (this._readingTimer) return;
+    this._readingTimer = setTimeout(() => {
+      this._readingTimer = null;
+      for (const leaf of this.app.workspace.getLeavesOfType('markdown')) {
+        const view = leaf.view;
+        if (view && typeof view.getMode === 'function' && view.getMode() === 'preview' && view.previewMode) {
+          view.previewMode.rerender(true);
+        }
+      }
+    }, 200);
+  }
+
   _forceRefreshEditors() {
+    this._refreshReadingViews();
     try {
       // Dispatch a no-op with a custom annotation to all markdown editors
       const leaves = this.app.workspace.getLeavesOfType('markdown');
@@ -1329,10 +6139,24 @@ module.exports = class TextQualityAnalyzerPlugin extends Plugin {
     }
   }
 
+  // Calls must be paired: showBusy(true) before and showBusy(false) after
+  // each background task. The spinner stays visible while any task runs.
   showBusy(isBusy) {
+    this._busyCount = Math.max(0, (this._busyCount || 0) + (isBusy ? 1 : -1));
+    this.updateStatusBar();
+  }
+
+  // The status bar shows batch progress while a batch job exists, otherwise
+  // the spinner of running single-note analyses.
+  updateStatusBar() {
     try {
       if (!this._statusBarItem) return;
-      this._statusBarItem.style.display = isBusy ? '' : 'none';
+      const batchText = this.batch ? this.batch.statusText() : '';
+      const spinning = this._busyCount > 0 || (this.batch && this.batch.running);
+      this._statusBarItem.style.display = spinning || batchText ? '' : 'none';
+      this._statusSpinner.style.display = spinning ? '' : 'none';
+      this._statusLabel.setText(batchText || 'Analyzing…');
+      this._statusBarItem.setAttr('title', batchText ? 'Click to pause or resume batch analysis' : '');
     } catch (e) {}
   }
 
@@ -1340,155 +6164,101 @@ module.exports = class TextQualityAnalyzerPlugin extends Plugin {
    * Resolve metrics for a list of paragraphs. If configured to use a remote
    * backend, an HTTP POST request is issued. Should the request fail, the
    * plugin falls back to local heuristics. The returned array always has the
-   * same length as the input.
+   * same length as the input. Remote results are served from the analysis
+   * cache where possible, so only new or edited paragraphs hit the network.
+   * Every fallback is announced with a notice; with `quiet` it is logged
+   * instead, for callers that analyse many notes and report once.
+   * `onFallback(message)` is called for every fallback either way.
    */
-  async getMetrics(paragraphs) {
-    const { backendMode, httpEndpoint, topic, apiKey, embeddingModel, chatModel } = this.settings;
+  async getMetrics(paragraphs, topic = this.settings.topic, sections = null, { quiet = false, onFallback = null } = {}) {
+    const { backendMode, httpEndpoint, language } = this.settings;
+    const hasLlm = this.hasLlmAccess();
+    const fallBack = (message) => {
+      if (quiet) console.warn(`TQA: ${message}`);
+      else new Notice(message);
+      if (onFallback) onFallback(message);
+    };
     /**
      * Attempt to call the HTTP endpoint. Returns an array of metrics or null on failure.
      */
     const tryHttpEndpoint = async () => {
       if (!httpEndpoint) return null;
       try {
-        const res = await fetch(httpEndpoint, {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({ paragraphs, topic })
+        const data = await this.fetchServerMetrics(paragraphs, topic);
+        if (!data) return null;
+        return data.map((item, i) => {
+          const local = analyzeParagraphReadability(paragraphs[i], language);
+          return {
+            snr: typeof item.snr === 'number' ? item.snr : 0,
+            complexity: typeof item.complexity === 'number' ? item.complexity : 0,
+            topic: typeof item.topic === 'number' ? item.topic : 0,
+            role: item.role || '',
+            language: item.language || local.language,
+            readability: local.readability,
+            backend: 'server'
+          };
         });
-        if (res.ok) {
-          const data = await res.json();
-          if (Array.isArray(data) && data.length === paragraphs.length) {
-            return data.map((item) => ({
-              snr: typeof item.snr === 'number' ? item.snr : 0,
-              complexity: typeof item.complexity === 'number' ? item.complexity : 0,
-              topic: typeof item.topic === 'number' ? item.topic : 0,
-              role: item.role || ''
-            }));
-          }
-        }
-        return null;
       } catch (err) {
         return null;
       }
     };
     /**
-     * Attempt to compute metrics via the OpenAI API using embeddings and chat completions. Returns metrics or null on failure.
+     * Attempt to compute metrics via the selected LLM provider using embeddings and chat completions. Returns metrics or null on failure.
      */
-    const tryOpenAi = async () => {
-      if (!apiKey) return null;
+    const tryProvider = async () => {
+      if (!hasLlm) return null;
       try {
+        const canEmbed = this.llmProvider().capabilities.embeddings;
         // Determine the topic text: use explicit topic if provided, otherwise use the first paragraph as the subject
-        const subject = topic && topic.trim().length > 0 ? topic : paragraphs[0] || '';
-        const modelName = embeddingModel || 'text-embedding-3-small';
+        const subject = subjectFor(topic, paragraphs);
         // Compute SNR by selected method
         let snrArray = [];
+        let sectionArray = null;
         let llmComplexity = null; // Declare at function scope
-        if ((this.settings.snrMethod || 'embedding') === 'embedding') {
-          const texts = [subject, ...paragraphs];
-          const embs = await fetchOpenAiEmbeddings(apiKey, modelName, texts);
-          const subjectEmb = embs[0];
-          try { this._subjectEmbeddingCache = { text: subject, model: modelName, embedding: subjectEmb }; } catch (e) {}
-          const paraEmbs = embs.slice(1);
-          for (let i = 0; i < paraEmbs.length; i++) snrArray.push(cosineSimilarity(subjectEmb, paraEmbs[i]));
+        let backend = '';
+        if (this.effectiveSnrMethod() === 'embedding') {
+          snrArray = await this.embeddingSnr(subject, paragraphs);
+          if (sections) sectionArray = await this.sectionEmbeddingSnr(paragraphs, sections);
+          backend = this.backendLabel('embedding');
         } else {
-          // LLM scoring method: ask the chat model to rate each paragraph vs topic
-          const messages = [
-            {
-              role: 'system',
-              content:
-                'You are a scorer. Given a TOPIC and a list of N numbered PARAGRAPHS, output only a JSON object with the exact shape ' +
-                '{"scores":[r1,...,rN], "complexity":[c1,...,cN]}. ' +
-                'Each ri is a continuous relevance score in [0,1] (0 off-topic, 1 perfectly on-topic). ' +
-                'Each ci is a continuous reading complexity score in [0,1] (0 very easy to read, 1 very complex). ' +
-                'Use numbers (no strings), dot as decimal separator, up to 3 decimals. ' +
-                'Both arrays must have length exactly N and preserve paragraph order. ' +
-                'Do not include the topic itself; score only the numbered paragraphs. ' +
-                'Return only the JSON object without code fences or extra text.'
-            },
-            {
-              role: 'user',
-              content:
-                `Topic: ${subject}\n\nNumber of paragraphs: ${paragraphs.length}\n\nParagraphs (numbered, one per line):\n` +
-                paragraphs.map((p, i) => `${i+1}. ${p}`).join('\n') +
-                `\n\nReturn strictly a JSON object: {"scores":[${'r,'.repeat(paragraphs.length).slice(0,-1)}], "complexity":[${'c,'.repeat(paragraphs.length).slice(0,-1)}]}`
-            }
-          ];
-          const modelNameChat = chatModel || 'gpt-3.5-turbo';
-          const useSchema = /gpt-4o|gpt-5/i.test(modelNameChat);
-          const schemaFormat = {
-            type: 'json_schema',
-            json_schema: {
-              name: 'snr_scores',
-              schema: {
-                type: 'object',
-                additionalProperties: false,
-                properties: {
-                  scores: {
-                    type: 'array',
-                    items: { type: 'number', minimum: 0, maximum: 1 },
-                    minItems: paragraphs.length,
-                    maxItems: paragraphs.length
-                  }
-                },
-                required: ['scores']
-              }
-            }
-          };
-          const responseFormat = useSchema ? schemaFormat : { type: 'json_object' };
-          let content = '';
-          // Increase token limit to handle longer responses (35 paragraphs * ~10 chars per score * 2 arrays + JSON structure)
-          const maxTokens = Math.max(500, paragraphs.length * 20);
-          if (/gpt-5/i.test(modelNameChat)) {
-            // No special handling for gpt-5 anymore; treat as regular chat path
-            const data = await callOpenAiChat(apiKey, modelNameChat, messages, { temperature: 0, responseFormat, maxTokens });
-            content = data?.choices?.[0]?.message?.content?.trim() || '';
-          } else {
-            const data = await callOpenAiChat(apiKey, modelNameChat, messages, { temperature: 0, responseFormat, maxTokens });
-            content = data?.choices?.[0]?.message?.content?.trim() || '{}';
-          }
-          try { console.info('TQA: LLM SNR raw response', { model: modelNameChat, content }); } catch (_) {}
-          let parsedOk = false;
-          if (content) {
-            const obj = parseLlmScoresAndComplexity(content);
-            if (obj && (Array.isArray(obj.scores) || Array.isArray(obj.complexity))) {
-              snrArray = normalizeArray01(obj.scores || [], paragraphs.length);
-              if (Array.isArray(obj.complexity)) {
-                llmComplexity = normalizeArray01(obj.complexity, paragraphs.length);
-              }
-              parsedOk = true;
-              try { console.info('TQA: LLM parsed lengths', { scores: snrArray.length, complexity: llmComplexity ? llmComplexity.length : 0, paragraphs: paragraphs.length }); } catch (_) {}
-            } else {
-              console.warn('TQA: parser returned null; falling back to heuristics for complexity if needed', { raw: content?.slice?.(0, 200) });
-            }
+          backend = this.backendLabel('scoring');
+          // LLM scoring method: ask the chat model to rate each paragraph vs topic (and its section)
+          const scored = await this.llmScores(subject, paragraphs, sections);
+          if (scored) {
+            snrArray = scored.scores;
+            llmComplexity = scored.complexity;
+            sectionArray = scored.sectionScores;
           }
           // Fallback to embeddings if all zeros
-          if (!parsedOk || snrArray.every((v) => v === 0)) {
+          if (!scored || snrArray.every((v) => v === 0)) {
+            if (!canEmbed) return null;
             try { console.warn('TQA: Fallback to embeddings (LLM returned zero/invalid scores)', { scores: snrArray, complexity: llmComplexity, paragraphs: paragraphs.length }); } catch (_) {}
-            new Notice('LLM SNR scoring failed to return valid data; falling back to embeddings.');
-            const texts = [subject, ...paragraphs];
-            const embs = await fetchOpenAiEmbeddings(apiKey, modelName, texts);
-            const subjectEmb = embs[0];
-            try { this._subjectEmbeddingCache = { text: subject, model: modelName, embedding: subjectEmb }; } catch (e) {}
-            const paraEmbs = embs.slice(1);
-            snrArray = paraEmbs.map((e) => cosineSimilarity(subjectEmb, e));
+            fallBack('LLM SNR scoring failed to return valid data; falling back to embeddings.');
+            snrArray = await this.embeddingSnr(subject, paragraphs);
+            sectionArray = sections ? await this.sectionEmbeddingSnr(paragraphs, sections) : null;
+            backend = this.backendLabel('embedding');
           }
         }
+        const blended = this.blendSections(snrArray, sectionArray, sections);
         // Compute complexity via heuristics for each paragraph (reuse computeHeuristicMetrics to get complexity)
-        const heurMetrics = computeHeuristicMetrics(paragraphs, '');
+        const heurMetrics = computeHeuristicMetrics(paragraphs, '', language, { method: 'lexical' });
         // Attempt to fetch semantic roles; optional via settings
         let roles = paragraphs.map(() => '');
         if (this.settings.classifyRoles) {
           try {
-            roles = await fetchOpenAiRoles(apiKey, chatModel || 'gpt-3.5-turbo', paragraphs);
+            roles = await this.classifyRoles(paragraphs);
           } catch (roleErr) {
             roles = paragraphs.map(() => '');
           }
         }
         const results = [];
         for (let i = 0; i < paragraphs.length; i++) {
-          const snr = snrArray[i] ?? 0;
+          const snr = blended[i] ?? 0;
           const complexity = (typeof llmComplexity?.[i] === 'number') ? llmComplexity[i] : (heurMetrics[i] ? heurMetrics[i].complexity : 0);
-          results.push({ snr, complexity, topic: snr, role: roles[i] });
+          const h = heurMetrics[i] || {};
+          const metric = { snr, complexity, topic: snrArray[i] ?? 0, role: roles[i], language: h.language, readability: h.readability, backend };
+          if (sectionArray && typeof sectionArray[i] === 'number') metric.section = sectionArray[i];
+          results.push(metric);
         }
         return results;
       } catch (err) {
@@ -1496,9 +6266,9 @@ module.exports = class TextQualityAnalyzerPlugin extends Plugin {
       }
     };
     // Heuristic analysis only
-    const computeHeuristic = () => {
-      const heur = computeHeuristicMetrics(paragraphs, topic);
-      return heur.map((m) => Object.assign({}, m, { role: '' }));
+    const computeHeuristic = async () => {
+      const heur = computeHeuristicMetrics(paragraphs, topic, language, await this.heuristicOptions(null, sections));
+      return heur.map((m) => Object.assign({}, m, { role: '', backend: 'heuristic' }));
     };
     // Determine which analysis to perform based on backendMode
     if (backendMode === 'heuristic') {
@@ -1507,16 +6277,17 @@ module.exports = class TextQualityAnalyzerPlugin extends Plugin {
     if (backendMode === 'server') {
       const metrics = await tryHttpEndpoint();
       if (metrics) return metrics;
-      new Notice('HTTP server unreachable or returned invalid data; falling back to heuristic analysis.');
+      fallBack('HTTP server unreachable or returned invalid data; falling back to heuristic analysis.');
       return computeHeuristic();
     }
     if (backendMode === 'openai') {
-      const metrics = await tryOpenAi();
+      const metrics = await tryProvider();
       if (metrics) return metrics;
-      if (!apiKey) {
-        new Notice('No API key set for OpenAI analysis; falling back to heuristic analysis.');
+      const providerName = getProviderEntry(this.settings.provider).name;
+      if (!hasLlm) {
+        fallBack(`${providerName} is not configured (API key missing); falling back to heuristic analysis.`);
       } else {
-        new Notice('OpenAI API call failed; falling back to heuristic analysis.');
+        fallBack(`${providerName} API call failed; falling back to heuristic analysis.`);
       }
       return computeHeuristic();
     }
@@ -1525,10 +6296,10 @@ module.exports = class TextQualityAnalyzerPlugin extends Plugin {
       // Try HTTP endpoint if defined
       const serverMetrics = await tryHttpEndpoint();
       if (serverMetrics) return serverMetrics;
-      // Try OpenAI if key provided
-      const openaiMetrics = await tryOpenAi();
-      if (openaiMetrics) return openaiMetrics;
-      new Notice('Falling back to heuristic analysis.');
+      // Try the LLM provider if configured
+      const providerMetrics = await tryProvider();
+      if (providerMetrics) return providerMetrics;
+      fallBack('Falling back to heuristic analysis.');
       return computeHeuristic();
     }
     // Default fallback
@@ -1536,205 +6307,400 @@ module.exports = class TextQualityAnalyzerPlugin extends Plugin {
   }
 
   /**
-   * Recompute SNR (and topic/role where applicable) for a subset of paragraph indices.
-   * Returns a map index->snr. Uses the currently selected backend mode, but limits
+   * Options for computeHeuristicMetrics from the settings. `corpus` is the
+   * full paragraph list of the note when only a subset is scored; `sections`
+   * are section labels for section-relative SNR (see sectionsFor). Vault-wide
+   * document frequencies are built on first use when enabled.
+   */
+  async heuristicOptions(corpus = null, sections = null) {
+    const options = { method: this.settings.relevanceMethod || 'bm25', corpus, sections, sectionWeight: this.settings.sectionWeight ?? 0.5 };
+    if (this.settings.vaultDocumentFrequencies && options.method !== 'lexical') {
+      options.vaultStats = await this.vaultTermStats.ensureBuilt();
+    }
+    return options;
+  }
+
+  /** LLM provider selected in settings (see LLM_PROVIDERS). */
+  llmProvider() {
+    return createLlmProvider(this.settings);
+  }
+
+  // Whether the selected provider is configured well enough to be called.
+  hasLlmAccess() {
+    return getProviderEntry(this.settings.provider).hasAccess(this.settings);
+  }
+
+  /**
+   * Model configured for a task: 'embedding', 'scoring' (LLM SNR scoring) or
+   * 'roles' (role classification, defaults to the scoring model).
+   */
+  modelFor(task) {
+    const { models } = getProviderEntry(this.settings.provider);
+    const chat = (this.settings.chatModel || '').trim() || models.chat;
+    if (task === 'embedding') return (this.settings.embeddingModel || '').trim() || models.embedding;
+    if (task === 'roles') return (this.settings.roleModel || '').trim() || chat;
+    return chat;
+  }
+
+  // SNR method actually used: providers without embeddings always score
+  // with the chat model.
+  effectiveSnrMethod() {
+    const method = this.settings.snrMethod || 'embedding';
+    if (method === 'embedding' && !this.llmProvider().capabilities.embeddings) return 'llm';
+    return method;
+  }
+
+  // Label stored with metrics to tell which backend produced them.
+  backendLabel(task) {
+    return `${this.llmProvider().id}:${this.modelFor(task)}`;
+  }
+
+  // Model identity used in cache keys. Anything but the official OpenAI API
+  // is namespaced by provider and URL, since the same name can mean
+  // different weights.
+  modelCacheId(model) {
+    const provider = this.llmProvider();
+    if (provider.id === 'openai') {
+      return provider.baseUrl === DEFAULT_OPENAI_BASE_URL ? model : `${provider.baseUrl}#${model}`;
+    }
+    return `${provider.id}:${provider.baseUrl}#${model}`;
+  }
+
+  /**
+   * POST paragraphs to the HTTP endpoint. Results are cached per paragraph
+   * (keyed by endpoint, topic and content hash), so only misses are sent.
+   * Returns an array of raw items aligned with `paragraphs`, or null when the
+   * server is unreachable or returns invalid data.
+   */
+  async fetchServerMetrics(paragraphs, topic) {
+    const { httpEndpoint } = this.settings;
+    const topicHash = contentDigest(topic || '');
+    const keyFor = (p) => `srv|${httpEndpoint}|${topicHash}|${contentDigest(p)}`;
+    const results = paragraphs.map((p) => this.analysisCache.get(keyFor(p)));
+    const missing = [];
+    results.forEach((r, i) => { if (r === undefined) missing.push(i); });
+    if (missing.length === 0) return results;
+    const res = await fetch(httpEndpoint, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ paragraphs: missing.map((i) => paragraphs[i]), topic })
+    });
+    if (!res.ok) return null;
+    const data = await res.json();
+    if (!Array.isArray(data) || data.length !== missing.length) return null;
+    missing.forEach((i, k) => {
+      const item = data[k] || {};
+      results[i] = item;
+      this.analysisCache.set(keyFor(paragraphs[i]), item);
+    });
+    return results;
+  }
+
+  /**
+   * Embed texts with the configured embedding model. Vectors are cached by
+   * model and content hash; only cache misses are sent to the API, in a
+   * single batch.
+   *
+   * @param {string[]} texts
+   * @returns {Promise<number[][]>}
+   */
+  async embedTexts(texts) {
+    const modelName = this.modelFor('embedding');
+    const keyFor = (t) => `emb|${this.modelCacheId(modelName)}|${contentDigest(t)}`;
+    const vectors = texts.map((t) => this.analysisCache.get(keyFor(t)));
+    // Distinct texts that missed the cache (the subject often repeats a paragraph)
+    const missing = Array.from(new Set(texts.filter((t, i) => vectors[i] === undefined)));
+    if (missing.length > 0) {
+      const fetched = await this.llmProvider().embed(modelName, missing);
+      const byText = new Map();
+      missing.forEach((t, k) => {
+        // Six decimals keep cosine similarities stable while halving the cache size
+        const vec = (fetched[k] || []).map((x) => Math.round(x * 1e6) / 1e6);
+        byText.set(t, vec);
+        this.analysisCache.set(keyFor(t), vec);
+      });
+      texts.forEach((t, i) => { if (vectors[i] === undefined) vectors[i] = byText.get(t); });
+    }
+    return vectors;
+  }
+
+  // Cosine similarity of each text against the subject, via cached embeddings.
+  async embeddingSnr(subject, texts) {
+    const embs = await this.embedTexts([subject, ...texts]);
+    const subjectEmb = embs[0];
+    return embs.slice(1).map((e) => cosineSimilarity(subjectEmb, e));
+  }
+
+  // Cosine similarity of each text against its own section label (null for
+  // texts outside any section).
+  async sectionEmbeddingSnr(texts, sections) {
+    const labels = Array.from(new Set(sections.filter(Boolean)));
+    if (labels.length === 0) return texts.map(() => null);
+    const embs = await this.embedTexts([...labels, ...texts]);
+    const byLabel = new Map(labels.map((l, k) => [l, embs[k]]));
+    return texts.map((t, i) => (sections[i] ? cosineSimilarity(byLabel.get(sections[i]), embs[labels.length + i]) : null));
+  }
+
+  // Section labels for section-relative SNR, or null when the mode is off.
+  // `paragraphs` are entries of the paragraph index.
+  sectionsFor(paragraphs) {
+    if (!this.settings.sectionRelativeSnr) return null;
+    return paragraphs.map((p) => sectionLabel(p.headingPath));
+  }
+
+  // Topic scores blended with section scores using the configured weight.
+  blendSections(topicScores, sectionScores, sections) {
+    if (!sections || !sectionScores) return topicScores;
+    return blendSectionScores(topicScores, sectionScores, sections, this.settings.sectionWeight ?? 0.5);
+  }
+
+  /**
+   * Score texts against the subject with the chat model. Scores are cached
+   * per paragraph (keyed by chat model, subject, section and content hash)
+   * and only the misses are sent. With `sections` (labels aligned with
+   * `texts`) the model also rates every paragraph against its own section.
+   * Returns { scores, complexity, sectionScores } aligned with `texts`
+   * (complexity and section entries may be null), or null when the model
+   * returned nothing usable. All-zero answers are treated as failures and
+   * not cached.
+   */
+  async llmScores(subject, texts, sections = null) {
+    const modelNameChat = this.modelFor('scoring');
+    const subjectHash = contentDigest(subject || '');
+    const keyFor = (t, i) => {
+      const base = `llm|${this.modelCacheId(modelNameChat)}|${subjectHash}|${contentDigest(t)}`;
+      return sections ? `${base}|sec:${contentDigest(sections[i] || '')}` : base;
+    };
+    const cached = texts.map((t, i) => this.analysisCache.get(keyFor(t, i)));
+    const missing = [];
+    cached.forEach((c, i) => { if (c === undefined) missing.push(i); });
+    if (missing.length > 0) {
+      const parsed = await this._requestLlmScores(subject, missing.map((i) => texts[i]), sections ? missing.map((i) => sections[i]) : null);
+      if (!parsed) return null;
+      const allZero = parsed.scores.every((v) => v === 0);
+      missing.forEach((i, k) => {
+        const entry = { snr: parsed.scores[k], complexity: parsed.complexity ? parsed.complexity[k] : null };
+        if (parsed.sectionScores) entry.section = parsed.sectionScores[k];
+        cached[i] = entry;
+        if (!allZero) this.analysisCache.set(keyFor(texts[i], i), entry);
+      });
+    }
+    return {
+      scores: cached.map((c) => (typeof c.snr === 'number' ? c.snr : 0)),
+      complexity: cached.map((c) => (typeof c.complexity === 'number' ? c.complexity : null)),
+      sectionScores: sections ? cached.map((c, i) => (sections[i] && typeof c.section === 'number' ? c.section : null)) : null
+    };
+  }
+
+  // Single LLM scoring request for relevance and complexity of `texts`;
+  // with `sections` also relevance of each paragraph to its section.
+  async _requestLlmScores(subject, texts, sections = null) {
+    const n = texts.length;
+    const placeholders = (ch) => `[${`${ch},`.repeat(n).slice(0, -1)}]`;
+    const sectionRule = sections
+      ? 'Each si in "section_scores" is the relevance in [0,1] of paragraph i to its own SECTION (the headings it sits under, shown in brackets); use 1 when a paragraph has no section. '
+      : '';
+    const messages = [
+      {
+        role: 'system',
+        content:
+          'You are a scorer. Given a TOPIC and a list of N numbered PARAGRAPHS, output only a JSON object with the exact shape ' +
+          (sections ? '{"scores":[r1,...,rN], "complexity":[c1,...,cN], "section_scores":[s1,...,sN]}. ' : '{"scores":[r1,...,rN], "complexity":[c1,...,cN]}. ') +
+          'Each ri is a continuous relevance score in [0,1] (0 off-topic, 1 perfectly on-topic). ' +
+          'Each ci is a continuous reading complexity score in [0,1] (0 very easy to read, 1 very complex). ' +
+          sectionRule +
+          'Use numbers (no strings), dot as decimal separator, up to 3 decimals. ' +
+          'All arrays must have length exactly N and preserve paragraph order. ' +
+          'Do not include the topic itself; score only the numbered paragraphs. ' +
+          'Return only the JSON object without code fences or extra text.'
+      },
+      {
+        role: 'user',
+        content:
+          `Topic: ${subject}\n\nNumber of paragraphs: ${n}\n\nParagraphs (numbered, one per line${sections ? ', section in brackets' : ''}):\n` +
+          texts.map((p, i) => `${i + 1}. ${sections && sections[i] ? `[${sections[i]}] ` : ''}${p}`).join('\n') +
+          `\n\nReturn strictly a JSON object: {"scores":${placeholders('r')}, "complexity":${placeholders('c')}${sections ? `, "section_scores":${placeholders('s')}` : ''}}`
+      }
+    ];
+    const modelNameChat = this.modelFor('scoring');
+    const scoreArray = { type: 'array', items: { type: 'number', minimum: 0, maximum: 1 }, minItems: n, maxItems: n };
+    const properties = { scores: scoreArray, complexity: scoreArray };
+    if (sections) properties.section_scores = scoreArray;
+    const schema = {
+      name: 'snr_scores',
+      schema: {
+        type: 'object',
+        additionalProperties: false,
+        properties,
+        required: Object.keys(properties)
+      }
+    };
+    // Token limit sized for all arrays (~10 chars per number) plus JSON structure
+    const maxTokens = Math.max(500, n * (sections ? 30 : 20));
+    const content = await this.llmProvider().chatJson(modelNameChat, messages, schema, {
+      temperature: 0,
+      maxTokens,
+      structuredOutput: this.settings.structuredOutput
+    });
+    try { console.info('TQA: LLM SNR raw response', { model: modelNameChat, content }); } catch (_) {}
+    if (!content) return null;
+    const obj = parseLlmScoresAndComplexity(content);
+    if (!obj || !(Array.isArray(obj.scores) || Array.isArray(obj.complexity))) {
+      console.warn('TQA: parser returned null; falling back to heuristics for complexity if needed', { raw: content?.slice?.(0, 200) });
+      return null;
+    }
+    return {
+      scores: normalizeArray01(obj.scores || [], texts.length),
+      complexity: Array.isArray(obj.complexity) ? normalizeArray01(obj.complexity, texts.length) : null,
+      sectionScores: sections && Array.isArray(obj.sectionScores) ? normalizeArray01(obj.sectionScores, texts.length) : null
+    };
+  }
+
+  /**
+   * Classify semantic roles with the role model. Roles are cached by model
+   * and content hash; only uncached paragraphs are sent.
+   */
+  async classifyRoles(paragraphs) {
+    const modelNameChat = this.modelFor('roles');
+    const keyFor = (p) => `role|${this.modelCacheId(modelNameChat)}|${contentDigest(p)}`;
+    const roles = paragraphs.map((p) => this.analysisCache.get(keyFor(p)));
+    const missing = [];
+    roles.forEach((r, i) => { if (r === undefined) missing.push(i); });
+    if (missing.length > 0) {
+      const fetched = await fetchParagraphRoles(this.llmProvider(), modelNameChat, missing.map((i) => paragraphs[i]));
+      missing.forEach((i, k) => {
+        roles[i] = fetched[k] || 'other';
+        this.analysisCache.set(keyFor(paragraphs[i]), roles[i]);
+      });
+    }
+    return roles;
+  }
+
+  /**
+   * Recompute SNR (and topic/role where applicable) for a subset of paragraphs
+   * given by id. `paragraphs` are the entries of the paragraph index, `topic`
+   * the resolved note topic (empty: the first paragraph is the subject).
+   * Returns a map id->snr. Uses the currently selected backend mode, but limits
    * computation only to requested paragraphs to keep it light on Enter.
    */
-  async recomputeSnrForIndices(paragraphs, indices) {
-    const uniqIndices = Array.from(new Set(indices.filter((i) => i >= 0 && i < paragraphs.length)));
-    if (uniqIndices.length === 0) return {};
+  async recomputeSnrForIds(paragraphs, ids, topic = this.settings.topic) {
+    const byId = new Map(paragraphs.map((p) => [p.id, p]));
+    const uniqIds = Array.from(new Set(ids.filter((id) => byId.has(id))));
+    if (uniqIds.length === 0) return {};
     const result = {};
-    const { backendMode, httpEndpoint, topic, apiKey, embeddingModel } = this.settings;
+    const { backendMode } = this.settings;
+    const texts = uniqIds.map((id) => byId.get(id).text);
     try {
       if (backendMode === 'server') {
-        const bodyParagraphs = uniqIndices.map((i) => paragraphs[i]);
-        const res = await fetch(httpEndpoint, {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({ paragraphs: bodyParagraphs, topic })
-        });
-        if (res.ok) {
-          const data = await res.json();
-          for (let k = 0; k < uniqIndices.length; k++) {
-            const i = uniqIndices[k];
+        const data = await this.fetchServerMetrics(texts, topic);
+        if (data) {
+          for (let k = 0; k < uniqIds.length; k++) {
             const item = data[k] || {};
-            result[i] = typeof item.snr === 'number' ? item.snr : 0;
+            result[uniqIds[k]] = typeof item.snr === 'number' ? item.snr : 0;
           }
           return result;
         }
-      } else if (backendMode === 'openai' || (backendMode === 'auto' && apiKey)) {
-        const subject = topic && topic.trim().length > 0 ? topic : paragraphs[0] || '';
-        const modelName = embeddingModel || 'text-embedding-3-small';
-        // Reuse cached subject embedding if text+model unchanged
-        let subjectEmb;
-        if (this._subjectEmbeddingCache && this._subjectEmbeddingCache.text === subject && this._subjectEmbeddingCache.model === modelName) {
-          subjectEmb = this._subjectEmbeddingCache.embedding;
-        } else {
-          const subjEmb = await fetchOpenAiEmbeddings(apiKey, modelName, [subject]);
-          subjectEmb = subjEmb[0];
-          try { this._subjectEmbeddingCache = { text: subject, model: modelName, embedding: subjectEmb }; } catch (e) {}
-        }
-        const texts = uniqIndices.map((i) => paragraphs[i]);
-        const paraEmbs = await fetchOpenAiEmbeddings(apiKey, modelName, texts);
-        for (let k = 0; k < uniqIndices.length; k++) {
-          const i = uniqIndices[k];
-          const sim = cosineSimilarity(subjectEmb, paraEmbs[k]);
-          result[i] = sim;
-        }
+      } else if (backendMode === 'openai' || (backendMode === 'auto' && this.hasLlmAccess())) {
+        if (!this.llmProvider().capabilities.embeddings) throw new Error('Provider has no embeddings');
+        const subject = subjectFor(topic, paragraphs.map((p) => p.text));
+        const sims = await this.embeddingSnr(subject, texts);
+        for (let k = 0; k < uniqIds.length; k++) result[uniqIds[k]] = sims[k];
         return result;
       }
     } catch (e) {
       // fall through to heuristic below
     }
-    // Heuristic fallback per requested indices
-    for (const i of uniqIndices) {
-      const words = paragraphs[i].split(/\s+/).filter((w) => w.length > 0);
-      const cleaned = words.map((w) => w.replace(/[^\p{L}\p{N}]+/gu, '').toLowerCase().trim());
-      const uniq = new Set(cleaned.filter((w) => w.length > 0));
-      result[i] = words.length > 0 ? uniq.size / words.length : 0;
-    }
+    // Heuristic fallback per requested ids
+    const heur = computeHeuristicMetrics(texts, topic || '', this.settings.language, await this.heuristicOptions(paragraphs.map((p) => p.text)));
+    uniqIds.forEach((id, k) => { result[id] = heur[k].snr; });
     return result;
   }
 
   /**
-   * Частичный пересчёт метрик (SNR и Complexity) только для указанных индексов абзацев.
-   * Возвращает { snrByIndex: Record<number, number>, complexityByIndex: Record<number, number> }.
+   * Частичный пересчёт метрик (SNR и Complexity) только для указанных абзацев.
+   * `paragraphs` — записи индекса абзацев, `ids` — их идентификаторы,
+   * `topic` — тема заметки (пустая строка: тема — первый абзац).
+   * Сеть вызывается только для абзацев, которых нет в кэше анализа.
+   * Возвращает { snrById, complexityById, topicById, sectionById, backend }: SNR (с учётом
+   * раздела, если включено), сложность, релевантность теме и разделу, метка источника.
    */
-  async recomputeMetricsForIndices(paragraphs, indices) {
-    const uniqIndices = Array.from(new Set(indices.filter((i) => i >= 0 && i < paragraphs.length)));
-    const snrByIndex = {};
-    const complexityByIndex = {};
-    if (uniqIndices.length === 0) return { snrByIndex, complexityByIndex };
+  async recomputeMetricsForIds(paragraphs, ids, topic = this.settings.topic) {
+    const byId = new Map(paragraphs.map((p) => [p.id, p]));
+    const uniqIds = Array.from(new Set(ids.filter((id) => byId.has(id))));
+    const snrById = {};
+    const complexityById = {};
+    const topicById = {};
+    const sectionById = {};
+    if (uniqIds.length === 0) return { snrById, complexityById, topicById, sectionById, backend: 'heuristic' };
 
-    const { backendMode, httpEndpoint, topic, apiKey, embeddingModel, chatModel } = this.settings;
+    const { backendMode } = this.settings;
     // Precompute heuristic complexity for fallback
-    const subsetParas = uniqIndices.map((i) => paragraphs[i]);
-    const heurSubset = computeHeuristicMetrics(subsetParas, topic || '');
+    const subsetEntries = uniqIds.map((id) => byId.get(id));
+    const subsetParas = subsetEntries.map((p) => p.text);
+    const sections = this.sectionsFor(subsetEntries);
+    const heurOptions = await this.heuristicOptions(paragraphs.map((p) => p.text), sections);
+    const heurSubset = computeHeuristicMetrics(subsetParas, topic || '', this.settings.language, heurOptions);
+    const heurComplexity = (k) => (heurSubset[k] ? heurSubset[k].complexity : 0);
     const applyHeuristics = () => {
-      for (let k = 0; k < uniqIndices.length; k++) {
-        const i = uniqIndices[k];
+      for (let k = 0; k < uniqIds.length; k++) {
+        const id = uniqIds[k];
         const h = heurSubset[k] || { snr: 0, complexity: 0 };
-        snrByIndex[i] = typeof h.snr === 'number' ? h.snr : 0;
-        complexityByIndex[i] = typeof h.complexity === 'number' ? h.complexity : 0;
+        snrById[id] = typeof h.snr === 'number' ? h.snr : 0;
+        complexityById[id] = typeof h.complexity === 'number' ? h.complexity : 0;
+        topicById[id] = typeof h.topic === 'number' ? h.topic : 0;
+        if (typeof h.section === 'number') sectionById[id] = h.section;
       }
     };
+    // Store topic scores, optional section scores and their blend
+    const applyScores = (topicScores, sectionScores) => {
+      const blended = this.blendSections(topicScores, sectionScores, sections);
+      uniqIds.forEach((id, k) => {
+        snrById[id] = blended[k] ?? 0;
+        topicById[id] = topicScores[k] ?? 0;
+        if (sectionScores && typeof sectionScores[k] === 'number') sectionById[id] = sectionScores[k];
+      });
+    };
 
     try {
       if (backendMode === 'server') {
-        const res = await fetch(httpEndpoint, {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({ paragraphs: subsetParas, topic })
-        });
-        if (res.ok) {
-          const data = await res.json();
-          for (let k = 0; k < uniqIndices.length; k++) {
-            const i = uniqIndices[k];
+        const data = await this.fetchServerMetrics(subsetParas, topic);
+        if (data) {
+          for (let k = 0; k < uniqIds.length; k++) {
+            const id = uniqIds[k];
             const item = data[k] || {};
-            snrByIndex[i] = typeof item.snr === 'number' ? item.snr : 0;
-            const c = typeof item.complexity === 'number' ? item.complexity : (heurSubset[k] ? heurSubset[k].complexity : 0);
-            complexityByIndex[i] = c;
+            snrById[id] = typeof item.snr === 'number' ? item.snr : 0;
+            complexityById[id] = typeof item.complexity === 'number' ? item.complexity : heurComplexity(k);
+            topicById[id] = typeof item.topic === 'number' ? item.topic : snrById[id];
           }
-          return { snrByIndex, complexityByIndex };
+          return { snrById, complexityById, topicById, sectionById, backend: 'server' };
         }
-      } else if (backendMode === 'openai' || (backendMode === 'auto' && apiKey)) {
-        const subject = topic && topic.trim().length > 0 ? topic : (paragraphs[0] || '');
-        const modelName = embeddingModel || 'text-embedding-3-small';
-        if ((this.settings.snrMethod || 'embedding') === 'embedding') {
+      } else if (backendMode === 'openai' || (backendMode === 'auto' && this.hasLlmAccess())) {
+        const subject = subjectFor(topic, paragraphs.map((p) => p.text));
+        if (this.effectiveSnrMethod() === 'embedding') {
           // SNR via embeddings, complexity via heuristics
-          let subjectEmb;
-          if (this._subjectEmbeddingCache && this._subjectEmbeddingCache.text === subject && this._subjectEmbeddingCache.model === modelName) {
-            subjectEmb = this._subjectEmbeddingCache.embedding;
-          } else {
-            const subjEmb = await fetchOpenAiEmbeddings(apiKey, modelName, [subject]);
-            subjectEmb = subjEmb[0];
-            try { this._subjectEmbeddingCache = { text: subject, model: modelName, embedding: subjectEmb }; } catch (e) {}
-          }
-          const paraEmbs = await fetchOpenAiEmbeddings(apiKey, modelName, subsetParas);
-          for (let k = 0; k < uniqIndices.length; k++) {
-            const i = uniqIndices[k];
-            snrByIndex[i] = cosineSimilarity(subjectEmb, paraEmbs[k]);
-            const c = heurSubset[k] ? heurSubset[k].complexity : 0;
-            complexityByIndex[i] = c;
-          }
-          return { snrByIndex, complexityByIndex };
+          const sims = await this.embeddingSnr(subject, subsetParas);
+          const sectionSims = sections ? await this.sectionEmbeddingSnr(subsetParas, sections) : null;
+          applyScores(sims, sectionSims);
+          uniqIds.forEach((id, k) => { complexityById[id] = heurComplexity(k); });
+          return { snrById, complexityById, topicById, sectionById, backend: this.backendLabel('embedding') };
         } else {
           // LLM scoring for both snr and complexity on the subset
-          const messages = [
-            {
-              role: 'system',
-              content:
-                'You are a scorer. Given a TOPIC and a list of N numbered PARAGRAPHS, output only a JSON object with the exact shape ' +
-                '{"scores":[r1,...,rN], "complexity":[c1,...,cN]}. ' +
-                'Each ri is a continuous relevance score in [0,1] (0 off-topic, 1 perfectly on-topic). ' +
-                'Each ci is a continuous reading complexity score in [0,1] (0 very easy to read, 1 very complex). ' +
-                'Use numbers (no strings), dot as decimal separator, up to 3 decimals. ' +
-                'Both arrays must have length exactly N and preserve paragraph order. ' +
-                'Do not include the topic itself; score only the numbered paragraphs. ' +
-                'Return only the JSON object without code fences or extra text.'
-            },
-            {
-              role: 'user',
-              content:
-                `Topic: ${subject}\n\nNumber of paragraphs: ${subsetParas.length}\n\nParagraphs (numbered, one per line):\n` +
-                subsetParas.map((p, i) => `${i + 1}. ${p}`).join('\n') +
-                `\n\nReturn strictly a JSON object: {"scores":[${'r,'.repeat(subsetParas.length).slice(0, -1)}], "complexity":[${'c,'.repeat(subsetParas.length).slice(0, -1)}]}`
-            }
-          ];
-          const modelNameChat = chatModel || 'gpt-3.5-turbo';
-          const useSchema = /gpt-4o|gpt-5/i.test(modelNameChat);
-          const schemaFormat = {
-            type: 'json_schema',
-            json_schema: {
-              name: 'snr_scores_subset',
-              schema: {
-                type: 'object',
-                additionalProperties: false,
-                properties: {
-                  scores: {
-                    type: 'array',
-                    items: { type: 'number', minimum: 0, maximum: 1 },
-                    minItems: subsetParas.length,
-                    maxItems: subsetParas.length
-                  },
-                  complexity: {
-                    type: 'array',
-                    items: { type: 'number', minimum: 0, maximum: 1 },
-                    minItems: subsetParas.length,
-                    maxItems: subsetParas.length
-                  }
-                },
-                required: ['scores', 'complexity']
-              }
-            }
-          };
-          const responseFormat = useSchema ? schemaFormat : { type: 'json_object' };
-          const maxTokens = Math.max(300, subsetParas.length * 20);
-          const data = await callOpenAiChat(apiKey, modelNameChat, messages, { temperature: 0, responseFormat, maxTokens });
-          const content = data?.choices?.[0]?.message?.content?.trim() || '';
-          const parsed = parseLlmScoresAndComplexity(content) || {};
-          const scores = Array.isArray(parsed.scores) ? parsed.scores : [];
-          const complexities = Array.isArray(parsed.complexity) ? parsed.complexity : [];
-          for (let k = 0; k < uniqIndices.length; k++) {
-            const i = uniqIndices[k];
-            const s = typeof scores[k] === 'number' ? scores[k] : 0;
-            const c = typeof complexities[k] === 'number' ? complexities[k] : (heurSubset[k] ? heurSubset[k].complexity : 0);
-            snrByIndex[i] = s;
-            complexityByIndex[i] = c;
-          }
+          const scored = await this.llmScores(subject, subsetParas, sections);
+          applyScores(scored ? scored.scores : uniqIds.map(() => 0), scored ? scored.sectionScores : null);
+          uniqIds.forEach((id, k) => {
+            complexityById[id] = scored && typeof scored.complexity[k] === 'number' ? scored.complexity[k] : heurComplexity(k);
+          });
+          let backend = this.backendLabel('scoring');
           // If all zeros, fallback to embeddings for SNR
-          if (uniqIndices.every((_, k) => (snrByIndex[uniqIndices[k]] || 0) === 0)) {
+          if (uniqIds.every((id) => (snrById[id] || 0) === 0) && this.llmProvider().capabilities.embeddings) {
             try {
-              const texts = [subject, ...subsetParas];
-              const embs = await fetchOpenAiEmbeddings(apiKey, embeddingModel || 'text-embedding-3-small', texts);
-              const subjectEmb = embs[0];
-              for (let k = 1; k < embs.length; k++) {
-                const idx = uniqIndices[k - 1];
-                snrByIndex[idx] = cosineSimilarity(subjectEmb, embs[k]);
-              }
+              const sims = await this.embeddingSnr(subject, subsetParas);
+              const sectionSims = sections ? await this.sectionEmbeddingSnr(subsetParas, sections) : null;
+              applyScores(sims, sectionSims);
+              backend = this.backendLabel('embedding');
             } catch (e) {}
           }
-          return { snrByIndex, complexityByIndex };
+          return { snrById, complexityById, topicById, sectionById, backend };
         }
       }
     } catch (e) {
@@ -1743,7 +6709,7 @@ module.exports = class TextQualityAnalyzerPlugin extends Plugin {
 
     // Heuristic fallback for both metrics
     applyHeuristics();
-    return { snrByIndex, complexityByIndex };
+    return { snrById, complexityById, topicById, sectionById, backend: 'heuristic' };
   }
 
   /**
@@ -1765,6 +6731,17 @@ module.exports = class TextQualityAnalyzerPlugin extends Plugin {
     });
   }
 
+  async activateDashboard() {
+    const leaves = this.app.workspace.getLeavesOfType(DASHBOARD_VIEW_TYPE);
+    if (leaves.length > 0) {
+      this.app.workspace.revealLeaf(leaves[0]);
+      return;
+    }
+    const leaf = this.app.workspace.getLeaf('tab');
+    await leaf.setViewState({ type: DASHBOARD_VIEW_TYPE, active: true });
+    this.app.workspace.revealLeaf(leaf);
+  }
+
   /**
    * Attempt to load an API key from a .env file located at the root of the
    * current vault. If the key is already present in settings, this function
@@ -1799,18 +6776,79 @@ module.exports = class TextQualityAnalyzerPlugin extends Plugin {
   }
 
   /**
-   * Return a background colour interpolated between the configured minimum
-   * and maximum colours for signal/noise. The input ratio should be in
-   * [0,1]. If the configured colours are missing, fall back to defaults.
-   *
-   * @param {number} snr A ratio between 0 and 1 representing closeness to topic
-   * @returns {string} A CSS hex colour
+   * Colour positions in [0,1] of a paragraph's SNR and complexity. With
+   * normalizeRanges the note's min→0 and max→1, otherwise raw values are
+   * clamped; with colour bands positions are snapped to the band.
    */
-  getBackgroundColorFor(snr) {
-    const t = Math.max(0, Math.min(1, snr || 0));
-    const maxC = this.settings.snrMaxColor || DEFAULT_SETTINGS.snrMaxColor || '#d1f9d1';
-    // Strict gradient: from theme background color to maxC.
-    // Try to read CSS var --background-primary; fall back to computed style or a safe default.
+  colorLevels(metrics, ranges) {
+    const normalize = (value, min, max) => {
+      if (!this.settings.normalizeRanges || !ranges) {
+        // clamp raw value to [0,1] for colouring only
+        return Math.max(0, Math.min(1, value || 0));
+      }
+      const range = max - min;
+      if (!isFinite(range) || range <= 1e-9) return 0.5; // all equal → mid colour
+      const t = (value - min) / range;
+      return Math.max(0, Math.min(1, t));
+    };
+    const bands = this.settings.colorBands;
+    return {
+      snr: quantizeBand(normalize(metrics.snr, ranges && ranges.snrMin, ranges && ranges.snrMax), bands),
+      complexity: quantizeBand(normalize(metrics.complexity, ranges && ranges.compMin, ranges && ranges.compMax), bands)
+    };
+  }
+
+  /**
+   * Background (SNR) and text (complexity) colours of a paragraph as hex
+   * values for the charts, the legend and the gutter. `accent` is the SNR
+   * colour at full strength, used for borders and underlines.
+   */
+  colorsFor(metrics, ranges) {
+    const { snr, complexity } = this.colorLevels(metrics, ranges);
+    const palette = COLOR_PALETTES[this.settings.colorPalette];
+    const accent = palette ? paletteColor(palette.stops, snr) : this.getBackgroundColorFor(snr);
+    return {
+      background: palette ? interpolateColor(this.themeBackgroundColor(), accent, PALETTE_BACKGROUND_MIX) : accent,
+      accent,
+      text: this.getTextColorFor(complexity)
+    };
+  }
+
+  /**
+   * Classes and CSS custom properties highlighting a paragraph in the editor
+   * and Reading view. The display mode is a class; the blend with the theme
+   * background happens in styles.css, so the highlight follows theme
+   * switches and printing without re-analysis.
+   */
+  highlightAttributes(metrics, ranges) {
+    const { snr, complexity } = this.colorLevels(metrics, ranges);
+    const palette = COLOR_PALETTES[this.settings.colorPalette];
+    const mode = HIGHLIGHT_MODES[this.settings.highlightMode] ? this.settings.highlightMode : 'both';
+    const classes = ['tqa-hl', `tqa-hl-${mode}`];
+    if (palette) classes.push('tqa-hl-palette');
+    const bands = this.settings.colorBands;
+    if (bands >= 2) {
+      classes.push(`tqa-snr-band-${Math.round(snr * (bands - 1))}`, `tqa-complexity-band-${Math.round(complexity * (bands - 1))}`);
+    }
+    return {
+      classes,
+      properties: {
+        '--tqa-snr-level': snr.toFixed(3),
+        '--tqa-complexity-level': complexity.toFixed(3),
+        '--tqa-snr-color': palette ? paletteColor(palette.stops, snr) : this.settings.snrMaxColor || DEFAULT_SETTINGS.snrMaxColor,
+        // Share of the SNR colour in the background; the rest is the theme background
+        '--tqa-snr-mix': `${((palette ? PALETTE_BACKGROUND_MIX : 1 - snr) * 100).toFixed(1)}%`,
+        '--tqa-text-color': this.getTextColorFor(complexity)
+      }
+    };
+  }
+
+  /**
+   * Hex colour of the theme background (--background-primary). Read once
+   * per theme: the cached value is dropped on `css-change`.
+   */
+  themeBackgroundColor() {
+    if (this._themeBackground) return this._themeBackground;
     let baseColorHex = '#ffffff';
     try {
       const rootStyle = getComputedStyle(document.body);
@@ -1825,6 +6863,23 @@ module.exports = class TextQualityAnalyzerPlugin extends Plugin {
         if (bg) baseColorHex = rgbToHex(cssColorToRgb(bg));
       }
     } catch (e) {}
+    this._themeBackground = baseColorHex;
+    return baseColorHex;
+  }
+
+  /**
+   * Return a background colour interpolated between the configured minimum
+   * and maximum colours for signal/noise. The input ratio should be in
+   * [0,1]. If the configured colours are missing, fall back to defaults.
+   *
+   * @param {number} snr A ratio between 0 and 1 representing closeness to topic
+   * @returns {string} A CSS hex colour
+   */
+  getBackgroundColorFor(snr) {
+    const t = Math.max(0, Math.min(1, snr || 0));
+    const maxC = this.settings.snrMaxColor || DEFAULT_SETTINGS.snrMaxColor || '#d1f9d1';
+    // Strict gradient: from theme background color to maxC.
+    const baseColorHex = this.themeBackgroundColor();
     // Inverted mapping: high SNR → closer to theme background; low SNR → closer to selected colour
     return interpolateColor(maxC, baseColorHex, t);
   }